@@ -38,6 +38,7 @@ namespace Cavea.Api
         private readonly ICollectionManager _collectionManager;
         private readonly IHttpContextAccessor _httpContextAccessor;
         private readonly CaveaDbService _dbService;
+        private readonly WebhookService _webhooks;
 
 
         // Global import queue - ensures only one catalog import runs at a time
@@ -61,7 +62,8 @@ namespace Cavea.Api
             ILibraryManager libraryManager,
             ICollectionManager collectionManager,
             IHttpContextAccessor httpContextAccessor,
-            CaveaDbService dbService)
+            CaveaDbService dbService,
+            WebhookService webhooks)
         {
             _logger = logger;
             _httpClientFactory = httpClientFactory;
@@ -72,6 +74,7 @@ namespace Cavea.Api
             _collectionManager = collectionManager;
             _httpContextAccessor = httpContextAccessor;
             _dbService = dbService;
+            _webhooks = webhooks;
         }
 
         /// <summary>
@@ -648,6 +651,14 @@ namespace Cavea.Api
                 }
 
                 _logger.LogInformation("⚪ [catalogcontroller] Import complete. Success: {Success}, Failed: {Failed}", successCount, failedCount);
+                _webhooks.Publish("catalog.import.finished", new Dictionary<string, string>
+                {
+                    ["catalogId"] = catalogId,
+                    ["catalogName"] = collectionName,
+                    ["itemType"] = stremioType,
+                    ["succeeded"] = successCount.ToString(),
+                    ["failed"] = failedCount.ToString()
+                });
 
                 return Ok(new CreateLibraryResponse 
                 { 
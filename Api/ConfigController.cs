@@ -1,3 +1,6 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
@@ -51,7 +54,14 @@ namespace Cavea.Api
                     enableCaveaUI = cfg.EnableCaveaUI,
                     useCaveaCache = cfg.UseCaveaCache,
                     useCaveaStaging = cfg.UseCaveaStaging,
-                    catalogMaxItems = cfg.CatalogMaxItems
+                    catalogMaxItems = cfg.CatalogMaxItems,
+                    movieQuotaLimit = cfg.MovieQuotaLimit,
+                    seriesQuotaLimit = cfg.SeriesQuotaLimit,
+                    quotaWindowDays = cfg.QuotaWindowDays,
+                    userQuotaOverrides = cfg.UserQuotaOverrides,
+                    userRoles = cfg.UserRoles,
+                    requestRules = cfg.RequestRules,
+                    webhooks = cfg.Webhooks
                 });
             }
 
@@ -174,6 +184,84 @@ namespace Cavea.Api
                 _logger.LogInformation("[ConfigController] CatalogMaxItems updated to: {Value}", cfg.CatalogMaxItems);
             }
             
+            // Request quotas
+            if (dto.movieQuotaLimit.HasValue)
+            {
+                cfg.MovieQuotaLimit = Math.Max(0, dto.movieQuotaLimit.Value);
+            }
+            if (dto.seriesQuotaLimit.HasValue)
+            {
+                cfg.SeriesQuotaLimit = Math.Max(0, dto.seriesQuotaLimit.Value);
+            }
+            if (dto.quotaWindowDays.HasValue)
+            {
+                cfg.QuotaWindowDays = Math.Max(1, dto.quotaWindowDays.Value);
+            }
+            if (dto.userQuotaOverrides != null)
+            {
+                cfg.UserQuotaOverrides = dto.userQuotaOverrides
+                    .Where(o => !string.IsNullOrWhiteSpace(o?.UserId))
+                    .GroupBy(o => o.UserId)
+                    .Select(g => g.Last())
+                    .ToList();
+            }
+            if (dto.userRoles != null)
+            {
+                cfg.UserRoles = dto.userRoles
+                    .Where(a => !string.IsNullOrWhiteSpace(a?.UserId))
+                    .GroupBy(a => a.UserId)
+                    .Select(g =>
+                    {
+                        var a = g.Last();
+                        a.Roles = (a.Roles ?? new List<string>())
+                            .Where(r => Services.RequestPermissionService.Roles.Contains(r))
+                            .Distinct()
+                            .ToList();
+                        return a;
+                    })
+                    .ToList();
+            }
+            if (dto.requestRules != null)
+            {
+                static List<string> Clean(IEnumerable<string> values) => (values ?? Enumerable.Empty<string>())
+                    .Where(v => !string.IsNullOrWhiteSpace(v))
+                    .Select(v => v.Trim())
+                    .Distinct(StringComparer.OrdinalIgnoreCase)
+                    .ToList();
+
+                cfg.RequestRules = dto.requestRules
+                    .Where(r => r != null)
+                    .Select(r =>
+                    {
+                        r.Id = string.IsNullOrWhiteSpace(r.Id) ? Guid.NewGuid().ToString("N") : r.Id;
+                        r.Name = string.IsNullOrWhiteSpace(r.Name) ? "Unnamed rule" : r.Name.Trim();
+                        r.Action = string.Equals(r.Action, "reject", StringComparison.OrdinalIgnoreCase) ? "reject" : "approve";
+                        r.MediaType = r.MediaType == "movie" || r.MediaType == "series" ? r.MediaType : null;
+                        r.MinRating = r.MinRating.HasValue ? Math.Clamp(r.MinRating.Value, 0, 10) : null;
+                        r.Users = Clean(r.Users);
+                        r.Catalogs = Clean(r.Catalogs);
+                        r.ContentRatings = Clean(r.ContentRatings);
+                        return r;
+                    })
+                    .ToList();
+            }
+            if (dto.webhooks != null)
+            {
+                cfg.Webhooks = dto.webhooks
+                    .Where(w => !string.IsNullOrWhiteSpace(w?.Url))
+                    .Select(w =>
+                    {
+                        w.Id = string.IsNullOrWhiteSpace(w.Id) ? Guid.NewGuid().ToString("N") : w.Id;
+                        w.Url = w.Url.Trim();
+                        w.Events = (w.Events ?? new List<string>())
+                            .Where(e => Services.WebhookService.Events.Contains(e))
+                            .Distinct()
+                            .ToList();
+                        return w;
+                    })
+                    .ToList();
+            }
+
             Plugin.Instance.SaveConfiguration();
             _logger.LogInformation("⚪ [ConfigController] Configuration saved.");
             return Ok();
@@ -201,5 +289,12 @@ namespace Cavea.Api
         public bool? useCaveaCache { get; set; }
         public bool? useCaveaStaging { get; set; }
         public int? catalogMaxItems { get; set; }
+        public int? movieQuotaLimit { get; set; }
+        public int? seriesQuotaLimit { get; set; }
+        public int? quotaWindowDays { get; set; }
+        public List<UserQuotaOverride> userQuotaOverrides { get; set; }
+        public List<UserRoleAssignment> userRoles { get; set; }
+        public List<RequestRule> requestRules { get; set; }
+        public List<WebhookTarget> webhooks { get; set; }
     }
 }
@@ -2,7 +2,9 @@
 using System;
 using System.Collections.Generic;
 using System.Linq;
+using System.Threading.Tasks;
 using Cavea;
+using Cavea.Services;
 using Jellyfin.Data.Enums;
 using MediaBrowser.Controller.Entities;
 using MediaBrowser.Controller.Library;
@@ -22,19 +24,22 @@ namespace Cavea.Api
         private readonly ILogger<LibraryController> _logger;
         private readonly ILibraryManager _libraryManager;
         private readonly IUserManager _userManager;
+        private readonly CaveaDbService _dbService;
 
         public LibraryController(
             ILogger<LibraryController> logger,
             ILibraryManager libraryManager,
-            IUserManager userManager)
+            IUserManager userManager,
+            CaveaDbService dbService)
         {
             _logger = logger;
             _libraryManager = libraryManager;
             _userManager = userManager;
+            _dbService = dbService;
         }
 
         [HttpGet("library-status")]
-        public ActionResult CheckLibraryStatus(
+        public async Task<ActionResult> CheckLibraryStatus(
             [FromQuery] string? imdbId,
             [FromQuery] string? tmdbId,
             [FromQuery] string itemType,
@@ -158,9 +163,8 @@ namespace Cavea.Api
                     _logger.LogWarning(ex, "⚪ [Cavea.Library] Error querying library items");
                 }
 
-                var config = Plugin.Instance?.Configuration;
-                var requests = config?.Requests ?? new List<MediaRequest>();
-                
+                var requests = await _dbService.GetRequestsAsync();
+
                 var existingRequest = requests.FirstOrDefault(r =>
                     (r.ItemType == itemType || r.ItemType == discoveredType) &&
                     (
@@ -195,7 +199,13 @@ namespace Cavea.Api
                         id = existingRequest.Id,
                         status = existingRequest.Status,
                         username = actualUsername ?? existingRequest.Username,
-                        title = existingRequest.Title
+                        title = existingRequest.Title,
+                        seasons = existingRequest.Seasons,
+                        rejectionReason = existingRequest.RejectionReason,
+                        voters = existingRequest.Voters?.Select(v => v.Username).ToList(),
+                        voteCount = existingRequest.VoteCount,
+                        libraryItemId = existingRequest.LibraryItemId,
+                        importError = existingRequest.ImportError
                     } : null
                 });
             }
@@ -0,0 +1,130 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json.Serialization;
+using System.Threading.Tasks;
+using Cavea.Services;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Api
+{
+    /// <summary>
+    /// Per-user feed of request status changes (approved, rejected, available).
+    /// </summary>
+    [ApiController]
+    [Route("api/cavea/notifications")]
+    [Produces("application/json")]
+    public class NotificationsController : ControllerBase
+    {
+        private readonly ILogger<NotificationsController> _logger;
+        private readonly CaveaDbService _dbService;
+
+        public NotificationsController(ILogger<NotificationsController> logger, CaveaDbService dbService)
+        {
+            _logger = logger;
+            _dbService = dbService;
+        }
+
+        /// <summary>
+        /// The caller's notifications, newest first, with the number still unread
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<NotificationFeed>> GetNotifications([FromQuery] bool unread = false, [FromQuery] int limit = 50)
+        {
+            var user = GetCurrentUsername();
+            if (string.IsNullOrEmpty(user))
+            {
+                return Unauthorized();
+            }
+
+            return Ok(new NotificationFeed
+            {
+                Items = await _dbService.GetNotificationsAsync(user, unread, Math.Clamp(limit, 1, MaxFeedSize)),
+                Unread = await _dbService.CountUnreadNotificationsAsync(user)
+            });
+        }
+
+        /// <summary>
+        /// Mark some (or, without ids, all) of the caller's notifications as read
+        /// </summary>
+        [HttpPost("read")]
+        public async Task<ActionResult<NotificationFeed>> MarkRead([FromBody] MarkNotificationsReadDto dto)
+        {
+            var user = GetCurrentUsername();
+            if (string.IsNullOrEmpty(user))
+            {
+                return Unauthorized();
+            }
+
+            var ids = dto?.Ids?.Distinct().ToList() ?? new List<long>();
+            var marked = await _dbService.MarkNotificationsReadAsync(user, ids);
+            _logger.LogInformation($"[NotificationsController] Marked {marked} notification(s) read for {user}");
+
+            return Ok(new NotificationFeed
+            {
+                Items = new List<RequestNotification>(),
+                Unread = await _dbService.CountUnreadNotificationsAsync(user)
+            });
+        }
+
+        private const int MaxFeedSize = 200;
+
+        private string GetCurrentUsername()
+        {
+            var user = HttpContext?.User;
+            return user?.Identity?.IsAuthenticated == true ? user.Identity.Name : null;
+        }
+    }
+
+    public class RequestNotification
+    {
+        [JsonPropertyName("id")]
+        public long Id { get; set; }
+
+        [JsonPropertyName("requestId")]
+        public string RequestId { get; set; }
+
+        /// <summary>
+        /// The status the request moved to: approved, rejected, partially_available or available.
+        /// </summary>
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        /// <summary>
+        /// Title of the requested item, kept so the entry still reads well after the request is deleted.
+        /// </summary>
+        [JsonPropertyName("title")]
+        public string Title { get; set; }
+
+        /// <summary>
+        /// Rejection reason, when there is one.
+        /// </summary>
+        [JsonPropertyName("details")]
+        public string Details { get; set; }
+
+        [JsonPropertyName("timestamp")]
+        public long Timestamp { get; set; }
+
+        [JsonPropertyName("isRead")]
+        public bool IsRead { get; set; }
+    }
+
+    public class NotificationFeed
+    {
+        [JsonPropertyName("items")]
+        public List<RequestNotification> Items { get; set; } = new List<RequestNotification>();
+
+        [JsonPropertyName("unread")]
+        public int Unread { get; set; }
+    }
+
+    public class MarkNotificationsReadDto
+    {
+        /// <summary>
+        /// Notifications to mark; empty marks everything.
+        /// </summary>
+        [JsonPropertyName("ids")]
+        public List<long> Ids { get; set; } = new List<long>();
+    }
+}
@@ -3,6 +3,11 @@ using System.Collections.Generic;
 using System.Linq;
 using System.Text.Json.Serialization;
 using System.Net.Http;
+using System.Text;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Services;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
 
@@ -14,39 +19,260 @@ namespace Cavea.Api
     public class RequestsController : ControllerBase
     {
         private readonly ILogger<RequestsController> _logger;
+        private readonly RequestImportService _importService;
+        private readonly CaveaDbService _dbService;
+        private readonly RequestEventService _events;
+        private readonly RequestRulesService _rules;
+        private readonly ReleaseScheduleService _releaseSchedule;
+        private readonly RequestTransferService _transfer;
+        private readonly RequestStatsService _stats;
+        private readonly RequestUpdatesService _updates;
+        private readonly RequestPermissionService _permissions;
 
-        public RequestsController(ILogger<RequestsController> logger)
+        public RequestsController(ILogger<RequestsController> logger, RequestImportService importService, CaveaDbService dbService, RequestEventService events, RequestRulesService rules, ReleaseScheduleService releaseSchedule, RequestTransferService transfer, RequestStatsService stats, RequestUpdatesService updates, RequestPermissionService permissions)
         {
             _logger = logger;
+            _importService = importService;
+            _dbService = dbService;
+            _events = events;
+            _rules = rules;
+            _releaseSchedule = releaseSchedule;
+            _transfer = transfer;
+            _stats = stats;
+            _updates = updates;
+            _permissions = permissions;
         }
 
+        /// <summary>
+        /// List requests. Without <c>limit</c> the whole (filtered) list is returned as an array;
+        /// with <c>limit</c> a page is returned as { items, total, offset, limit } (limit=0 only counts).
+        /// </summary>
         [HttpGet]
-        public ActionResult<List<MediaRequest>> GetRequests()
+        public async Task<ActionResult> GetRequests([FromQuery] RequestQuery query)
         {
             _logger.LogInformation("⚪ [RequestsController] GET called");
-            
-            var config = Plugin.Instance?.Configuration;
-            if (config == null)
+
+            var requests = FilterRequests(await _dbService.GetRequestsAsync(), query ?? new RequestQuery());
+
+            // Comment threads are private to the requester and approvers
+            var permissions = GetPermissions();
+            foreach (var request in requests.Where(r => !CanReadThread(permissions, r)))
             {
-                _logger.LogWarning("⚪ [RequestsController] Config is null");
-                return Ok(new List<MediaRequest>());
+                request.Comments = new List<RequestComment>();
             }
 
-            var requests = config.Requests ?? new List<MediaRequest>();
-            _logger.LogInformation($"[RequestsController] Returning {requests.Count} requests");
-            
-            // Log first request details for debugging
-            if (requests.Count > 0)
+            if (query?.Limit == null)
             {
-                var first = requests[0];
-                _logger.LogInformation($"[RequestsController] First request - Id: {first.Id}, Username: {first.Username}, Title: {first.Title}, Status: {first.Status}");
+                _logger.LogInformation($"[RequestsController] Returning {requests.Count} requests");
+                return Ok(requests);
             }
-            
-            return Ok(requests);
+
+            var offset = Math.Max(0, query.Offset);
+            var limit = Math.Clamp(query.Limit.Value, 0, MaxPageSize);
+            var page = requests.Skip(offset).Take(limit).ToList();
+            _logger.LogInformation($"[RequestsController] Returning {page.Count} of {requests.Count} requests (offset {offset})");
+
+            return Ok(new RequestPage
+            {
+                Items = page,
+                Total = requests.Count,
+                Offset = offset,
+                Limit = limit
+            });
+        }
+
+        /// <summary>
+        /// Distinct requester names, for the requester filter
+        /// </summary>
+        [HttpGet("requesters")]
+        public async Task<ActionResult<List<string>>> GetRequesters()
+        {
+            var requests = await _dbService.GetRequestsAsync();
+            var names = requests
+                .Select(r => r.Username)
+                .Where(n => !string.IsNullOrEmpty(n))
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .OrderBy(n => n, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+            return Ok(names);
+        }
+
+        /// <summary>
+        /// What the current user may do with requests, from their Cavea roles
+        /// </summary>
+        [HttpGet("permissions")]
+        public ActionResult<RequestPermissions> GetRequestPermissions()
+        {
+            return Ok(GetPermissions());
+        }
+
+        /// <summary>
+        /// Usage statistics for the admin dashboard, over the last <paramref name="days"/> days (0 = all time)
+        /// </summary>
+        [HttpGet("stats")]
+        public async Task<ActionResult<RequestStats>> GetStats([FromQuery] int days = 0)
+        {
+            var permissions = GetPermissions();
+            if (!permissions.CanManage)
+            {
+                return Forbid();
+            }
+
+            return Ok(await _stats.GetStatsAsync(Math.Max(0, days)));
+        }
+
+        /// <summary>
+        /// Server-sent events stream of request changes: one "request" event per transition, with a comment
+        /// line every <see cref="HeartbeatInterval"/> so proxies keep the connection open. Users who can't
+        /// approve requests only hear about the ones they made or voted on.
+        /// </summary>
+        [HttpGet("events")]
+        public async Task StreamUpdates()
+        {
+            var permissions = GetPermissions();
+            if (string.IsNullOrEmpty(permissions.Username))
+            {
+                Response.StatusCode = 401;
+                return;
+            }
+
+            HttpContext.Features.Get<Microsoft.AspNetCore.Http.Features.IHttpResponseBodyFeature>()?.DisableBuffering();
+            Response.ContentType = "text/event-stream";
+            Response.Headers["Cache-Control"] = "no-cache";
+            Response.Headers["X-Accel-Buffering"] = "no";
+
+            var aborted = HttpContext.RequestAborted;
+            var (subscriberId, reader) = _updates.Subscribe();
+            try
+            {
+                // Tells the browser how long to wait before reconnecting, and sends the headers right away
+                await WriteEventAsync("retry: 10000\n\n", aborted);
+
+                while (!aborted.IsCancellationRequested)
+                {
+                    using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(aborted);
+                    heartbeat.CancelAfter(HeartbeatInterval);
+
+                    bool more;
+                    try
+                    {
+                        more = await reader.WaitToReadAsync(heartbeat.Token);
+                    }
+                    catch (OperationCanceledException) when (!aborted.IsCancellationRequested)
+                    {
+                        await WriteEventAsync(": keep-alive\n\n", aborted);
+                        continue;
+                    }
+
+                    if (!more) break;
+                    while (reader.TryRead(out var update))
+                    {
+                        // Non-approvers only hear about requests they made or voted on
+                        if (!permissions.CanApprove
+                            && !string.Equals(update.Username, permissions.Username, StringComparison.OrdinalIgnoreCase)
+                            && !update.Voters.Contains(permissions.Username, StringComparer.OrdinalIgnoreCase))
+                        {
+                            continue;
+                        }
+
+                        await WriteEventAsync($"event: request\ndata: {JsonSerializer.Serialize(update)}\n\n", aborted);
+                    }
+                }
+            }
+            catch (OperationCanceledException)
+            {
+                // The page was closed
+            }
+            finally
+            {
+                _updates.Unsubscribe(subscriberId);
+            }
+        }
+
+        /// <summary>
+        /// Download the (filtered) request list as a CSV or JSON file
+        /// </summary>
+        [HttpGet("export")]
+        public async Task<ActionResult> ExportRequests([FromQuery] RequestQuery query, [FromQuery] string format = "csv")
+        {
+            var permissions = GetPermissions();
+            if (!permissions.CanManage)
+            {
+                return Forbid();
+            }
+
+            format = (format ?? "csv").Trim().ToLowerInvariant();
+            if (format != "csv" && format != "json")
+            {
+                return BadRequest("Format must be csv or json");
+            }
+
+            var requests = FilterRequests(await _dbService.GetRequestsAsync(), query ?? new RequestQuery());
+            var fileName = $"cavea-requests-{DateTime.UtcNow:yyyy-MM-dd}.{format}";
+            _logger.LogInformation($"[RequestsController] Exporting {requests.Count} requests as {format}");
+
+            return format == "csv"
+                ? File(Encoding.UTF8.GetBytes(RequestTransferService.ToCsv(requests)), "text/csv", fileName)
+                : File(Encoding.UTF8.GetBytes(RequestTransferService.ToJson(requests)), "application/json", fileName);
+        }
+
+        /// <summary>
+        /// Import requests from a Cavea, Jellyseerr or Ombi export. With dryRun nothing is saved and the
+        /// result previews what each row would do.
+        /// </summary>
+        [HttpPost("import")]
+        public async Task<ActionResult<RequestTransferResult>> ImportRequests([FromBody] RequestImportDto dto)
+        {
+            var permissions = GetPermissions();
+            if (!permissions.CanManage)
+            {
+                return Forbid();
+            }
+
+            if (string.IsNullOrWhiteSpace(dto?.Content))
+            {
+                return BadRequest("The file is empty");
+            }
+
+            try
+            {
+                return Ok(await _transfer.ImportAsync(dto.Content, dto.Format, dto.DryRun, permissions.Username));
+            }
+            catch (Exception ex) when (ex is System.Text.Json.JsonException || ex is FormatException)
+            {
+                return BadRequest($"Could not read the file: {ex.Message}");
+            }
+        }
+
+        /// <summary>
+        /// Get a single request, e.g. to follow an import in progress. The comment thread is left out
+        /// unless the caller is the requester or can approve requests.
+        /// </summary>
+        [HttpGet("{id}")]
+        public async Task<ActionResult<MediaRequest>> GetRequest(string id)
+        {
+            var permissions = GetPermissions();
+            if (string.IsNullOrEmpty(permissions.Username))
+            {
+                return Unauthorized();
+            }
+
+            var request = await _dbService.GetRequestAsync(id);
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            if (!CanReadThread(permissions, request))
+            {
+                request.Comments = new List<RequestComment>();
+            }
+
+            return Ok(request);
         }
 
         [HttpPost]
-        public ActionResult<MediaRequest> CreateRequest([FromBody] MediaRequest request)
+        public async Task<ActionResult<MediaRequest>> CreateRequest([FromBody] MediaRequest request)
         {
             _logger.LogInformation("⚪ [RequestsController] POST called");
             
@@ -62,12 +288,36 @@ namespace Cavea.Api
                 return BadRequest("Request data is required");
             }
 
-            // Auto-generate ID if not provided
-            if (string.IsNullOrEmpty(request.Id))
+            var permissions = GetPermissions();
+            if (!permissions.CanRequest)
             {
-                request.Id = $"{request.Username}_{request.TmdbId}_{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}";
+                _logger.LogWarning($"[RequestsController] {permissions.Username} is not allowed to make requests");
+                return Forbid();
             }
 
+            // The requester is whoever is signed in. Every request starts out pending; a request manager
+            // asking for it approved gets it approved below, the same way an approval from the list would.
+            request.Username = permissions.Username;
+            request.UserId = permissions.UserId;
+            var selfApproved = permissions.CanManage
+                && (string.Equals(request.Status, "approved", StringComparison.OrdinalIgnoreCase)
+                    || string.Equals(request.Status, "processing", StringComparison.OrdinalIgnoreCase));
+            request.Status = "pending";
+
+            // Fields the server owns start out empty, whatever the client sent
+            request.Comments = new List<RequestComment>();
+            request.Voters = new List<RequestVoter>();
+            request.ApprovedBy = null;
+            request.RejectionReason = null;
+            request.LibraryItemId = null;
+            request.ImportError = null;
+            request.AvailableAt = null;
+            request.ReleaseDate = null;
+            request.Genres = null;
+
+            // Ids are always made here; a client-chosen id could point at someone else's request
+            request.Id = $"{request.Username}_{request.TmdbId}_{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}";
+
             // Normalize and ensure media type fields are set
             request.ItemType = (request.ItemType ?? string.Empty).ToLowerInvariant();
             if (string.IsNullOrEmpty(request.TmdbMediaType))
@@ -126,252 +376,1601 @@ namespace Cavea.Api
                 _logger.LogWarning(ex, "[RequestsController] TMDB find check failed for imdbId={ImdbId}", request.ImdbId);
             }
 
-            // Set default status
-            if (string.IsNullOrEmpty(request.Status))
+            // Season selection only applies to series; collapse duplicates so the
+            // import step gets one entry per season.
+            if (request.ItemType != "series" || request.Seasons == null)
+            {
+                request.Seasons = new List<RequestedSeason>();
+            }
+            else
+            {
+                request.Seasons = request.Seasons
+                    .Where(s => s != null && s.SeasonNumber >= 0)
+                    .GroupBy(s => s.SeasonNumber)
+                    .Select(g => new RequestedSeason
+                    {
+                        SeasonNumber = g.Key,
+                        // Any entry asking for the whole season wins over an episode list
+                        Episodes = g.Any(s => s.Episodes == null || s.Episodes.Count == 0)
+                            ? new List<int>()
+                            : g.SelectMany(s => s.Episodes).Distinct().OrderBy(e => e).ToList()
+                    })
+                    .OrderBy(s => s.SeasonNumber)
+                    .ToList();
+            }
+
+            // Collections are a TMDB movie concept
+            if (request.ItemType != "movie" || string.IsNullOrWhiteSpace(request.CollectionId))
+            {
+                request.CollectionId = null;
+                request.CollectionName = null;
+            }
+
+            // Merge duplicates: a second user asking for an item that already has a
+            // pending request adds a vote to it instead of creating a new request.
+            var existing = await _dbService.GetRequestsAsync();
+            var duplicate = existing.FirstOrDefault(r =>
+                string.Equals(r.Status, "pending", StringComparison.OrdinalIgnoreCase) &&
+                r.ItemType == request.ItemType &&
+                ((!string.IsNullOrEmpty(request.ImdbId) && r.ImdbId == request.ImdbId) ||
+                 (!string.IsNullOrEmpty(request.TmdbId) && r.TmdbId == request.TmdbId)));
+            if (duplicate != null)
+            {
+                var voted = false;
+                duplicate = await _dbService.UpdateRequestAsync(duplicate.Id, r =>
+                {
+                    // A collection request links the existing request to the collection so it is approved with the rest
+                    var linked = string.IsNullOrEmpty(r.CollectionId) && !string.IsNullOrEmpty(request.CollectionId);
+                    if (linked)
+                    {
+                        r.CollectionId = request.CollectionId;
+                        r.CollectionName = request.CollectionName;
+                    }
+
+                    voted = AddVote(r, request.Username, request.UserId);
+                    return voted || linked;
+                }) ?? duplicate;
+                if (voted)
+                {
+                    await _events.RecordAsync(duplicate, "voted", request.Username);
+                    _logger.LogInformation($"[RequestsController] Merged request from {request.Username} into {duplicate.Id} as a vote");
+                }
+                return Ok(duplicate);
+            }
+
+            // Enforce per-user quotas (admins are exempt)
+            if (!permissions.IsAdmin)
             {
-                request.Status = "pending";
+                var quota = GetQuota(config, existing, permissions.UserId, permissions.Username);
+                var bucket = request.ItemType == "series" ? quota.Series : quota.Movie;
+                if (bucket.Remaining == 0)
+                {
+                    _logger.LogInformation($"[RequestsController] Quota reached for {request.Username} ({request.ItemType})");
+                    return StatusCode(429, new { error = $"Request quota reached: {bucket.Limit} {request.ItemType} requests per {quota.WindowDays} days", quota });
+                }
             }
 
             // Set timestamp
             request.Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
 
-            // Add to list
-            if (config.Requests == null)
+            // Auto-approve/reject rules only decide requests that would otherwise wait for an admin
+            request.AutoRule = null;
+            var rule = selfApproved ? null : await _rules.EvaluateAsync(request);
+            var autoApproved = rule != null && rule.Action == "approve";
+            if (rule != null)
             {
-                config.Requests = new List<MediaRequest>();
+                request.AutoRule = rule.Name;
+                request.Status = autoApproved ? "processing" : "rejected";
+                request.RejectionReason = autoApproved ? null : (string.IsNullOrWhiteSpace(rule.RejectionReason) ? "Rejected automatically" : rule.RejectionReason.Trim());
+            }
+            else if (selfApproved)
+            {
+                // Approvals go straight to "processing"; the import outcome decides what comes next
+                request.Status = "processing";
+                request.ApprovedBy = permissions.Username;
+            }
+
+            if (!await _dbService.CreateRequestAsync(request))
+            {
+                return StatusCode(500, new { error = "Failed to save request" });
+            }
+            await _events.RecordAsync(request, "created", request.Username);
+
+            if (rule != null)
+            {
+                await _events.RecordAsync(request, autoApproved ? "approved" : "rejected", $"rule \"{rule.Name}\"", request.RejectionReason);
+                _logger.LogInformation($"[RequestsController] Request {request.Id} {(autoApproved ? "approved" : "rejected")} by rule {rule.Name}");
+            }
+            else if (selfApproved)
+            {
+                await _events.RecordAsync(request, "approved", permissions.Username);
+                _logger.LogInformation($"[RequestsController] Request {request.Id} approved by {permissions.Username} on creation");
+            }
+
+            if (autoApproved || selfApproved)
+            {
+                QueueImport(request);
             }
-            
-            config.Requests.Add(request);
-            Plugin.Instance.SaveConfiguration();
 
             _logger.LogInformation($"[RequestsController] Created request: {request.Id}");
             return Ok(request);
         }
 
         [HttpPut("{id}")]
-        public ActionResult UpdateRequest(string id, [FromBody] UpdateRequestDto update)
+        public async Task<ActionResult> UpdateRequest(string id, [FromBody] UpdateRequestDto update)
         {
             _logger.LogInformation($"[RequestsController] PUT called for {id}");
-            
-            var config = Plugin.Instance?.Configuration;
-            if (config == null)
-            {
-                _logger.LogWarning("⚪ [RequestsController] Config is null");
-                return BadRequest("Plugin configuration not available");
-            }
 
-            var request = config.Requests?.FirstOrDefault(r => r.Id == id);
+            var request = await _dbService.GetRequestAsync(id);
             if (request == null)
             {
                 return NotFound($"Request {id} not found");
             }
 
-            // Update fields. If an admin approves, create a separate admin-owned
-            // approved copy so admin and user can delete independently.
-            if (!string.IsNullOrEmpty(update.Status))
+            if (!string.IsNullOrEmpty(update.Status) && !UpdatableStatuses.Contains(update.Status))
             {
-                // Always update the original request's status so the requester sees it as approved
-                request.Status = update.Status;
+                return BadRequest($"Unknown status '{update.Status}'");
             }
 
-            if (!string.IsNullOrEmpty(update.ApprovedBy))
+            // Approvers may only approve other people's requests; everything else takes a request manager
+            var permissions = GetPermissions();
+            var isApproval = string.Equals(update.Status, "approved", StringComparison.OrdinalIgnoreCase);
+            var allowed = permissions.CanManage
+                || (isApproval && permissions.CanApprove && !string.Equals(permissions.Username, request.Username, StringComparison.OrdinalIgnoreCase));
+            if (!allowed)
             {
-                request.ApprovedBy = update.ApprovedBy;
+                _logger.LogWarning($"[RequestsController] {permissions.Username} is not allowed to update request {id}");
+                return Forbid();
             }
 
-            // If approving and ApprovedBy is provided and the approver is different
-            // from the original requester, log it, but do not create an admin-owned
-            // separate copy to keep requests unified in the DB.
-            if (!string.IsNullOrEmpty(update.Status) && 
-                (update.Status.Equals("approved", StringComparison.OrdinalIgnoreCase) || 
-                 update.Status.Equals("rejected", StringComparison.OrdinalIgnoreCase)) &&
-                !string.IsNullOrEmpty(update.ApprovedBy) && 
-                !string.Equals(update.ApprovedBy, request.Username, StringComparison.OrdinalIgnoreCase))
+            // Rejections must carry a reason the requester can see
+            var isRejection = string.Equals(update.Status, "rejected", StringComparison.OrdinalIgnoreCase);
+            if (isRejection && string.IsNullOrWhiteSpace(update.RejectionReason))
             {
-                _logger.LogInformation($"[RequestsController] Request {id} status updated to {update.Status} by admin {update.ApprovedBy}");
+                return BadRequest("A rejection reason is required");
             }
 
-            Plugin.Instance.SaveConfiguration();
-            _logger.LogInformation($"[RequestsController] Updated request {id}: status={request.Status}");
-
-            // If the request was approved, trigger Gelato metadata refresh server-side.
-            try
+            // Approvals go straight to "processing"; the import outcome decides what comes next
+            var status = update.Status?.ToLowerInvariant();
+            var statusChanged = false;
+            var notApprovable = false;
+            var updated = await _dbService.UpdateRequestAsync(id, r =>
             {
-                if (!string.IsNullOrEmpty(request.Status) && request.Status.Equals("approved", StringComparison.OrdinalIgnoreCase))
+                if (status != null)
                 {
-                    // Run in background so we don't block the HTTP response.
-                    _ = System.Threading.Tasks.Task.Run(async () =>
+                    // Only pending and failed requests can be (re)imported
+                    var current = (r.Status ?? "pending").ToLowerInvariant();
+                    if (isApproval && current != "pending" && current != "failed")
                     {
-                        try
-                        {
-                            var cfg = Plugin.Instance?.Configuration;
-                            string baseUrl = cfg?.GelatoBaseUrl;
-                            if (string.IsNullOrEmpty(baseUrl))
-                            {
-                                baseUrl = $"{Request.Scheme}://{Request.Host.Value}";
-                            }
+                        notApprovable = true;
+                        return false;
+                    }
 
-                            var type = (request.TmdbMediaType ?? request.ItemType ?? "movie");
-                            if (type == "series") type = "tv";
-                            if (type == "tv" || type == "movie")
-                            {
-                                var imdb = request.ImdbId;
-                                if (!string.IsNullOrEmpty(imdb))
-                                {
-                                    var url = baseUrl.TrimEnd('/') + $"/gelato/meta/{type}/{Uri.EscapeDataString(imdb)}";
-                                    using var http = new HttpClient();
-                                    if (!string.IsNullOrEmpty(cfg?.GelatoAuthHeader))
-                                    {
-                                        // Allow configuration to specify either a full header name and value
-                                        // (for example: "X-Emby-Token: <token>") or just a token/value which
-                                        // will be applied to the Authorization header.
-                                        var header = cfg.GelatoAuthHeader;
-                                        var idx = header.IndexOf(':');
-                                        if (idx > -1)
-                                        {
-                                            var name = header.Substring(0, idx).Trim();
-                                            var value = header.Substring(idx + 1).Trim();
-                                            try { http.DefaultRequestHeaders.Remove(name); } catch { }
-                                            http.DefaultRequestHeaders.Add(name, value);
-                                        }
-                                        else
-                                        {
-                                            try { http.DefaultRequestHeaders.Remove("Authorization"); } catch { }
-                                            http.DefaultRequestHeaders.Add("Authorization", header);
-                                        }
-                                    }
-                                    _logger.LogInformation("[RequestsController] Calling Gelato at {Url} for approved request {RequestId}", url, id);
-                                    var resp = await http.GetAsync(url).ConfigureAwait(false);
-                                    _logger.LogInformation("[RequestsController] Gelato responded {Status} for {RequestId}", resp.StatusCode, id);
-                                }
-                            }
-                        }
-                        catch (Exception ex)
-                        {
-                            _logger.LogError(ex, "[RequestsController] Error calling Gelato for approved request {RequestId}", id);
-                        }
-                    });
+                    statusChanged = current != status;
+
+                    // Always update the original request's status so the requester sees it as approved
+                    r.Status = isApproval ? "processing" : status;
+                    r.ApprovedBy = permissions.Username;
+                    r.RejectionReason = isRejection ? update.RejectionReason.Trim() : null;
+                    r.ImportError = null;
+                }
+
+                // An admin note is kept as a comment so it shows up in the request's thread
+                if (!string.IsNullOrWhiteSpace(update.AdminNote))
+                {
+                    AppendComment(r, permissions.Username ?? "admin", permissions.UserId, update.AdminNote, permissions.IsAdmin);
                 }
+
+                return true;
+            });
+            if (updated == null)
+            {
+                return StatusCode(500, new { error = "Failed to save request" });
             }
-            catch (Exception ex)
+
+            if (notApprovable)
+            {
+                return BadRequest($"Request is already {updated.Status}");
+            }
+            request = updated;
+
+            if (statusChanged)
+            {
+                await _events.RecordAsync(request, status, permissions.Username, request.RejectionReason);
+                _logger.LogInformation($"[RequestsController] Request {id} status updated to {status} by {permissions.Username}");
+            }
+            _logger.LogInformation($"[RequestsController] Updated request {id}: status={request.Status}");
+
+            // If the request was approved, import it server-side (only the requested
+            // seasons for series requests).
+            if (isApproval)
             {
-                _logger.LogWarning(ex, "[RequestsController] Failed to trigger Gelato for request {RequestId}", id);
+                QueueImport(request);
             }
 
             return Ok();
         }
 
-        [HttpDelete("{id}")]
-        public ActionResult DeleteRequest(string id)
+        /// <summary>
+        /// Retry the import of a request whose import failed
+        /// </summary>
+        [HttpPost("{id}/retry")]
+        public async Task<ActionResult<MediaRequest>> RetryImport(string id)
         {
-            _logger.LogInformation($"[RequestsController] DELETE called for {id}");
-            
-            var config = Plugin.Instance?.Configuration;
-            if (config == null)
+            var permissions = GetPermissions();
+            if (!permissions.CanManage)
             {
-                _logger.LogWarning("⚪ [RequestsController] Config is null");
-                return BadRequest("Plugin configuration not available");
+                return Forbid();
             }
 
-            var request = config.Requests?.FirstOrDefault(r => r.Id == id);
+            var name = permissions.Username;
+
+            var retried = false;
+            var request = await _dbService.UpdateRequestAsync(id, r =>
+            {
+                if (!string.Equals(r.Status, "failed", StringComparison.OrdinalIgnoreCase)) return false;
+
+                r.Status = "processing";
+                r.ImportError = null;
+                return retried = true;
+            });
             if (request == null)
             {
                 return NotFound($"Request {id} not found");
             }
 
-            config.Requests.Remove(request);
-            Plugin.Instance.SaveConfiguration();
+            if (!retried)
+            {
+                return BadRequest("Only failed imports can be retried");
+            }
 
-            _logger.LogInformation($"[RequestsController] Deleted request {id}");
-            return Ok();
+            await _events.RecordAsync(request, "retried", name);
+
+            _logger.LogInformation($"[RequestsController] {name} retried import of request {id}");
+            QueueImport(request);
+            return Ok(request);
         }
+
         /// <summary>
-        /// Clean up invalid requests (undefined/empty IDs)
+        /// Approve a request for when it is released: it waits as "scheduled" with the TMDB release date
+        /// and is imported by the "Import Released Requests" task once streams exist.
         /// </summary>
-        [HttpPost("cleanup")]
-        public ActionResult CleanupRequests()
+        [HttpPost("{id}/schedule")]
+        public async Task<ActionResult<MediaRequest>> ScheduleRequest(string id)
         {
-            _logger.LogInformation("⚪ [RequestsController] Cleanup called");
-            
-            var config = Plugin.Instance?.Configuration;
-            if (config == null)
+            var permissions = GetPermissions();
+            if (!permissions.CanApprove)
             {
-                return BadRequest("Configuration not available");
+                return Forbid();
             }
 
-            var requests = config.Requests ?? new List<MediaRequest>();
-            var before = requests.Count;
-            
-            // Remove requests with undefined/null/empty IDs
-            var validRequests = requests.Where(r => 
-                !string.IsNullOrEmpty(r.ImdbId) && r.ImdbId != "undefined" &&
-                !string.IsNullOrEmpty(r.TmdbId) && r.TmdbId != "undefined"
-            ).ToList();
-            
-            var removed = before - validRequests.Count;
-            
-            if (removed > 0)
+            var request = await _dbService.GetRequestAsync(id);
+            if (request == null)
             {
-                config.Requests = validRequests;
-                Plugin.Instance.SaveConfiguration();
-                _logger.LogInformation($"[RequestsController] Cleaned up {removed} invalid requests");
+                return NotFound($"Request {id} not found");
             }
-            
-            return Ok(new { removed, remaining = validRequests.Count });
-        }
-    }
 
-    public class MediaRequest
-    {
-        [JsonPropertyName("id")]
-        public string Id { get; set; }
+            // Scheduling is an approval: approvers can't do it for their own requests
+            if (!permissions.CanManage && string.Equals(permissions.Username, request.Username, StringComparison.OrdinalIgnoreCase))
+            {
+                return Forbid();
+            }
 
-        [JsonPropertyName("username")]
-        public string Username { get; set; }
+            request = await _releaseSchedule.ScheduleAsync(request, permissions.Username);
+            if (request == null)
+            {
+                return BadRequest("Only pending or failed requests can be scheduled");
+            }
 
-        [JsonPropertyName("userId")]
-        public string UserId { get; set; }
+            return Ok(request);
+        }
 
-        [JsonPropertyName("timestamp")]
-        public long Timestamp { get; set; }
+        /// <summary>
+        /// Remaining request quota for the signed-in user in the current rolling window
+        /// </summary>
+        [HttpGet("quota")]
+        public async Task<ActionResult<RequestQuota>> GetRequestQuota()
+        {
+            var config = Plugin.Instance?.Configuration;
+            if (config == null)
+            {
+                return BadRequest("Plugin configuration not available");
+            }
 
-        [JsonPropertyName("title")]
-        public string Title { get; set; }
+            var permissions = GetPermissions();
+            if (string.IsNullOrEmpty(permissions.Username))
+            {
+                return Unauthorized();
+            }
 
-        [JsonPropertyName("year")]
-        public string Year { get; set; }
+            if (permissions.IsAdmin)
+            {
+                return Ok(new RequestQuota
+                {
+                    WindowDays = config.QuotaWindowDays,
+                    Exempt = true,
+                    Movie = new QuotaBucket(),
+                    Series = new QuotaBucket()
+                });
+            }
+
+            return Ok(GetQuota(config, await _dbService.GetRequestsAsync(), permissions.UserId, permissions.Username));
+        }
+
+        /// <summary>
+        /// Add the caller's "me too" vote to a pending request
+        /// </summary>
+        [HttpPost("{id}/vote")]
+        public async Task<ActionResult<MediaRequest>> VoteRequest(string id)
+        {
+            var permissions = GetPermissions();
+            if (string.IsNullOrEmpty(permissions.Username))
+            {
+                return Unauthorized();
+            }
+
+            var request = await _dbService.GetRequestAsync(id);
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            if (!string.Equals(request.Status, "pending", StringComparison.OrdinalIgnoreCase))
+            {
+                return BadRequest("Only pending requests can be voted on");
+            }
+
+            var username = permissions.Username;
+            var voted = false;
+            request = await _dbService.UpdateRequestAsync(id, r => voted = AddVote(r, username, permissions.UserId));
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            if (voted)
+            {
+                await _events.RecordAsync(request, "voted", username);
+                _logger.LogInformation($"[RequestsController] {username} voted for request {id}");
+            }
+
+            return Ok(request);
+        }
+
+        /// <summary>
+        /// Withdraw the caller's vote from a request
+        /// </summary>
+        [HttpDelete("{id}/vote")]
+        public async Task<ActionResult<MediaRequest>> UnvoteRequest(string id)
+        {
+            var permissions = GetPermissions();
+            var voter = permissions.Username;
+            if (string.IsNullOrEmpty(voter))
+            {
+                return Unauthorized();
+            }
+
+            var removed = 0;
+            var request = await _dbService.UpdateRequestAsync(id, r =>
+                (removed = r.Voters?.RemoveAll(v => string.Equals(v.Username, voter, StringComparison.OrdinalIgnoreCase)) ?? 0) > 0);
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            if (removed > 0)
+            {
+                await _events.RecordAsync(request, "unvoted", voter);
+                _logger.LogInformation($"[RequestsController] {voter} withdrew vote from request {id}");
+            }
+
+            return Ok(request);
+        }
+
+        /// <summary>
+        /// Get the comment thread of a request. Only the requester and users who can approve requests may read it.
+        /// </summary>
+        [HttpGet("{id}/comments")]
+        public async Task<ActionResult<List<RequestComment>>> GetComments(string id)
+        {
+            var permissions = GetPermissions();
+            if (string.IsNullOrEmpty(permissions.Username))
+            {
+                return Unauthorized();
+            }
+
+            var request = await _dbService.GetRequestAsync(id);
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            if (!CanReadThread(permissions, request))
+            {
+                return Forbid();
+            }
+
+            return Ok(request.Comments ?? new List<RequestComment>());
+        }
+
+        /// <summary>
+        /// Get the audit trail of a request. Kept after the request is deleted, so admins can still look it up.
+        /// Users who can't approve requests only see the history of their own requests.
+        /// </summary>
+        [HttpGet("{id}/history")]
+        public async Task<ActionResult<List<RequestEvent>>> GetHistory(string id)
+        {
+            var permissions = GetPermissions();
+            if (!permissions.CanApprove)
+            {
+                var request = await _dbService.GetRequestAsync(id);
+                if (request == null)
+                {
+                    return NotFound($"Request {id} not found");
+                }
+
+                if (!string.Equals(permissions.Username, request.Username, StringComparison.OrdinalIgnoreCase))
+                {
+                    return Forbid();
+                }
+            }
+
+            return Ok(await _dbService.GetRequestEventsAsync(id));
+        }
+
+        /// <summary>
+        /// Add a comment to a request. Only the requester and users who can approve requests may comment.
+        /// </summary>
+        [HttpPost("{id}/comments")]
+        public async Task<ActionResult<RequestComment>> AddComment(string id, [FromBody] AddCommentDto dto)
+        {
+            _logger.LogInformation($"[RequestsController] Comment POST called for {id}");
+
+            var permissions = GetPermissions();
+            var author = permissions.Username;
+            if (string.IsNullOrEmpty(author))
+            {
+                return Unauthorized();
+            }
+
+            if (dto == null || string.IsNullOrWhiteSpace(dto.Text))
+            {
+                return BadRequest("Comment text is required");
+            }
+
+            if (dto.Text.Length > MaxCommentLength)
+            {
+                return BadRequest($"Comment must be at most {MaxCommentLength} characters");
+            }
+
+            var request = await _dbService.GetRequestAsync(id);
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            if (!CanReadThread(permissions, request))
+            {
+                _logger.LogWarning($"[RequestsController] {author} tried to comment on request {id} owned by {request.Username}");
+                return Forbid();
+            }
+
+            RequestComment comment = null;
+            request = await _dbService.UpdateRequestAsync(id, r =>
+            {
+                comment = AppendComment(r, author, permissions.UserId, dto.Text, permissions.IsAdmin);
+                return true;
+            });
+            if (request == null)
+            {
+                return StatusCode(500, new { error = "Failed to save comment" });
+            }
+            _updates.Publish(request, "commented");
+
+            _logger.LogInformation($"[RequestsController] Added comment {comment.Id} to request {id}");
+            return Ok(comment);
+        }
+
+        [HttpDelete("{id}")]
+        public async Task<ActionResult> DeleteRequest(string id)
+        {
+            _logger.LogInformation($"[RequestsController] DELETE called for {id}");
+
+            var request = await _dbService.GetRequestAsync(id);
+            if (request == null)
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            // A requester withdrawing their own request cancels it; only request managers delete other people's
+            var permissions = GetPermissions();
+            var isOwn = string.Equals(permissions.Username, request.Username, StringComparison.OrdinalIgnoreCase);
+            if (!isOwn && !permissions.CanManage)
+            {
+                _logger.LogWarning($"[RequestsController] {permissions.Username} tried to delete request {id} owned by {request.Username}");
+                return Forbid();
+            }
+
+            if (!await _dbService.DeleteRequestAsync(id))
+            {
+                return NotFound($"Request {id} not found");
+            }
+
+            var cancelled = isOwn && !permissions.CanManage;
+            await _events.RecordAsync(request, cancelled ? "cancelled" : "deleted", permissions.Username);
+
+            _logger.LogInformation($"[RequestsController] Deleted request {id}");
+            return Ok();
+        }
+
+        /// <summary>
+        /// Approve, reject or delete many requests in one call.
+        /// Each id is handled on its own; failures are reported per id instead of aborting the batch.
+        /// </summary>
+        [HttpPost("batch")]
+        public async Task<ActionResult<BatchRequestResult>> BatchUpdateRequests([FromBody] BatchRequestDto batch)
+        {
+            var permissions = GetPermissions();
+            if (!permissions.CanManage)
+            {
+                return Forbid();
+            }
+
+            var name = permissions.Username;
+
+            var action = batch?.Action?.Trim().ToLowerInvariant();
+            if (action != "approve" && action != "reject" && action != "delete")
+            {
+                return BadRequest("Action must be approve, reject or delete");
+            }
+
+            var ids = batch.Ids?.Where(i => !string.IsNullOrEmpty(i)).Distinct().ToList() ?? new List<string>();
+            if (ids.Count == 0)
+            {
+                return BadRequest("No request ids given");
+            }
+
+            if (action == "reject" && string.IsNullOrWhiteSpace(batch.RejectionReason))
+            {
+                return BadRequest("A rejection reason is required");
+            }
+
+            var result = new BatchRequestResult { Action = action };
+            var approved = new List<MediaRequest>();
+
+            foreach (var requestId in ids)
+            {
+                var request = await _dbService.GetRequestAsync(requestId);
+                if (request == null)
+                {
+                    result.Failed.Add(new BatchRequestFailure { Id = requestId, Error = "Request not found" });
+                    continue;
+                }
+
+                if (action == "delete")
+                {
+                    if (await _dbService.DeleteRequestAsync(requestId))
+                    {
+                        await _events.RecordAsync(request, "deleted", name);
+                        result.Succeeded.Add(requestId);
+                    }
+                    else
+                    {
+                        result.Failed.Add(new BatchRequestFailure { Id = requestId, Error = "Failed to delete request" });
+                    }
+                    continue;
+                }
+
+                // Decide on the stored request so a change made meanwhile is not overwritten
+                var decided = false;
+                var updated = await _dbService.UpdateRequestAsync(requestId, r =>
+                {
+                    if (!string.Equals(r.Status, "pending", StringComparison.OrdinalIgnoreCase)) return false;
+
+                    r.ApprovedBy = name;
+                    if (action == "approve")
+                    {
+                        r.Status = "processing";
+                        r.RejectionReason = null;
+                        r.ImportError = null;
+                    }
+                    else
+                    {
+                        r.Status = "rejected";
+                        r.RejectionReason = batch.RejectionReason.Trim();
+                    }
+
+                    return decided = true;
+                });
+                if (updated == null)
+                {
+                    result.Failed.Add(new BatchRequestFailure { Id = requestId, Error = "Failed to save request" });
+                    continue;
+                }
+
+                if (!decided)
+                {
+                    result.Failed.Add(new BatchRequestFailure { Id = requestId, Error = $"Request is already {updated.Status}" });
+                    continue;
+                }
+
+                if (action == "approve")
+                {
+                    approved.Add(updated);
+                }
+
+                await _events.RecordAsync(updated, action == "approve" ? "approved" : "rejected", updated.ApprovedBy, updated.RejectionReason);
+                result.Succeeded.Add(requestId);
+            }
+
+            foreach (var request in approved)
+            {
+                QueueImport(request);
+            }
+
+            _logger.LogInformation($"[RequestsController] Batch {action}: {result.Succeeded.Count} succeeded, {result.Failed.Count} failed");
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Approve every pending request of a TMDB collection at once. Approvers without the manage role
+        /// skip their own requests, which are reported as failed.
+        /// </summary>
+        [HttpPost("collection/{collectionId}/approve")]
+        public async Task<ActionResult<BatchRequestResult>> ApproveCollection(string collectionId)
+        {
+            var permissions = GetPermissions();
+            if (!permissions.CanApprove)
+            {
+                return Forbid();
+            }
+
+            var pending = (await _dbService.GetRequestsAsync())
+                .Where(r => r.CollectionId == collectionId && string.Equals(r.Status, "pending", StringComparison.OrdinalIgnoreCase))
+                .OrderBy(r => r.Timestamp)
+                .ToList();
+            if (pending.Count == 0)
+            {
+                return NotFound($"No pending requests in collection {collectionId}");
+            }
+
+            var result = new BatchRequestResult { Action = "approve" };
+            foreach (var request in pending)
+            {
+                if (!permissions.CanManage && string.Equals(permissions.Username, request.Username, StringComparison.OrdinalIgnoreCase))
+                {
+                    result.Failed.Add(new BatchRequestFailure { Id = request.Id, Error = "You cannot approve your own request" });
+                    continue;
+                }
+
+                var approved = false;
+                var updated = await _dbService.UpdateRequestAsync(request.Id, r =>
+                {
+                    if (!string.Equals(r.Status, "pending", StringComparison.OrdinalIgnoreCase)) return false;
+
+                    r.Status = "processing";
+                    r.ApprovedBy = permissions.Username;
+                    r.RejectionReason = null;
+                    r.ImportError = null;
+                    return approved = true;
+                });
+                if (updated == null)
+                {
+                    result.Failed.Add(new BatchRequestFailure { Id = request.Id, Error = "Failed to save request" });
+                    continue;
+                }
+
+                if (!approved)
+                {
+                    result.Failed.Add(new BatchRequestFailure { Id = request.Id, Error = $"Request is already {updated.Status}" });
+                    continue;
+                }
+
+                await _events.RecordAsync(updated, "approved", permissions.Username);
+                result.Succeeded.Add(updated.Id);
+                QueueImport(updated);
+            }
+
+            _logger.LogInformation($"[RequestsController] Collection {collectionId} approved by {permissions.Username}: {result.Succeeded.Count} succeeded, {result.Failed.Count} failed");
+            return Ok(result);
+        }
+
+        /// <summary>
+        /// Clean up invalid requests (undefined/empty IDs)
+        /// </summary>
+        [HttpPost("cleanup")]
+        public async Task<ActionResult> CleanupRequests()
+        {
+            _logger.LogInformation("⚪ [RequestsController] Cleanup called");
+
+            var permissions = GetPermissions();
+            if (!permissions.CanManage)
+            {
+                return Forbid();
+            }
+
+            var requests = await _dbService.GetRequestsAsync();
+
+            // Remove requests with undefined/null/empty IDs
+            var invalidRequests = requests.Where(r =>
+                string.IsNullOrEmpty(r.ImdbId) || r.ImdbId == "undefined" ||
+                string.IsNullOrEmpty(r.TmdbId) || r.TmdbId == "undefined"
+            ).ToList();
+
+            var removed = 0;
+            foreach (var request in invalidRequests)
+            {
+                if (!await _dbService.DeleteRequestAsync(request.Id)) continue;
+                await _events.RecordAsync(request, "deleted", permissions.Username, "Removed by cleanup: missing IMDB/TMDB id");
+                removed++;
+            }
+
+            if (removed > 0)
+            {
+                _logger.LogInformation($"[RequestsController] Cleaned up {removed} invalid requests");
+            }
+
+            return Ok(new { removed, remaining = requests.Count - removed });
+        }
+
+        private const int MaxCommentLength = 2000;
+        private const int MaxPageSize = 200;
+        private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(25);
+
+        // Statuses that can be set through PUT; the rest (processing, scheduled, failed, partially_available)
+        // only come from the import, the release schedule and the library
+        private static readonly HashSet<string> UpdatableStatuses = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "pending", "approved", "rejected", "available"
+        };
+
+        /// <summary>
+        /// Apply the list filters and sort order of <see cref="RequestQuery"/>.
+        /// </summary>
+        private static List<MediaRequest> FilterRequests(IEnumerable<MediaRequest> requests, RequestQuery query)
+        {
+            var filtered = requests;
+
+            if (!string.IsNullOrWhiteSpace(query.Status))
+            {
+                var statuses = new HashSet<string>(
+                    query.Status.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries),
+                    StringComparer.OrdinalIgnoreCase);
+                filtered = filtered.Where(r => statuses.Contains(r.Status ?? "pending"));
+            }
+
+            if (!string.IsNullOrWhiteSpace(query.Type))
+            {
+                var wantSeries = IsSeriesType(query.Type);
+                filtered = filtered.Where(r => IsSeriesType(r.ItemType ?? r.TmdbMediaType) == wantSeries);
+            }
+
+            if (!string.IsNullOrWhiteSpace(query.Username))
+            {
+                // Requester or "me too" voter
+                filtered = filtered.Where(r =>
+                    string.Equals(r.Username, query.Username, StringComparison.OrdinalIgnoreCase) ||
+                    (r.Voters?.Any(v => string.Equals(v.Username, query.Username, StringComparison.OrdinalIgnoreCase)) ?? false));
+            }
+
+            if (!string.IsNullOrWhiteSpace(query.Q))
+            {
+                filtered = filtered.Where(r => r.Title != null && r.Title.Contains(query.Q.Trim(), StringComparison.OrdinalIgnoreCase));
+            }
+
+            if (query.From.HasValue)
+            {
+                filtered = filtered.Where(r => r.Timestamp >= query.From.Value);
+            }
+
+            if (query.To.HasValue)
+            {
+                filtered = filtered.Where(r => r.Timestamp <= query.To.Value);
+            }
+
+            switch ((query.Sort ?? string.Empty).ToLowerInvariant())
+            {
+                case "newest":
+                    filtered = filtered.OrderByDescending(r => r.Timestamp);
+                    break;
+                case "oldest":
+                    filtered = filtered.OrderBy(r => r.Timestamp);
+                    break;
+                case "votes":
+                    filtered = filtered.OrderByDescending(r => r.VoteCount).ThenByDescending(r => r.Timestamp);
+                    break;
+                case "title":
+                    filtered = filtered.OrderBy(r => r.Title, StringComparer.OrdinalIgnoreCase);
+                    break;
+            }
+
+            return filtered.ToList();
+        }
+
+        private static bool IsSeriesType(string type)
+        {
+            var t = (type ?? string.Empty).ToLowerInvariant();
+            return t == "series" || t == "tv" || t == "tvshow" || t == "show";
+        }
+
+        /// <summary>
+        /// Import a "processing" request in the background (only the requested seasons for series requests).
+        /// The import service records the outcome on the request.
+        /// </summary>
+        private void QueueImport(MediaRequest request)
+        {
+            try
+            {
+                // Resolve the server URL now; the HttpContext is gone once the background task runs.
+                var serverUrl = $"{Request.Scheme}://{Request.Host.Value}";
+
+                // Run in background so we don't block the HTTP response.
+                _ = System.Threading.Tasks.Task.Run(() => _importService.ProcessAsync(request, serverUrl));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "[RequestsController] Failed to trigger Gelato for request {RequestId}", request.Id);
+            }
+        }
+
+        /// <summary>
+        /// Count a user's non-rejected requests in the rolling window against their limits.
+        /// A limit of 0 means unlimited.
+        /// </summary>
+        private static RequestQuota GetQuota(PluginConfiguration config, IEnumerable<MediaRequest> requests, string userId, string username)
+        {
+            var windowDays = Math.Max(1, config.QuotaWindowDays);
+            var windowMs = (long)TimeSpan.FromDays(windowDays).TotalMilliseconds;
+            var since = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds() - windowMs;
+
+            var userOverride = string.IsNullOrEmpty(userId)
+                ? null
+                : config.UserQuotaOverrides?.FirstOrDefault(o => string.Equals(o.UserId, userId, StringComparison.OrdinalIgnoreCase));
+
+            var recent = requests
+                .Where(r => r.Timestamp >= since &&
+                            !string.Equals(r.Status, "rejected", StringComparison.OrdinalIgnoreCase) &&
+                            ((!string.IsNullOrEmpty(userId) && string.Equals(r.UserId, userId, StringComparison.OrdinalIgnoreCase)) ||
+                             (string.IsNullOrEmpty(userId) && !string.IsNullOrEmpty(username) && string.Equals(r.Username, username, StringComparison.OrdinalIgnoreCase))))
+                .ToList();
+
+            QuotaBucket Bucket(int limit, IEnumerable<MediaRequest> counted)
+            {
+                var list = counted.OrderBy(r => r.Timestamp).ToList();
+                return new QuotaBucket
+                {
+                    Limit = limit,
+                    Used = list.Count,
+                    Remaining = limit > 0 ? Math.Max(0, limit - list.Count) : null,
+                    // When the oldest counted request leaves the window a slot frees up
+                    ResetsAt = limit > 0 && list.Count >= limit ? list[list.Count - limit].Timestamp + windowMs : null
+                };
+            }
+
+            return new RequestQuota
+            {
+                WindowDays = windowDays,
+                Movie = Bucket(userOverride?.MovieLimit ?? config.MovieQuotaLimit, recent.Where(r => r.ItemType != "series")),
+                Series = Bucket(userOverride?.SeriesLimit ?? config.SeriesQuotaLimit, recent.Where(r => r.ItemType == "series"))
+            };
+        }
+
+        private async Task WriteEventAsync(string text, CancellationToken cancellationToken)
+        {
+            var bytes = Encoding.UTF8.GetBytes(text);
+            await Response.Body.WriteAsync(bytes, 0, bytes.Length, cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+        }
+
+        private RequestPermissions GetPermissions()
+        {
+            return _permissions.GetPermissions(HttpContext?.User);
+        }
+
+        /// <summary>
+        /// Whether the caller may read and join the thread of a request: its requester, or anyone who can approve.
+        /// </summary>
+        private static bool CanReadThread(RequestPermissions permissions, MediaRequest request)
+        {
+            return permissions.CanApprove || string.Equals(permissions.Username, request.Username, StringComparison.OrdinalIgnoreCase);
+        }
+
+        /// <summary>
+        /// Add a voter to a request. Returns false when the user is the requester or already voted.
+        /// </summary>
+        private static bool AddVote(MediaRequest request, string username, string userId)
+        {
+            if (string.IsNullOrEmpty(username) ||
+                string.Equals(request.Username, username, StringComparison.OrdinalIgnoreCase))
+            {
+                return false;
+            }
+
+            request.Voters ??= new List<RequestVoter>();
+            if (request.Voters.Any(v => string.Equals(v.Username, username, StringComparison.OrdinalIgnoreCase)))
+            {
+                return false;
+            }
+
+            request.Voters.Add(new RequestVoter
+            {
+                Username = username,
+                UserId = userId,
+                Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+            });
+            return true;
+        }
+
+        private static RequestComment AppendComment(MediaRequest request, string author, string userId, string text, bool isAdmin)
+        {
+            var comment = new RequestComment
+            {
+                Id = Guid.NewGuid().ToString("N"),
+                Username = author,
+                UserId = userId,
+                Text = text.Trim(),
+                IsAdmin = isAdmin,
+                Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+            };
+
+            request.Comments ??= new List<RequestComment>();
+            request.Comments.Add(comment);
+            return comment;
+        }
+    }
+
+    public class MediaRequest
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        [JsonPropertyName("userId")]
+        public string UserId { get; set; }
+
+        [JsonPropertyName("timestamp")]
+        public long Timestamp { get; set; }
+
+        [JsonPropertyName("title")]
+        public string Title { get; set; }
+
+        [JsonPropertyName("year")]
+        public string Year { get; set; }
 
         [JsonPropertyName("img")]
         public string Img { get; set; }
 
-        [JsonPropertyName("imdbId")]
-        public string ImdbId { get; set; }
+        [JsonPropertyName("imdbId")]
+        public string ImdbId { get; set; }
+
+        [JsonPropertyName("tmdbId")]
+        public string TmdbId { get; set; }
+
+        [JsonPropertyName("jellyfinId")]
+        public string JellyfinId { get; set; }
+
+        [JsonPropertyName("itemType")]
+        public string ItemType { get; set; }
+
+    [JsonPropertyName("tmdbMediaType")]
+    public string TmdbMediaType { get; set; }
+
+        [JsonPropertyName("status")]
+        public string Status { get; set; }
+
+        [JsonPropertyName("approvedBy")]
+        public string ApprovedBy { get; set; }
+
+        /// <summary>
+        /// Why an admin rejected the request. Only set while the status is "rejected".
+        /// </summary>
+        [JsonPropertyName("rejectionReason")]
+        public string RejectionReason { get; set; }
+
+        /// <summary>
+        /// Jellyfin id of the library item that fulfilled the request. Set once the status is "available".
+        /// </summary>
+        [JsonPropertyName("libraryItemId")]
+        public string LibraryItemId { get; set; }
+
+        /// <summary>
+        /// Why the last import attempt failed. Only set while the status is "failed".
+        /// </summary>
+        [JsonPropertyName("importError")]
+        public string ImportError { get; set; }
+
+        /// <summary>
+        /// When the item showed up in the library (Unix ms).
+        /// </summary>
+        [JsonPropertyName("availableAt")]
+        public long? AvailableAt { get; set; }
+
+        /// <summary>
+        /// Stremio catalog the item was requested from, when the client knows it. Used by catalog rules.
+        /// </summary>
+        [JsonPropertyName("catalogId")]
+        public string CatalogId { get; set; }
+
+        /// <summary>
+        /// TMDB collection (franchise) the movie was requested from; requests sharing it can be approved together.
+        /// </summary>
+        [JsonPropertyName("collectionId")]
+        public string CollectionId { get; set; }
+
+        [JsonPropertyName("collectionName")]
+        public string CollectionName { get; set; }
+
+        /// <summary>
+        /// TMDB release date (Unix ms) of a "scheduled" request; null while TMDB has none.
+        /// </summary>
+        [JsonPropertyName("releaseDate")]
+        public long? ReleaseDate { get; set; }
+
+        /// <summary>
+        /// Name of the rule that approved or rejected the request on creation; null when an admin decided.
+        /// </summary>
+        [JsonPropertyName("autoRule")]
+        public string AutoRule { get; set; }
+
+        /// <summary>
+        /// TMDB genre names. Null until the request statistics first look them up.
+        /// </summary>
+        [JsonPropertyName("genres")]
+        public List<string> Genres { get; set; }
+
+        /// <summary>
+        /// Seasons selected for a series request. Empty means the whole series.
+        /// </summary>
+        [JsonPropertyName("seasons")]
+        public List<RequestedSeason> Seasons { get; set; } = new List<RequestedSeason>();
+
+        /// <summary>
+        /// Conversation between the requester and administrators.
+        /// </summary>
+        [JsonPropertyName("comments")]
+        public List<RequestComment> Comments { get; set; } = new List<RequestComment>();
+
+        /// <summary>
+        /// Other users who asked for the same item ("me too").
+        /// </summary>
+        [JsonPropertyName("voters")]
+        public List<RequestVoter> Voters { get; set; } = new List<RequestVoter>();
+
+        /// <summary>
+        /// Demand for the item: the requester plus every voter.
+        /// </summary>
+        [JsonPropertyName("voteCount")]
+        public int VoteCount => 1 + (Voters?.Count ?? 0);
+    }
+
+    public class RequestVoter
+    {
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        [JsonPropertyName("userId")]
+        public string UserId { get; set; }
+
+        [JsonPropertyName("timestamp")]
+        public long Timestamp { get; set; }
+    }
+
+    public class RequestComment
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
 
-        [JsonPropertyName("tmdbId")]
-        public string TmdbId { get; set; }
+        [JsonPropertyName("userId")]
+        public string UserId { get; set; }
 
-        [JsonPropertyName("jellyfinId")]
-        public string JellyfinId { get; set; }
+        [JsonPropertyName("text")]
+        public string Text { get; set; }
+
+        [JsonPropertyName("isAdmin")]
+        public bool IsAdmin { get; set; }
+
+        [JsonPropertyName("timestamp")]
+        public long Timestamp { get; set; }
+    }
+
+    /// <summary>
+    /// A request change pushed to open pages over the events stream.
+    /// </summary>
+    public class RequestUpdate
+    {
+        [JsonPropertyName("requestId")]
+        public string RequestId { get; set; }
+
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        [JsonPropertyName("status")]
+        public string Status { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        [JsonPropertyName("title")]
+        public string Title { get; set; }
 
         [JsonPropertyName("itemType")]
         public string ItemType { get; set; }
 
-    [JsonPropertyName("tmdbMediaType")]
-    public string TmdbMediaType { get; set; }
+        [JsonPropertyName("timestamp")]
+        public long Timestamp { get; set; }
+
+        /// <summary>Who voted on the request; decides who else gets the update, never sent.</summary>
+        [JsonIgnore]
+        public List<string> Voters { get; set; } = new List<string>();
+    }
+
+    /// <summary>
+    /// One entry of a request's audit trail: created, voted, approved, rejected, imported, cancelled, deleted, ...
+    /// </summary>
+    public class RequestEvent
+    {
+        [JsonPropertyName("id")]
+        public long Id { get; set; }
+
+        [JsonPropertyName("requestId")]
+        public string RequestId { get; set; }
+
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        /// <summary>
+        /// Who did it; null for changes made by Cavea itself (imports, library scans).
+        /// </summary>
+        [JsonPropertyName("actor")]
+        public string Actor { get; set; }
+
+        [JsonPropertyName("details")]
+        public string Details { get; set; }
+
+        [JsonPropertyName("timestamp")]
+        public long Timestamp { get; set; }
+    }
+
+    public class RequestedSeason
+    {
+        [JsonPropertyName("seasonNumber")]
+        public int SeasonNumber { get; set; }
+
+        /// <summary>
+        /// Episode numbers within the season. Empty means the whole season.
+        /// </summary>
+        [JsonPropertyName("episodes")]
+        public List<int> Episodes { get; set; } = new List<int>();
+    }
+
+    public class UserQuotaOverride
+    {
+        [JsonPropertyName("userId")]
+        public string UserId { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        /// <summary>
+        /// Movie limit for this user; null falls back to the global limit.
+        /// </summary>
+        [JsonPropertyName("movieLimit")]
+        public int? MovieLimit { get; set; }
+
+        /// <summary>
+        /// Series limit for this user; null falls back to the global limit.
+        /// </summary>
+        [JsonPropertyName("seriesLimit")]
+        public int? SeriesLimit { get; set; }
+    }
+
+    /// <summary>
+    /// Cavea roles given to a Jellyfin user: "request", "import", "approve" and "manage".
+    /// </summary>
+    public class UserRoleAssignment
+    {
+        [JsonPropertyName("userId")]
+        public string UserId { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        [JsonPropertyName("roles")]
+        public List<string> Roles { get; set; } = new List<string>();
+    }
+
+    /// <summary>
+    /// What the current user may do with requests. Request managers approve, reject, retry and delete any
+    /// request; approvers only approve other people's requests.
+    /// </summary>
+    public class RequestPermissions
+    {
+        [JsonPropertyName("userId")]
+        public string UserId { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        [JsonPropertyName("isAdmin")]
+        public bool IsAdmin { get; set; }
+
+        [JsonPropertyName("roles")]
+        public List<string> Roles { get; set; } = new List<string>();
+
+        [JsonPropertyName("canRequest")]
+        public bool CanRequest { get; set; }
+
+        [JsonPropertyName("canImport")]
+        public bool CanImport { get; set; }
+
+        [JsonPropertyName("canApprove")]
+        public bool CanApprove { get; set; }
+
+        [JsonPropertyName("canManage")]
+        public bool CanManage { get; set; }
+    }
+
+    /// <summary>
+    /// Approves or rejects a new request when all of its conditions hold. Empty conditions are ignored,
+    /// but a rule needs at least one besides the media type.
+    /// </summary>
+    public class RequestRule
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        [JsonPropertyName("name")]
+        public string Name { get; set; }
+
+        [JsonPropertyName("enabled")]
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// "approve" or "reject".
+        /// </summary>
+        [JsonPropertyName("action")]
+        public string Action { get; set; } = "approve";
+
+        /// <summary>
+        /// "movie" or "series"; empty matches both.
+        /// </summary>
+        [JsonPropertyName("mediaType")]
+        public string MediaType { get; set; }
+
+        /// <summary>
+        /// Minimum TMDB rating (0-10).
+        /// </summary>
+        [JsonPropertyName("minRating")]
+        public double? MinRating { get; set; }
+
+        /// <summary>
+        /// Requesters (username or user id) the rule applies to.
+        /// </summary>
+        [JsonPropertyName("users")]
+        public List<string> Users { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Catalog ids the request must come from.
+        /// </summary>
+        [JsonPropertyName("catalogs")]
+        public List<string> Catalogs { get; set; } = new List<string>();
+
+        /// <summary>
+        /// US content ratings, e.g. "R", "NC-17", "TV-MA".
+        /// </summary>
+        [JsonPropertyName("contentRatings")]
+        public List<string> ContentRatings { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Shown to the requester when a reject rule fires.
+        /// </summary>
+        [JsonPropertyName("rejectionReason")]
+        public string RejectionReason { get; set; }
+    }
+
+    public class RequestQuota
+    {
+        [JsonPropertyName("windowDays")]
+        public int WindowDays { get; set; }
+
+        [JsonPropertyName("exempt")]
+        public bool Exempt { get; set; }
+
+        [JsonPropertyName("movie")]
+        public QuotaBucket Movie { get; set; }
+
+        [JsonPropertyName("series")]
+        public QuotaBucket Series { get; set; }
+    }
+
+    public class QuotaBucket
+    {
+        [JsonPropertyName("limit")]
+        public int Limit { get; set; }
 
+        [JsonPropertyName("used")]
+        public int Used { get; set; }
+
+        /// <summary>
+        /// Requests left in the window; null when unlimited.
+        /// </summary>
+        [JsonPropertyName("remaining")]
+        public int? Remaining { get; set; }
+
+        /// <summary>
+        /// Unix ms when the next slot frees up; only set while the quota is used up.
+        /// </summary>
+        [JsonPropertyName("resetsAt")]
+        public long? ResetsAt { get; set; }
+    }
+
+    public class RequestStats
+    {
+        /// <summary>
+        /// Window the numbers cover; 0 for all time.
+        /// </summary>
+        [JsonPropertyName("days")]
+        public int Days { get; set; }
+
+        [JsonPropertyName("total")]
+        public int Total { get; set; }
+
+        [JsonPropertyName("byStatus")]
+        public Dictionary<string, int> ByStatus { get; set; } = new Dictionary<string, int>();
+
+        [JsonPropertyName("approved")]
+        public int Approved { get; set; }
+
+        [JsonPropertyName("rejected")]
+        public int Rejected { get; set; }
+
+        /// <summary>
+        /// Approved share of the decided requests (0-1); null while nothing was decided.
+        /// </summary>
+        [JsonPropertyName("approvalRate")]
+        public double? ApprovalRate { get; set; }
+
+        [JsonPropertyName("medianTimeToApprovalMs")]
+        public long? MedianTimeToApprovalMs { get; set; }
+
+        [JsonPropertyName("medianTimeToAvailableMs")]
+        public long? MedianTimeToAvailableMs { get; set; }
+
+        [JsonPropertyName("users")]
+        public List<RequestUserStats> Users { get; set; } = new List<RequestUserStats>();
+
+        [JsonPropertyName("topGenres")]
+        public List<GenreCount> TopGenres { get; set; } = new List<GenreCount>();
+
+        /// <summary>
+        /// Requests whose genres are known; the rest are looked up on later calls.
+        /// </summary>
+        [JsonPropertyName("genresKnown")]
+        public int GenresKnown { get; set; }
+
+        [JsonPropertyName("mostVotedPending")]
+        public List<MediaRequest> MostVotedPending { get; set; } = new List<MediaRequest>();
+    }
+
+    public class RequestUserStats
+    {
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
+        [JsonPropertyName("total")]
+        public int Total { get; set; }
+
+        [JsonPropertyName("pending")]
+        public int Pending { get; set; }
+
+        [JsonPropertyName("approved")]
+        public int Approved { get; set; }
+
+        [JsonPropertyName("rejected")]
+        public int Rejected { get; set; }
+
+        [JsonPropertyName("available")]
+        public int Available { get; set; }
+    }
+
+    public class GenreCount
+    {
+        [JsonPropertyName("genre")]
+        public string Genre { get; set; }
+
+        [JsonPropertyName("count")]
+        public int Count { get; set; }
+    }
+
+    public class UpdateRequestDto
+    {
         [JsonPropertyName("status")]
         public string Status { get; set; }
 
-        [JsonPropertyName("approvedBy")]
-        public string ApprovedBy { get; set; }
+        [JsonPropertyName("adminNote")]
+        public string AdminNote { get; set; }
+
+        [JsonPropertyName("rejectionReason")]
+        public string RejectionReason { get; set; }
     }
 
-    public class UpdateRequestDto
+    /// <summary>
+    /// Query string of GET /api/cavea/requests. Every filter is optional.
+    /// </summary>
+    public class RequestQuery
+    {
+        /// <summary>Comma-separated statuses, e.g. "approved,processing,failed".</summary>
+        [FromQuery(Name = "status")]
+        public string Status { get; set; }
+
+        /// <summary>"movie" or "series".</summary>
+        [FromQuery(Name = "type")]
+        public string Type { get; set; }
+
+        /// <summary>Requester or voter.</summary>
+        [FromQuery(Name = "username")]
+        public string Username { get; set; }
+
+        /// <summary>Case-insensitive title search.</summary>
+        [FromQuery(Name = "q")]
+        public string Q { get; set; }
+
+        /// <summary>Created at or after (Unix ms).</summary>
+        [FromQuery(Name = "from")]
+        public long? From { get; set; }
+
+        /// <summary>Created at or before (Unix ms).</summary>
+        [FromQuery(Name = "to")]
+        public long? To { get; set; }
+
+        /// <summary>"newest", "oldest", "votes" or "title". Default keeps creation order.</summary>
+        [FromQuery(Name = "sort")]
+        public string Sort { get; set; }
+
+        [FromQuery(Name = "offset")]
+        public int Offset { get; set; }
+
+        [FromQuery(Name = "limit")]
+        public int? Limit { get; set; }
+    }
+
+    public class RequestPage
+    {
+        [JsonPropertyName("items")]
+        public List<MediaRequest> Items { get; set; } = new List<MediaRequest>();
+
+        [JsonPropertyName("total")]
+        public int Total { get; set; }
+
+        [JsonPropertyName("offset")]
+        public int Offset { get; set; }
+
+        [JsonPropertyName("limit")]
+        public int Limit { get; set; }
+    }
+
+    public class BatchRequestDto
+    {
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        [JsonPropertyName("ids")]
+        public List<string> Ids { get; set; }
+
+        [JsonPropertyName("rejectionReason")]
+        public string RejectionReason { get; set; }
+    }
+
+    public class BatchRequestResult
+    {
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        [JsonPropertyName("succeeded")]
+        public List<string> Succeeded { get; set; } = new List<string>();
+
+        [JsonPropertyName("failed")]
+        public List<BatchRequestFailure> Failed { get; set; } = new List<BatchRequestFailure>();
+    }
+
+    public class BatchRequestFailure
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        [JsonPropertyName("error")]
+        public string Error { get; set; }
+    }
+
+    public class RequestImportDto
+    {
+        /// <summary>
+        /// "csv" or "json"; guessed from the content when empty.
+        /// </summary>
+        [JsonPropertyName("format")]
+        public string Format { get; set; }
+
+        [JsonPropertyName("content")]
+        public string Content { get; set; }
+
+        /// <summary>
+        /// Only report what would be imported.
+        /// </summary>
+        [JsonPropertyName("dryRun")]
+        public bool DryRun { get; set; }
+    }
+
+    public class RequestTransferResult
+    {
+        [JsonPropertyName("dryRun")]
+        public bool DryRun { get; set; }
+
+        [JsonPropertyName("total")]
+        public int Total { get; set; }
+
+        [JsonPropertyName("imported")]
+        public int Imported { get; set; }
+
+        [JsonPropertyName("skipped")]
+        public int Skipped { get; set; }
+
+        [JsonPropertyName("failed")]
+        public int Failed { get; set; }
+
+        [JsonPropertyName("rows")]
+        public List<RequestImportRow> Rows { get; set; } = new List<RequestImportRow>();
+    }
+
+    /// <summary>
+    /// What happened to one row of an import file: "import", "duplicate", "unresolved" or "invalid".
+    /// </summary>
+    public class RequestImportRow
     {
+        [JsonPropertyName("row")]
+        public int Row { get; set; }
+
+        [JsonPropertyName("action")]
+        public string Action { get; set; }
+
+        [JsonPropertyName("message")]
+        public string Message { get; set; }
+
+        [JsonPropertyName("title")]
+        public string Title { get; set; }
+
+        [JsonPropertyName("year")]
+        public string Year { get; set; }
+
+        [JsonPropertyName("itemType")]
+        public string ItemType { get; set; }
+
+        [JsonPropertyName("imdbId")]
+        public string ImdbId { get; set; }
+
+        [JsonPropertyName("tmdbId")]
+        public string TmdbId { get; set; }
+
+        [JsonPropertyName("username")]
+        public string Username { get; set; }
+
         [JsonPropertyName("status")]
         public string Status { get; set; }
 
-        [JsonPropertyName("approvedBy")]
-        public string ApprovedBy { get; set; }
+        /// <summary>
+        /// Tool the file came from, when it can be told ("Jellyseerr", "Ombi").
+        /// </summary>
+        [JsonPropertyName("source")]
+        public string Source { get; set; }
+    }
+
+    public class AddCommentDto
+    {
+        [JsonPropertyName("text")]
+        public string Text { get; set; }
     }
 }
@@ -8,6 +8,8 @@ using System.Threading.Tasks;
 using System.Net.Http;
 using System.Net.Http.Json;
 using Cavea.Services;
+using Jellyfin.Data.Enums;
+using MediaBrowser.Controller.Entities;
 using MediaBrowser.Controller.Library;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Logging;
@@ -19,6 +21,8 @@ namespace Cavea.Api
     [Produces("application/json")]
     public class SearchModalMetadataController : ControllerBase
     {
+        private const int MaxRecommendations = 20;
+
         private readonly ILogger<SearchModalMetadataController> _logger;
         private readonly ILibraryManager _libraryManager;
         private readonly CaveaDbService _caveaDb;
@@ -42,7 +46,10 @@ namespace Cavea.Api
             [FromQuery] string? title,
             [FromQuery] int? year,
             [FromQuery] bool includeCredits = false,
-            [FromQuery] bool includeReviews = false)
+            [FromQuery] bool includeReviews = false,
+            [FromQuery] bool includeVideos = false,
+            [FromQuery] string? language = null,
+            [FromQuery] bool includeRecommendations = false)
         {
             // Robust ID handling: strip prefixes
             if (tmdbId != null && tmdbId.StartsWith("tmdb:")) tmdbId = tmdbId.Substring(5);
@@ -191,6 +198,14 @@ namespace Cavea.Api
                             var reviews = await FetchTMDBReviews(tmdbIdOnly, mediaTypeForReviews);
                             if (reviews != null) mapped["reviews"] = reviews;
                         }
+                        if (includeVideos)
+                        {
+                            mapped["videos"] = await GetVideosAsync(root, tmdbIdOnly, null, itemType, language);
+                        }
+                        if (includeRecommendations)
+                        {
+                            mapped["recommendations"] = await GetRecommendationsAsync(tmdbIdOnly, null, itemType);
+                        }
                         return Ok(mapped);
                     }
                 }
@@ -228,6 +243,17 @@ namespace Cavea.Api
                                  }
                              }
                          }
+
+                         if (includeVideos || includeRecommendations)
+                         {
+                             var knownTmdbId = tmdbId;
+                             if (string.IsNullOrEmpty(knownTmdbId) && stremioId != null && stremioId.StartsWith("tmdb:")) knownTmdbId = stremioId.Substring(5);
+                             if (string.IsNullOrEmpty(knownTmdbId) && mapped.TryGetValue("tmdb_id", out var mappedTmdb) && mappedTmdb is string t && t.All(char.IsDigit)) knownTmdbId = t;
+                             var knownImdbId = mapped.TryGetValue("imdb_id", out var mappedImdb) ? mappedImdb as string : imdbId;
+
+                             if (includeVideos) mapped["videos"] = await GetVideosAsync(root, knownTmdbId, knownImdbId, itemType, language);
+                             if (includeRecommendations) mapped["recommendations"] = await GetRecommendationsAsync(knownTmdbId, knownImdbId, itemType);
+                         }
                          
                          return Ok(mapped);
                      }
@@ -315,6 +341,267 @@ namespace Cavea.Api
             }
         }
 
+        /// <summary>
+        /// List the seasons of a TMDB series. When <paramref name="season"/> is given, that season
+        /// also carries its episodes, served from the TMDB episode cache where possible.
+        /// Seasons and episodes note what is already in the library.
+        /// </summary>
+        [HttpGet("seasons")]
+        public async Task<ActionResult> GetSeasons(
+            [FromQuery] string? tmdbId,
+            [FromQuery] int? season,
+            [FromQuery] string? imdbId)
+        {
+            if (tmdbId != null && tmdbId.StartsWith("tmdb:")) tmdbId = tmdbId.Substring(5);
+            if (imdbId != null && imdbId.StartsWith("imdb:")) imdbId = imdbId.Substring(5);
+            if (string.IsNullOrEmpty(tmdbId)) return BadRequest(new { error = "tmdbId is required" });
+
+            try
+            {
+                var cfg = Plugin.Instance?.Configuration;
+                var apiKey = cfg?.TmdbApiKey;
+                if (string.IsNullOrEmpty(apiKey)) return BadRequest(new { error = "TMDB API Key not configured" });
+
+                using var client = new HttpClient();
+                var url = $"https://api.themoviedb.org/3/tv/{tmdbId}?api_key={apiKey}";
+                var response = await client.GetAsync(url);
+                if (!response.IsSuccessStatusCode) return NotFound(new { error = "Series not found on TMDB" });
+
+                var data = await response.Content.ReadFromJsonAsync<JsonElement>();
+                var series = FindLibrarySeries(tmdbId, imdbId);
+                var present = GetLibraryEpisodes(series);
+
+                var seasons = new List<Dictionary<string, object?>>();
+                if (data.TryGetProperty("seasons", out var seasonsArr) && seasonsArr.ValueKind == JsonValueKind.Array)
+                {
+                    foreach (var s in seasonsArr.EnumerateArray())
+                    {
+                        if (!s.TryGetProperty("season_number", out var snProp) || !snProp.TryGetInt32(out var seasonNumber)) continue;
+                        var episodeCount = s.TryGetProperty("episode_count", out var ecProp) && ecProp.TryGetInt32(out var ec) ? ec : 0;
+                        var posterPath = GetString(s, "poster_path");
+
+                        var entry = new Dictionary<string, object?>
+                        {
+                            ["seasonNumber"] = seasonNumber,
+                            ["name"] = GetString(s, "name") ?? $"Season {seasonNumber}",
+                            ["episodeCount"] = episodeCount,
+                            ["airDate"] = GetString(s, "air_date"),
+                            ["poster"] = posterPath != null ? "https://image.tmdb.org/t/p/w300" + posterPath : null,
+                            ["libraryEpisodeCount"] = present.Count(p => p.Season == seasonNumber)
+                        };
+
+                        if (season.HasValue && season.Value == seasonNumber)
+                        {
+                            var episodes = await GetSeasonEpisodesAsync(client, apiKey, tmdbId, seasonNumber, episodeCount);
+                            foreach (var episode in episodes)
+                            {
+                                episode["inLibrary"] = episode["episodeNumber"] is int number && present.Contains((seasonNumber, number));
+                            }
+                            entry["episodes"] = episodes;
+                        }
+
+                        seasons.Add(entry);
+                    }
+                }
+
+                return Ok(new { tmdbId, libraryItemId = series?.Id.ToString("N"), seasons });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [Cavea.SearchMetadata] Error getting seasons for {Id}", tmdbId);
+                return StatusCode(500, new { error = "Internal server error" });
+            }
+        }
+
+        /// <summary>
+        /// The TMDB collection (franchise) a movie belongs to, with the library and request status of
+        /// every part. <c>collection</c> is null when the movie is not part of one.
+        /// </summary>
+        [HttpGet("collection")]
+        public async Task<ActionResult> GetCollection([FromQuery] string? tmdbId)
+        {
+            if (tmdbId != null && tmdbId.StartsWith("tmdb:")) tmdbId = tmdbId.Substring(5);
+            if (string.IsNullOrEmpty(tmdbId)) return BadRequest(new { error = "tmdbId is required" });
+
+            try
+            {
+                var cfg = Plugin.Instance?.Configuration;
+                var apiKey = cfg?.TmdbApiKey;
+                if (string.IsNullOrEmpty(apiKey)) return BadRequest(new { error = "TMDB API Key not configured" });
+
+                using var client = new HttpClient();
+                var movieResponse = await client.GetAsync($"https://api.themoviedb.org/3/movie/{tmdbId}?api_key={apiKey}");
+                if (!movieResponse.IsSuccessStatusCode) return NotFound(new { error = "Movie not found on TMDB" });
+
+                var movie = await movieResponse.Content.ReadFromJsonAsync<JsonElement>();
+                if (!movie.TryGetProperty("belongs_to_collection", out var belongs) || belongs.ValueKind != JsonValueKind.Object
+                    || !belongs.TryGetProperty("id", out var collectionIdProp))
+                {
+                    return Ok(new { tmdbId, collection = (object?)null });
+                }
+
+                var collectionId = collectionIdProp.GetRawText().Trim('"');
+                var response = await client.GetAsync($"https://api.themoviedb.org/3/collection/{collectionId}?api_key={apiKey}");
+                if (!response.IsSuccessStatusCode) return NotFound(new { error = "Collection not found on TMDB" });
+
+                var data = await response.Content.ReadFromJsonAsync<JsonElement>();
+                var requests = (await _caveaDb.GetRequestsAsync())
+                    .Where(r => string.Equals(r.ItemType, "movie", StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+
+                var parts = new List<Dictionary<string, object?>>();
+                if (data.TryGetProperty("parts", out var partsArr) && partsArr.ValueKind == JsonValueKind.Array)
+                {
+                    foreach (var part in partsArr.EnumerateArray())
+                    {
+                        if (!part.TryGetProperty("id", out var idProp)) continue;
+                        var partId = idProp.GetRawText().Trim('"');
+                        var releaseDate = GetString(part, "release_date");
+                        var posterPath = GetString(part, "poster_path");
+
+                        var libraryItem = FindLibraryItem(partId, BaseItemKind.Movie);
+
+                        // Newest request wins when the title was requested more than once
+                        var request = requests
+                            .Where(r => r.TmdbId == partId)
+                            .OrderByDescending(r => r.Timestamp)
+                            .FirstOrDefault();
+
+                        parts.Add(new Dictionary<string, object?>
+                        {
+                            ["tmdbId"] = partId,
+                            ["title"] = GetString(part, "title") ?? GetString(part, "name"),
+                            ["year"] = releaseDate != null && releaseDate.Length >= 4 ? releaseDate.Substring(0, 4) : null,
+                            ["releaseDate"] = string.IsNullOrEmpty(releaseDate) ? null : releaseDate,
+                            ["overview"] = GetString(part, "overview"),
+                            ["poster"] = posterPath != null ? "https://image.tmdb.org/t/p/w300" + posterPath : null,
+                            ["inLibrary"] = libraryItem != null,
+                            ["libraryItemId"] = libraryItem?.Id.ToString("N"),
+                            ["requestId"] = request?.Id,
+                            ["requestStatus"] = request?.Status,
+                            ["requestedBy"] = request?.Username,
+                            ["linked"] = request != null && request.CollectionId == collectionId
+                        });
+                    }
+                }
+
+                // Release order; unannounced parts go last
+                parts = parts
+                    .OrderBy(p => p["releaseDate"] == null)
+                    .ThenBy(p => p["releaseDate"] as string, StringComparer.Ordinal)
+                    .ToList();
+
+                var collectionPoster = GetString(data, "poster_path");
+                var collectionBackdrop = GetString(data, "backdrop_path");
+                return Ok(new
+                {
+                    tmdbId,
+                    collection = new
+                    {
+                        id = collectionId,
+                        name = GetString(data, "name"),
+                        overview = GetString(data, "overview"),
+                        poster = collectionPoster != null ? "https://image.tmdb.org/t/p/w300" + collectionPoster : null,
+                        backdrop = collectionBackdrop != null ? "https://image.tmdb.org/t/p/original" + collectionBackdrop : null,
+                        parts
+                    }
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [Cavea.SearchMetadata] Error getting collection for {Id}", tmdbId);
+                return StatusCode(500, new { error = "Internal server error" });
+            }
+        }
+
+        private BaseItem? FindLibrarySeries(string tmdbId, string? imdbId)
+        {
+            var providerIds = new Dictionary<string, string> { { "Tmdb", tmdbId } };
+            if (!string.IsNullOrEmpty(imdbId)) providerIds["Imdb"] = imdbId;
+
+            return _libraryManager.GetItemList(new InternalItemsQuery
+            {
+                Recursive = true,
+                Limit = 1,
+                IncludeItemTypes = new[] { BaseItemKind.Series },
+                HasAnyProviderId = providerIds
+            }).FirstOrDefault();
+        }
+
+        /// <summary>
+        /// (season, episode) numbers of every episode of <paramref name="series"/> in the library.
+        /// </summary>
+        private HashSet<(int Season, int Episode)> GetLibraryEpisodes(BaseItem? series)
+        {
+            if (series == null) return new HashSet<(int Season, int Episode)>();
+
+            return new HashSet<(int Season, int Episode)>(_libraryManager.GetItemList(new InternalItemsQuery
+                {
+                    AncestorIds = new[] { series.Id },
+                    IncludeItemTypes = new[] { BaseItemKind.Episode },
+                    Recursive = true
+                })
+                .Where(e => e.ParentIndexNumber.HasValue && e.IndexNumber.HasValue)
+                .Select(e => (e.ParentIndexNumber!.Value, e.IndexNumber!.Value)));
+        }
+
+        /// <summary>
+        /// Episodes of one season. Uses the TMDB episode cache when every episode is cached,
+        /// otherwise fetches the season from TMDB and refreshes the cache.
+        /// </summary>
+        private async Task<List<Dictionary<string, object?>>> GetSeasonEpisodesAsync(HttpClient client, string apiKey, string tmdbId, int seasonNumber, int episodeCount)
+        {
+            var episodes = new List<Dictionary<string, object?>>();
+
+            if (episodeCount > 0)
+            {
+                for (var ep = 1; ep <= episodeCount; ep++)
+                {
+                    var cached = await _caveaDb.GetTmdbEpisodeAsync(tmdbId, seasonNumber, ep);
+                    if (cached == null) break;
+                    using var doc = JsonDocument.Parse(cached);
+                    episodes.Add(MapTmdbEpisode(doc.RootElement));
+                }
+                if (episodes.Count == episodeCount) return episodes;
+                episodes.Clear();
+            }
+
+            var url = $"https://api.themoviedb.org/3/tv/{tmdbId}/season/{seasonNumber}?api_key={apiKey}";
+            var response = await client.GetAsync(url);
+            if (!response.IsSuccessStatusCode) return episodes;
+
+            var data = await response.Content.ReadFromJsonAsync<JsonElement>();
+            if (data.TryGetProperty("episodes", out var epArr) && epArr.ValueKind == JsonValueKind.Array)
+            {
+                foreach (var ep in epArr.EnumerateArray())
+                {
+                    if (!ep.TryGetProperty("episode_number", out var enProp) || !enProp.TryGetInt32(out var episodeNumber)) continue;
+                    await _caveaDb.SaveTmdbEpisodeAsync(tmdbId, seasonNumber, episodeNumber, ep.GetRawText());
+                    episodes.Add(MapTmdbEpisode(ep));
+                }
+            }
+
+            return episodes;
+        }
+
+        private static Dictionary<string, object?> MapTmdbEpisode(JsonElement ep)
+        {
+            var stillPath = GetString(ep, "still_path");
+            return new Dictionary<string, object?>
+            {
+                ["episodeNumber"] = ep.TryGetProperty("episode_number", out var en) && en.TryGetInt32(out var n) ? n : 0,
+                ["name"] = GetString(ep, "name"),
+                ["airDate"] = GetString(ep, "air_date"),
+                ["overview"] = GetString(ep, "overview"),
+                ["still"] = stillPath != null ? "https://image.tmdb.org/t/p/w300" + stillPath : null
+            };
+        }
+
+        private static string? GetString(JsonElement el, string name)
+        {
+            return el.TryGetProperty(name, out var prop) && prop.ValueKind == JsonValueKind.String ? prop.GetString() : null;
+        }
+
         private async Task<object?> FetchMetadataFromGelato(string id, object mediaTypeEnum)
         {
             try
@@ -716,6 +1003,187 @@ namespace Cavea.Api
             return mapped;
         }
 
+        /// <summary>
+        /// Trailers and other videos for the item: TMDB videos in <paramref name="language"/>, English and
+        /// without a language, followed by any trailers the Stremio meta lists. The client picks which to play.
+        /// </summary>
+        private async Task<List<Dictionary<string, object?>>> GetVideosAsync(JsonElement root, string? tmdbId, string? imdbId, string? itemType, string? language)
+        {
+            var videos = new List<Dictionary<string, object?>>();
+            var mediaType = string.Equals(itemType, "series", StringComparison.OrdinalIgnoreCase) ||
+                          string.Equals(itemType, "tv", StringComparison.OrdinalIgnoreCase) ? "tv" : "movie";
+
+            try
+            {
+                var apiKey = Plugin.Instance?.Configuration?.TmdbApiKey;
+                if (!string.IsNullOrEmpty(apiKey))
+                {
+                    using var client = new HttpClient();
+                    if (string.IsNullOrEmpty(tmdbId)) tmdbId = await ResolveTmdbIdFromImdbAsync(client, apiKey, imdbId, mediaType);
+
+                    if (!string.IsNullOrEmpty(tmdbId))
+                    {
+                        var lang = string.IsNullOrWhiteSpace(language) ? "en" : language.Trim().Split('-')[0].ToLowerInvariant();
+                        var languages = lang == "en" ? "en,null" : $"{lang},en,null";
+                        var url = $"https://api.themoviedb.org/3/{mediaType}/{tmdbId}/videos?api_key={apiKey}&include_video_language={Uri.EscapeDataString(languages)}";
+                        var response = await client.GetAsync(url);
+                        if (response.IsSuccessStatusCode)
+                        {
+                            var data = await response.Content.ReadFromJsonAsync<JsonElement>();
+                            if (data.TryGetProperty("results", out var results) && results.ValueKind == JsonValueKind.Array)
+                            {
+                                foreach (var video in results.EnumerateArray())
+                                {
+                                    var key = GetString(video, "key");
+                                    if (string.IsNullOrEmpty(key)) continue;
+                                    videos.Add(new Dictionary<string, object?>
+                                    {
+                                        ["key"] = key,
+                                        ["site"] = GetString(video, "site"),
+                                        ["type"] = GetString(video, "type"),
+                                        ["name"] = GetString(video, "name"),
+                                        ["language"] = GetString(video, "iso_639_1"),
+                                        ["official"] = video.TryGetProperty("official", out var official) && official.ValueKind == JsonValueKind.True,
+                                        ["publishedAt"] = GetString(video, "published_at")
+                                    });
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [Cavea.SearchMetadata] Error fetching TMDB videos for {Id}", tmdbId);
+            }
+
+            // Stremio metas list YouTube trailers as trailers[].source or trailerStreams[].ytId; the language is unknown
+            foreach (var (arrayName, keyName, nameKey) in new[] { ("trailers", "source", "type"), ("trailerStreams", "ytId", "title") })
+            {
+                if (!root.TryGetProperty(arrayName, out var trailers) || trailers.ValueKind != JsonValueKind.Array) continue;
+                foreach (var trailer in trailers.EnumerateArray())
+                {
+                    if (trailer.ValueKind != JsonValueKind.Object) continue;
+                    var key = GetString(trailer, keyName);
+                    if (string.IsNullOrEmpty(key) || videos.Any(v => (v["key"] as string) == key)) continue;
+                    videos.Add(new Dictionary<string, object?>
+                    {
+                        ["key"] = key,
+                        ["site"] = "YouTube",
+                        ["type"] = "Trailer",
+                        ["name"] = GetString(trailer, nameKey),
+                        ["language"] = null,
+                        ["official"] = false,
+                        ["publishedAt"] = null
+                    });
+                }
+            }
+
+            return videos;
+        }
+
+        /// <summary>
+        /// TMDB recommendations for the item, or similar titles when TMDB has no recommendations,
+        /// each with its library and request status.
+        /// </summary>
+        private async Task<List<Dictionary<string, object?>>> GetRecommendationsAsync(string? tmdbId, string? imdbId, string? itemType)
+        {
+            var recommendations = new List<Dictionary<string, object?>>();
+            var isSeries = string.Equals(itemType, "series", StringComparison.OrdinalIgnoreCase) ||
+                           string.Equals(itemType, "tv", StringComparison.OrdinalIgnoreCase);
+            var mediaType = isSeries ? "tv" : "movie";
+
+            try
+            {
+                var apiKey = Plugin.Instance?.Configuration?.TmdbApiKey;
+                if (string.IsNullOrEmpty(apiKey)) return recommendations;
+
+                using var client = new HttpClient();
+                if (string.IsNullOrEmpty(tmdbId)) tmdbId = await ResolveTmdbIdFromImdbAsync(client, apiKey, imdbId, mediaType);
+                if (string.IsNullOrEmpty(tmdbId)) return recommendations;
+
+                var results = new List<JsonElement>();
+                foreach (var list in new[] { "recommendations", "similar" })
+                {
+                    var response = await client.GetAsync($"https://api.themoviedb.org/3/{mediaType}/{tmdbId}/{list}?api_key={apiKey}");
+                    if (!response.IsSuccessStatusCode) continue;
+
+                    var data = await response.Content.ReadFromJsonAsync<JsonElement>();
+                    if (data.TryGetProperty("results", out var arr) && arr.ValueKind == JsonValueKind.Array)
+                    {
+                        results.AddRange(arr.EnumerateArray().Select(r => r.Clone()));
+                    }
+                    if (results.Count > 0) break;
+                }
+                if (results.Count == 0) return recommendations;
+
+                var requestType = isSeries ? "series" : "movie";
+                var requests = (await _caveaDb.GetRequestsAsync())
+                    .Where(r => string.Equals(r.ItemType, requestType, StringComparison.OrdinalIgnoreCase))
+                    .ToList();
+
+                foreach (var result in results.Take(MaxRecommendations))
+                {
+                    if (!result.TryGetProperty("id", out var idProp)) continue;
+                    var id = idProp.GetRawText().Trim('"');
+                    var date = GetString(result, isSeries ? "first_air_date" : "release_date");
+                    var posterPath = GetString(result, "poster_path");
+                    var libraryItem = FindLibraryItem(id, isSeries ? BaseItemKind.Series : BaseItemKind.Movie);
+                    var request = requests
+                        .Where(r => r.TmdbId == id)
+                        .OrderByDescending(r => r.Timestamp)
+                        .FirstOrDefault();
+
+                    recommendations.Add(new Dictionary<string, object?>
+                    {
+                        ["tmdbId"] = id,
+                        ["itemType"] = requestType,
+                        ["title"] = GetString(result, isSeries ? "name" : "title"),
+                        ["year"] = date != null && date.Length >= 4 ? date.Substring(0, 4) : null,
+                        ["poster"] = posterPath != null ? "https://image.tmdb.org/t/p/w300" + posterPath : null,
+                        ["inLibrary"] = libraryItem != null,
+                        ["libraryItemId"] = libraryItem?.Id.ToString("N"),
+                        ["requestId"] = request?.Id,
+                        ["requestStatus"] = request?.Status
+                    });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [Cavea.SearchMetadata] Error fetching recommendations for {Id}", tmdbId);
+            }
+
+            return recommendations;
+        }
+
+        private BaseItem? FindLibraryItem(string tmdbId, BaseItemKind kind)
+        {
+            return _libraryManager.GetItemList(new InternalItemsQuery
+            {
+                Recursive = true,
+                Limit = 1,
+                IncludeItemTypes = new[] { kind },
+                HasAnyProviderId = new Dictionary<string, string> { { "Tmdb", tmdbId } }
+            }).FirstOrDefault();
+        }
+
+        /// <summary>
+        /// TMDB id of the <paramref name="mediaType"/> ("movie" or "tv") with IMDB id <paramref name="imdbId"/>, if TMDB knows it.
+        /// </summary>
+        private static async Task<string?> ResolveTmdbIdFromImdbAsync(HttpClient client, string apiKey, string? imdbId, string mediaType)
+        {
+            if (string.IsNullOrEmpty(imdbId) || !imdbId.StartsWith("tt")) return null;
+
+            var response = await client.GetAsync($"https://api.themoviedb.org/3/find/{imdbId}?api_key={apiKey}&external_source=imdb_id");
+            if (!response.IsSuccessStatusCode) return null;
+
+            var found = await response.Content.ReadFromJsonAsync<JsonElement>();
+            return found.TryGetProperty(mediaType + "_results", out var results) && results.ValueKind == JsonValueKind.Array
+                && results.GetArrayLength() > 0 && results[0].TryGetProperty("id", out var id)
+                ? id.GetRawText().Trim('"')
+                : null;
+        }
+
         private async Task<string?> ResolveIdFromTmdb(string title, int? year, string? itemType)
         {
             try
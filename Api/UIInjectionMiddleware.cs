@@ -104,6 +104,7 @@ namespace Cavea.Api
                 "select-to-cards.js",
                 "reviews-carousel.js",
                 "requests.js",
+                "request-stats.js",
                 "search-toggle.js",
                 "catalogs.js"
             };
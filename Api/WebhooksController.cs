@@ -0,0 +1,178 @@
+using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
+using System.Threading.Tasks;
+using Cavea.Services;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Api
+{
+    /// <summary>
+    /// Test sends and the delivery log of outgoing webhooks. The targets themselves are part of the plugin configuration.
+    /// </summary>
+    [ApiController]
+    [Route("api/cavea/webhooks")]
+    [Produces("application/json")]
+    public class WebhooksController : ControllerBase
+    {
+        private readonly ILogger<WebhooksController> _logger;
+        private readonly WebhookService _webhooks;
+        private readonly CaveaDbService _dbService;
+
+        public WebhooksController(ILogger<WebhooksController> logger, WebhookService webhooks, CaveaDbService dbService)
+        {
+            _logger = logger;
+            _webhooks = webhooks;
+            _dbService = dbService;
+        }
+
+        /// <summary>
+        /// Send a sample event to a target, which does not have to be saved yet. Test sends are not retried.
+        /// </summary>
+        [HttpPost("test")]
+        public async Task<ActionResult<WebhookDelivery>> SendTest([FromBody] WebhookTarget target)
+        {
+            if (!IsAdmin())
+            {
+                return Forbid();
+            }
+
+            if (target == null || !Uri.TryCreate(target.Url, UriKind.Absolute, out var uri) || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+            {
+                return BadRequest("A valid http(s) URL is required");
+            }
+
+            _logger.LogInformation($"[WebhooksController] Sending test to {target.Url}");
+            return Ok(await _webhooks.SendTestAsync(target));
+        }
+
+        /// <summary>
+        /// Most recent deliveries, newest first
+        /// </summary>
+        [HttpGet("deliveries")]
+        public async Task<ActionResult<List<WebhookDelivery>>> GetDeliveries([FromQuery] int limit = 50)
+        {
+            if (!IsAdmin())
+            {
+                return Forbid();
+            }
+
+            return Ok(await _dbService.GetWebhookDeliveriesAsync(Math.Clamp(limit, 1, 500)));
+        }
+
+        /// <summary>
+        /// Send a failed delivery again
+        /// </summary>
+        [HttpPost("deliveries/{id}/retry")]
+        public async Task<ActionResult<WebhookDelivery>> RetryDelivery(long id)
+        {
+            if (!IsAdmin())
+            {
+                return Forbid();
+            }
+
+            var delivery = await _dbService.GetWebhookDeliveryAsync(id);
+            if (delivery == null)
+            {
+                return NotFound($"Delivery {id} not found");
+            }
+
+            if (delivery.Status != "failed")
+            {
+                return BadRequest("Only failed deliveries can be retried");
+            }
+
+            return Ok(await _webhooks.RedeliverAsync(delivery));
+        }
+
+        private bool IsAdmin()
+        {
+            return HttpContext?.User?.IsInRole("Administrator") ?? false;
+        }
+    }
+
+    /// <summary>
+    /// An outgoing webhook: where to POST, which events to send and how the JSON body looks.
+    /// </summary>
+    public class WebhookTarget
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; }
+
+        [JsonPropertyName("name")]
+        public string Name { get; set; }
+
+        [JsonPropertyName("url")]
+        public string Url { get; set; }
+
+        [JsonPropertyName("enabled")]
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        /// Events to send; see <see cref="WebhookService.Events"/>.
+        /// </summary>
+        [JsonPropertyName("events")]
+        public List<string> Events { get; set; } = new List<string>();
+
+        /// <summary>
+        /// JSON body with {{placeholders}}. Empty sends every field of the event as a flat object.
+        /// </summary>
+        [JsonPropertyName("bodyTemplate")]
+        public string BodyTemplate { get; set; }
+
+        /// <summary>
+        /// Either "Header-Name: value" or a bare value for the Authorization header.
+        /// </summary>
+        [JsonPropertyName("authHeader")]
+        public string AuthHeader { get; set; }
+    }
+
+    public class WebhookDelivery
+    {
+        [JsonPropertyName("id")]
+        public long Id { get; set; }
+
+        [JsonPropertyName("webhookId")]
+        public string WebhookId { get; set; }
+
+        [JsonPropertyName("webhookName")]
+        public string WebhookName { get; set; }
+
+        [JsonPropertyName("event")]
+        public string Event { get; set; }
+
+        [JsonPropertyName("url")]
+        public string Url { get; set; }
+
+        [JsonPropertyName("payload")]
+        public string Payload { get; set; }
+
+        /// <summary>
+        /// pending, retrying, succeeded or failed.
+        /// </summary>
+        [JsonPropertyName("status")]
+        public string Status { get; set; } = "pending";
+
+        [JsonPropertyName("attempts")]
+        public int Attempts { get; set; }
+
+        [JsonPropertyName("responseCode")]
+        public int? ResponseCode { get; set; }
+
+        [JsonPropertyName("error")]
+        public string Error { get; set; }
+
+        [JsonPropertyName("createdAt")]
+        public long CreatedAt { get; set; }
+
+        [JsonPropertyName("lastAttemptAt")]
+        public long? LastAttemptAt { get; set; }
+
+        /// <summary>
+        /// When the next retry is due (Unix ms); only set while the status is "retrying".
+        /// </summary>
+        [JsonPropertyName("nextAttemptAt")]
+        public long? NextAttemptAt { get; set; }
+    }
+}
@@ -166,6 +166,8 @@
             if (year) params.append('year', year);
             params.append('includeCredits', 'false');
             params.append('includeReviews', 'false');
+            params.append('includeVideos', 'true');
+            params.append('language', getPreferredLanguage());
 
             const url = window.ApiClient.getUrl('api/cavea/metadata/search') + '?' + params.toString();
             const response = await window.ApiClient.ajax({
@@ -299,6 +301,1124 @@
         });
     }
 
+    // ============================================
+    // SEASON PICKER
+    // ============================================
+
+    async function fetchSeasons(tmdbId, season, imdbId) {
+        const params = new URLSearchParams({ tmdbId: tmdbId });
+        if (season !== undefined && season !== null) params.append('season', season);
+        if (imdbId) params.append('imdbId', imdbId);
+        const url = window.ApiClient.getUrl('api/cavea/metadata/seasons') + '?' + params.toString();
+        return window.ApiClient.ajax({ type: 'GET', url: url, dataType: 'json' });
+    }
+
+    // "Season 1 · Season 3: E1, E2" - empty episode list means the whole season
+    function formatSeasonSelection(seasons) {
+        if (!Array.isArray(seasons) || !seasons.length) return '';
+        return seasons.map(s => {
+            const n = s.seasonNumber ?? s.SeasonNumber;
+            const eps = s.episodes || s.Episodes || [];
+            const label = n === 0 ? 'Specials' : 'Season ' + n;
+            return eps.length ? label + ': ' + eps.map(e => 'E' + e).join(', ') : label;
+        }).join(' · ');
+    }
+
+    function renderRequestedSeasons(modal, seasons) {
+        const el = qs('#item-detail-seasons', modal);
+        if (!el) return;
+        const text = formatSeasonSelection(seasons);
+        if (!text) {
+            el.style.display = 'none';
+            el.innerHTML = '';
+            return;
+        }
+        el.innerHTML = '<strong style="color:#ff9800;">Requested:</strong> ' + escapeHtml(text);
+        el.style.display = 'block';
+    }
+
+    /**
+     * Let the user pick seasons (or single episodes) of a series.
+     * Resolves to [{ seasonNumber, episodes }] or null when cancelled.
+     */
+    function openSeasonPicker(tmdbId, title) {
+        return new Promise(resolve => {
+            const popup = document.createElement('div');
+            popup.id = 'season-picker-popup';
+            popup.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.85);z-index:10001;display:flex;align-items:center;justify-content:center;';
+            popup.innerHTML = '<div style="width:min(520px,92vw);max-height:80vh;background:#1a1a1a;border-radius:8px;display:flex;flex-direction:column;color:#ddd;">'
+                + '<div style="padding:16px 20px;border-bottom:2px solid #333;">'
+                + '<h3 style="margin:0;color:#fff;">Request seasons</h3>'
+                + '<div style="font-size:13px;color:#888;margin-top:4px;">' + escapeHtml(title || '') + '</div>'
+                + '</div>'
+                + '<div class="season-picker-list" style="flex:1;overflow-y:auto;padding:12px 20px;"><div style="color:#888;">Loading seasons…</div></div>'
+                + '<div style="padding:12px 20px;border-top:2px solid #333;display:flex;justify-content:space-between;align-items:center;gap:10px;">'
+                + '<label style="font-size:13px;cursor:pointer;"><input type="checkbox" class="season-picker-all"> All seasons</label>'
+                + '<div style="display:flex;gap:10px;">'
+                + '<button class="season-picker-cancel" style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;font-size:13px;">Cancel</button>'
+                + '<button class="season-picker-submit" disabled style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#888;color:#fff;cursor:pointer;font-size:13px;">Request</button>'
+                + '</div>'
+                + '</div>'
+                + '</div>';
+            document.body.appendChild(popup);
+
+            const pickAll = (selector, context) => Array.from(qsa(selector, context));
+            const list = qs('.season-picker-list', popup);
+            const allBox = qs('.season-picker-all', popup);
+            const submitBtn = qs('.season-picker-submit', popup);
+
+            function close(result) {
+                popup.remove();
+                resolve(result);
+            }
+
+            function collectSelection() {
+                const selected = [];
+                pickAll('.season-picker-row', popup).forEach(row => {
+                    const seasonBox = qs('.season-picker-season', row);
+                    const epBoxes = pickAll('.season-picker-episode', row);
+                    const checkedEps = epBoxes.filter(b => b.checked).map(b => parseInt(b.value, 10));
+                    const seasonNumber = parseInt(seasonBox.value, 10);
+                    if (seasonBox.checked && !seasonBox.indeterminate) {
+                        selected.push({ seasonNumber, episodes: [] });
+                    } else if (checkedEps.length) {
+                        selected.push({ seasonNumber, episodes: checkedEps });
+                    }
+                });
+                return selected;
+            }
+
+            function refreshState() {
+                const rows = pickAll('.season-picker-season', popup);
+                const selected = collectSelection();
+                allBox.checked = rows.length > 0 && rows.every(b => b.checked && !b.indeterminate);
+                submitBtn.disabled = selected.length === 0;
+                submitBtn.style.background = submitBtn.disabled ? '#888' : '#ff9800';
+            }
+
+            async function toggleEpisodes(row, seasonNumber) {
+                const epList = qs('.season-picker-episodes', row);
+                if (epList.dataset.loaded === 'true') {
+                    epList.style.display = epList.style.display === 'none' ? 'block' : 'none';
+                    return;
+                }
+                epList.style.display = 'block';
+                epList.innerHTML = '<div style="color:#888;font-size:12px;">Loading episodes…</div>';
+                try {
+                    const data = await fetchSeasons(tmdbId, seasonNumber);
+                    const season = (data?.seasons || []).find(s => s.seasonNumber === seasonNumber);
+                    const episodes = season?.episodes || [];
+                    const seasonBox = qs('.season-picker-season', row);
+                    epList.innerHTML = episodes.length ? episodes.map(ep => '<label style="display:block;font-size:12px;padding:2px 0;cursor:pointer;">'
+                        + '<input type="checkbox" class="season-picker-episode" value="' + ep.episodeNumber + '"' + (seasonBox.checked ? ' checked' : '') + '> '
+                        + 'E' + ep.episodeNumber + ' - ' + escapeHtml(ep.name || '')
+                        + (ep.airDate ? ' <span style="color:#777;">(' + escapeHtml(ep.airDate) + ')</span>' : '')
+                        + '</label>').join('') : '<div style="color:#888;font-size:12px;">No episode data.</div>';
+                    epList.dataset.loaded = 'true';
+                    pickAll('.season-picker-episode', epList).forEach(box => box.addEventListener('change', () => {
+                        const boxes = pickAll('.season-picker-episode', epList);
+                        const checked = boxes.filter(b => b.checked).length;
+                        seasonBox.checked = checked === boxes.length;
+                        seasonBox.indeterminate = checked > 0 && checked < boxes.length;
+                        refreshState();
+                    }));
+                } catch (err) {
+                    console.error('[DetailsModal.openSeasonPicker] Error loading episodes:', err);
+                    epList.innerHTML = '<div style="color:#ff6b6b;font-size:12px;">Could not load episodes.</div>';
+                }
+            }
+
+            qs('.season-picker-cancel', popup).addEventListener('click', () => close(null));
+            popup.addEventListener('click', e => e.target === popup && close(null));
+            submitBtn.addEventListener('click', () => {
+                const selected = collectSelection();
+                if (selected.length) close(selected);
+            });
+            allBox.addEventListener('change', () => {
+                pickAll('.season-picker-season', popup).forEach(b => { b.checked = allBox.checked; b.indeterminate = false; });
+                pickAll('.season-picker-episode', popup).forEach(b => { b.checked = allBox.checked; });
+                refreshState();
+            });
+
+            fetchSeasons(tmdbId).then(data => {
+                const seasons = data?.seasons || [];
+                if (!seasons.length) {
+                    list.innerHTML = '<div style="color:#888;">No season data available.</div>';
+                    return;
+                }
+                list.innerHTML = '';
+                seasons.forEach(season => {
+                    const row = document.createElement('div');
+                    row.className = 'season-picker-row';
+                    row.style.cssText = 'padding:8px 0;border-bottom:1px solid #2a2a2a;';
+                    row.innerHTML = '<div style="display:flex;justify-content:space-between;align-items:center;">'
+                        + '<label style="cursor:pointer;"><input type="checkbox" class="season-picker-season" value="' + season.seasonNumber + '"> '
+                        + escapeHtml(season.name) + ' <span style="color:#777;font-size:12px;">(' + season.episodeCount + ' episodes)</span></label>'
+                        + '<button class="season-picker-expand" style="border:none;background:none;color:#1e90ff;cursor:pointer;font-size:12px;">Episodes</button>'
+                        + '</div>'
+                        + '<div class="season-picker-episodes" style="display:none;margin:6px 0 0 24px;"></div>';
+                    list.appendChild(row);
+
+                    const seasonBox = qs('.season-picker-season', row);
+                    seasonBox.addEventListener('change', () => {
+                        seasonBox.indeterminate = false;
+                        pickAll('.season-picker-episode', row).forEach(b => { b.checked = seasonBox.checked; });
+                        refreshState();
+                    });
+                    qs('.season-picker-expand', row).addEventListener('click', () => toggleEpisodes(row, season.seasonNumber));
+                });
+                refreshState();
+            }).catch(err => {
+                console.error('[DetailsModal.openSeasonPicker] Error loading seasons:', err);
+                list.innerHTML = '<div style="color:#ff6b6b;">Could not load seasons.</div>';
+            });
+        });
+    }
+
+    // ============================================
+    // RECOMMENDATIONS
+    // ============================================
+
+    const RECOMMENDATION_BADGES = {
+        library: { label: 'In library', background: '#26a69a' },
+        pending: { label: 'Requested', background: '#ff9800' },
+        approved: { label: 'Approved', background: '#4caf50' },
+        processing: { label: 'Importing', background: '#1e90ff' },
+        scheduled: { label: 'Scheduled', background: '#607d8b' },
+        failed: { label: 'Failed', background: '#f44336' },
+        rejected: { label: 'Rejected', background: '#f44336' },
+        partially_available: { label: 'Partial', background: '#26a69a' },
+        available: { label: 'Available', background: '#26a69a' }
+    };
+
+    async function fetchRecommendations(itemType, tmdbId, imdbId) {
+        const params = new URLSearchParams();
+        if (tmdbId) params.append('tmdbId', tmdbId);
+        if (imdbId) params.append('imdbId', imdbId);
+        params.append('itemType', itemType === 'series' ? 'series' : 'movie');
+        params.append('includeRecommendations', 'true');
+
+        const url = window.ApiClient.getUrl('api/cavea/metadata/search') + '?' + params.toString();
+        const response = await window.ApiClient.ajax({ type: 'GET', url: url, dataType: 'json' });
+        return response?.recommendations || [];
+    }
+
+    // "More like this" rail under the cast; each card opens that title in the modal
+    async function renderRecommendations(modal, itemType, tmdbId, imdbId) {
+        const container = qs('#item-detail-recommendations', modal);
+        if (!container) return;
+        const itemId = modal.dataset.itemId;
+
+        let recommendations;
+        try {
+            recommendations = await fetchRecommendations(itemType, tmdbId, imdbId);
+        } catch (err) {
+            console.warn('[DetailsModal.renderRecommendations] Could not load recommendations:', err);
+            return;
+        }
+        // The modal may have moved on to another item while loading
+        if (!recommendations.length || !modal.classList.contains('open') || modal.dataset.itemId !== itemId) return;
+
+        container.innerHTML = '<strong style="color:#1e90ff;">More like this</strong><div class="recommendation-rail"></div>';
+        const rail = qs('.recommendation-rail', container);
+
+        recommendations.forEach(rec => {
+            const card = document.createElement('button');
+            card.type = 'button';
+            card.className = 'recommendation-card';
+            card.title = (rec.title || '') + (rec.year ? ' (' + rec.year + ')' : '');
+
+            const badge = RECOMMENDATION_BADGES[rec.inLibrary ? 'library' : (rec.requestStatus || '').toLowerCase()];
+            card.innerHTML = '<div class="recommendation-poster">'
+                + (badge ? '<span class="recommendation-badge" style="background:' + badge.background + ';">' + escapeHtml(badge.label) + '</span>' : '')
+                + '</div>'
+                + '<div class="recommendation-title">' + escapeHtml(rec.title || '') + '</div>'
+                + (rec.year ? '<div class="recommendation-year">' + escapeHtml(rec.year) + '</div>' : '');
+            if (rec.poster) qs('.recommendation-poster', card).style.backgroundImage = 'url("' + rec.poster.replace(/"/g, '%22') + '")';
+
+            card.addEventListener('click', () => openTitle(modal, {
+                id: rec.libraryItemId || rec.tmdbId,
+                itemType: rec.itemType,
+                title: rec.title,
+                year: rec.year,
+                poster: rec.poster
+            }, true));
+            rail.appendChild(card);
+        });
+        container.style.display = 'block';
+    }
+
+    // What is shown now, so the back button can return to it
+    function currentTitle(modal) {
+        return {
+            id: modal.dataset.itemId,
+            itemType: modal.dataset.itemType,
+            title: qs('#item-detail-title', modal).textContent,
+            year: qs('#item-detail-meta', modal).textContent,
+            poster: getBackgroundImage(qs('#item-detail-image', modal))
+        };
+    }
+
+    /**
+     * Show another title in the open modal. When remember is set, the current title goes on the back stack.
+     */
+    function openTitle(modal, target, remember) {
+        if (!target?.id) return;
+        if (remember) {
+            modal._history = modal._history || [];
+            modal._history.push(currentTitle(modal));
+        }
+
+        resetModal(modal);
+        ['requestId', 'isRequestMode', 'inLibrary', 'imdbId', 'tmdbId', 'jellyfinId', 'itemType', 'catalogId'].forEach(key => delete modal.dataset[key]);
+        const requesterEl = qs('#item-detail-requester', modal);
+        if (requesterEl) requesterEl.style.display = 'none';
+
+        qs('#item-detail-title', modal).textContent = target.title || 'Loading…';
+        qs('#item-detail-meta', modal).textContent = target.year || '';
+        setBackgroundImage(qs('#item-detail-image', modal), target.poster);
+        modal.dataset.itemId = target.id;
+        qs('#item-detail-back', modal).style.display = (modal._history || []).length ? 'flex' : 'none';
+        const body = qs('.modal-body', modal);
+        if (body) body.scrollTop = 0;
+
+        fetchMetadata(target.id, null, modal, target.title, target.year, target.itemType === 'series').catch(() => {
+            qs('#item-detail-overview', modal).textContent = 'Could not fetch details.';
+            hideLoading(modal);
+        });
+    }
+
+    function goBack(modal) {
+        const previous = (modal._history || []).pop();
+        if (previous) openTitle(modal, previous, false);
+    }
+
+    // ============================================
+    // TRAILERS
+    // ============================================
+
+    const TRAILER_EMBEDS = {
+        youtube: key => 'https://www.youtube-nocookie.com/embed/' + encodeURIComponent(key) + '?autoplay=1&rel=0&enablejsapi=1&origin=' + encodeURIComponent(window.location.origin),
+        vimeo: key => 'https://player.vimeo.com/video/' + encodeURIComponent(key) + '?autoplay=1'
+    };
+    const TRAILER_TYPES = ['Trailer', 'Teaser'];
+
+    // Two-letter code of the Jellyfin UI language, e.g. "de" for de-DE
+    function getPreferredLanguage() {
+        const lang = document.documentElement.lang || navigator.language || 'en';
+        return lang.split('-')[0].toLowerCase();
+    }
+
+    /**
+     * Playable trailers from a metadata search response (its `videos` list), best first:
+     * the user's language, then English, then unknown languages; trailers before teasers; official before fan uploads.
+     * Other video types (featurettes, clips) are only used when there is no trailer or teaser at all.
+     */
+    function pickTrailers(data, language) {
+        const lang = (language || getPreferredLanguage()).toLowerCase();
+        const seen = new Set();
+        const videos = (data?.videos || []).filter(v => {
+            const site = (v?.site || 'YouTube').toLowerCase();
+            if (!v?.key || !TRAILER_EMBEDS[site] || seen.has(site + ':' + v.key)) return false;
+            seen.add(site + ':' + v.key);
+            return true;
+        });
+
+        const trailers = videos.filter(v => TRAILER_TYPES.includes(v.type || 'Trailer'));
+        const candidates = trailers.length ? trailers : videos;
+        const langRank = v => {
+            const l = (v.language || '').toLowerCase();
+            if (l === lang) return 0;
+            if (l === 'en') return 1;
+            return l ? 3 : 2;
+        };
+        const typeRank = v => {
+            const i = TRAILER_TYPES.indexOf(v.type || 'Trailer');
+            return i === -1 ? TRAILER_TYPES.length : i;
+        };
+
+        return candidates
+            .map((v, i) => ({ v, i }))
+            .sort((a, b) => langRank(a.v) - langRank(b.v)
+                || typeRank(a.v) - typeRank(b.v)
+                || (b.v.official === true) - (a.v.official === true)
+                || a.i - b.i)
+            .map(x => x.v);
+    }
+
+    function setupTrailerButton(modal, data) {
+        const btn = qs('#item-detail-trailer', modal);
+        if (!btn) return;
+        const trailers = pickTrailers(data);
+        modal._trailers = trailers;
+        btn.style.display = trailers.length ? 'block' : 'none';
+        btn.title = trailers.length > 1 ? trailers.length + ' trailers' : '';
+    }
+
+    function closeTrailer(modal) {
+        const player = modal && qs('#item-detail-trailer-player', modal);
+        if (!player) return;
+        window.removeEventListener('message', player._onMessage);
+        player.remove();
+    }
+
+    /**
+     * Play trailers in an overlay on top of the modal, starting with the first. When YouTube reports that
+     * a video can't be played (removed, private, blocked from embedding) the next one starts on its own.
+     */
+    function openTrailer(modal, trailers, title) {
+        closeTrailer(modal);
+        if (!trailers.length) return;
+
+        const container = qs('.item-detail-modal', modal) || modal;
+        const player = document.createElement('div');
+        player.id = 'item-detail-trailer-player';
+        player.style.cssText = 'position:absolute;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,0.95);z-index:10000;display:flex;align-items:center;justify-content:center;border-radius:8px;';
+        player.innerHTML = '<div style="width:min(960px,92%);display:flex;flex-direction:column;gap:10px;">'
+            + '<div style="display:flex;align-items:center;gap:10px;">'
+            + '<div class="trailer-name" style="flex:1;min-width:0;color:#fff;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;"></div>'
+            + '<button class="trailer-next" style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;font-size:13px;">Next trailer</button>'
+            + '<button class="trailer-close" title="Close" style="width:32px;height:32px;padding:0;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;font-size:18px;line-height:1;">✕</button>'
+            + '</div>'
+            + '<div style="position:relative;width:100%;aspect-ratio:16/9;background:#000;border-radius:6px;overflow:hidden;">'
+            + '<iframe class="trailer-frame" allow="autoplay; encrypted-media; picture-in-picture; fullscreen" allowfullscreen style="position:absolute;inset:0;width:100%;height:100%;border:0;"></iframe>'
+            + '</div>'
+            + '</div>';
+        container.appendChild(player);
+
+        const frame = qs('.trailer-frame', player);
+        const nameEl = qs('.trailer-name', player);
+        const nextBtn = qs('.trailer-next', player);
+        let index = 0;
+
+        function play(i) {
+            if (i >= trailers.length) {
+                nameEl.textContent = 'No playable trailer found';
+                frame.removeAttribute('src');
+                nextBtn.style.display = 'none';
+                return;
+            }
+            index = i;
+            const trailer = trailers[i];
+            const site = (trailer.site || 'YouTube').toLowerCase();
+            nameEl.textContent = (trailer.name || title || 'Trailer')
+                + (trailer.language ? ' · ' + trailer.language.toUpperCase() : '')
+                + (trailers.length > 1 ? ' (' + (i + 1) + '/' + trailers.length + ')' : '');
+            nextBtn.style.display = trailers.length > 1 ? 'block' : 'none';
+            frame.src = TRAILER_EMBEDS[site](trailer.key);
+        }
+
+        // The YouTube player only posts its events (including onError) after being told someone is listening
+        frame.addEventListener('load', () => {
+            try { frame.contentWindow.postMessage(JSON.stringify({ event: 'listening', id: 'cavea-trailer', channel: 'widget' }), '*'); } catch (e) { /* cross-origin frame went away */ }
+        });
+        player._onMessage = (ev) => {
+            if (ev.source !== frame.contentWindow || !/youtube/.test(ev.origin)) return;
+            let msg = ev.data;
+            try { if (typeof msg === 'string') msg = JSON.parse(msg); } catch (e) { return; }
+            if (msg?.event === 'onError') {
+                console.warn('[DetailsModal.openTrailer] Trailer not playable, trying the next one:', trailers[index]?.key, msg.info);
+                play(index + 1);
+            }
+        };
+        window.addEventListener('message', player._onMessage);
+
+        nextBtn.addEventListener('click', () => play((index + 1) % trailers.length));
+        qs('.trailer-close', player).addEventListener('click', () => closeTrailer(modal));
+        player.addEventListener('click', e => e.target === player && closeTrailer(modal));
+        play(0);
+    }
+
+    // ============================================
+    // SEASON BROWSER
+    // ============================================
+
+    function renderEpisodeList(listEl, episodes) {
+        if (!episodes.length) {
+            listEl.innerHTML = '<div style="color:#888;font-size:13px;">No episode data.</div>';
+            return;
+        }
+        listEl.innerHTML = episodes.map(ep => {
+            const aired = ep.airDate ? new Date(ep.airDate + 'T00:00:00') : null;
+            const airDate = aired && !isNaN(aired) ? aired.toLocaleDateString() : '';
+            const upcoming = aired && aired > new Date();
+            return '<div style="display:flex;gap:12px;padding:8px 0;border-bottom:1px solid #2a2a2a;">'
+                + '<div class="episode-still" style="width:130px;aspect-ratio:16/9;flex-shrink:0;border-radius:4px;background:#2a2a2a center/cover no-repeat;"'
+                + (ep.still ? ' data-still="' + escapeHtml(ep.still) + '"' : '') + '></div>'
+                + '<div style="flex:1;min-width:0;">'
+                + '<div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap;">'
+                + '<strong style="color:#fff;">' + ep.episodeNumber + '. ' + escapeHtml(ep.name || 'Episode ' + ep.episodeNumber) + '</strong>'
+                + (ep.inLibrary ? '<span style="background:#26a69a;color:#fff;border-radius:3px;padding:1px 6px;font-size:11px;">In library</span>' : '')
+                + '</div>'
+                + (airDate ? '<div style="color:#888;font-size:12px;margin-top:2px;">' + (upcoming ? 'Airs ' : '') + escapeHtml(airDate) + '</div>' : '')
+                + (ep.overview ? '<div style="color:#bbb;font-size:13px;margin-top:4px;display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;overflow:hidden;" title="' + escapeHtml(ep.overview) + '">' + escapeHtml(ep.overview) + '</div>' : '')
+                + '</div>'
+                + '</div>';
+        }).join('');
+        // Set stills through the style API so odd characters in URLs can't break out of the attribute
+        qsa('.episode-still[data-still]', listEl).forEach(el => {
+            el.style.backgroundImage = 'url("' + el.dataset.still.replace(/"/g, '%22') + '")';
+        });
+    }
+
+    /**
+     * Season tabs and the episode list of the selected season for a series, marking episodes
+     * that are already in the library. Episodes are loaded per season on first view.
+     */
+    async function renderSeasonBrowser(modal, tmdbId, imdbId) {
+        const container = qs('#item-detail-episodes', modal);
+        if (!container) return;
+
+        let data;
+        try {
+            data = await fetchSeasons(tmdbId, null, imdbId);
+        } catch (err) {
+            console.warn('[DetailsModal.renderSeasonBrowser] Could not load seasons:', err);
+            return;
+        }
+        // The modal may have moved on to another item while loading
+        if (!modal.classList.contains('open') || modal.dataset.tmdbId !== tmdbId) return;
+
+        // Specials last; they are rarely what people look for first
+        const seasons = (data?.seasons || []).slice().sort((a, b) =>
+            (a.seasonNumber === 0) - (b.seasonNumber === 0) || a.seasonNumber - b.seasonNumber);
+        if (!seasons.length) return;
+
+        container.innerHTML = '<strong style="color:#1e90ff;">Episodes</strong>'
+            + '<div class="season-tabs" role="tablist" style="display:flex;gap:6px;overflow-x:auto;margin-top:8px;padding-bottom:4px;"></div>'
+            + '<div class="season-episode-list" role="tabpanel" style="margin-top:6px;max-height:420px;overflow-y:auto;"></div>';
+        container.style.display = 'block';
+
+        const tabs = qs('.season-tabs', container);
+        const listEl = qs('.season-episode-list', container);
+        const loaded = new Map();
+        let selected = null;
+
+        async function selectSeason(seasonNumber) {
+            selected = seasonNumber;
+            qsa('.season-tab', tabs).forEach(tab => {
+                const active = Number(tab.dataset.season) === seasonNumber;
+                tab.setAttribute('aria-selected', active ? 'true' : 'false');
+                tab.style.background = active ? '#1e90ff' : '#333';
+            });
+
+            if (!loaded.has(seasonNumber)) {
+                listEl.innerHTML = '<div style="color:#888;font-size:13px;">Loading episodes…</div>';
+                try {
+                    const result = await fetchSeasons(tmdbId, seasonNumber, imdbId);
+                    const season = (result?.seasons || []).find(s => s.seasonNumber === seasonNumber);
+                    loaded.set(seasonNumber, season?.episodes || []);
+                } catch (err) {
+                    console.error('[DetailsModal.renderSeasonBrowser] Error loading episodes:', err);
+                    if (selected === seasonNumber) listEl.innerHTML = '<div style="color:#ff6b6b;font-size:13px;">Could not load episodes.</div>';
+                    return;
+                }
+            }
+            if (selected !== seasonNumber || modal.dataset.tmdbId !== tmdbId) return;
+            renderEpisodeList(listEl, loaded.get(seasonNumber));
+        }
+
+        seasons.forEach(season => {
+            const tab = document.createElement('button');
+            tab.className = 'season-tab';
+            tab.dataset.season = season.seasonNumber;
+            tab.setAttribute('role', 'tab');
+            tab.style.cssText = 'flex-shrink:0;height:28px;padding:4px 10px;border:none;border-radius:4px;background:#333;color:#fff;cursor:pointer;font-size:12px;white-space:nowrap;';
+            const inLibrary = season.libraryEpisodeCount || 0;
+            tab.textContent = season.seasonNumber === 0 ? 'Specials' : 'Season ' + season.seasonNumber;
+            if (inLibrary) tab.textContent += ' (' + inLibrary + '/' + season.episodeCount + ')';
+            tab.title = (season.name || '') + ' · ' + season.episodeCount + ' episodes' + (inLibrary ? ', ' + inLibrary + ' in library' : '');
+            tab.addEventListener('click', () => selectSeason(season.seasonNumber));
+            tabs.appendChild(tab);
+        });
+
+        selectSeason(seasons[0].seasonNumber);
+    }
+
+    // ============================================
+    // COLLECTIONS
+    // ============================================
+
+    async function fetchCollection(tmdbId) {
+        const url = window.ApiClient.getUrl('api/cavea/metadata/collection') + '?' + new URLSearchParams({ tmdbId: tmdbId }).toString();
+        return window.ApiClient.ajax({ type: 'GET', url: url, dataType: 'json' });
+    }
+
+    // Parts that can still be requested: not in the library and not already linked to a live request
+    function isRequestablePart(part) {
+        if (part.inLibrary) return false;
+        if (!part.requestStatus || part.requestStatus === 'rejected') return true;
+        return part.requestStatus === 'pending' && !part.linked;
+    }
+
+    function collectionPartState(part) {
+        if (part.inLibrary) return { label: 'In library', color: '#26a69a' };
+        if (!part.requestStatus) return { label: 'Missing', color: '#aaa' };
+        const status = part.requestStatus.replace(/_/g, ' ');
+        return {
+            label: status.charAt(0).toUpperCase() + status.slice(1) + (part.requestedBy ? ' · ' + part.requestedBy : ''),
+            color: part.requestStatus === 'rejected' ? '#f44336' : '#ff9800'
+        };
+    }
+
+    /**
+     * Show which collection a movie belongs to, with "Request collection" for users who can request
+     * and "Approve collection" for reviewers when linked parts are waiting.
+     */
+    async function renderCollection(modal, tmdbId) {
+        const container = qs('#item-detail-collection', modal);
+        if (!container) return;
+
+        let data;
+        try {
+            data = await fetchCollection(tmdbId);
+        } catch (err) {
+            console.warn('[DetailsModal.renderCollection] Could not load collection:', err);
+            return;
+        }
+        // The modal may have moved on to another item while loading
+        const collection = data?.collection;
+        if (!collection || !modal.classList.contains('open') || modal.dataset.tmdbId !== tmdbId) return;
+
+        const permissions = await fetchPermissions();
+        const parts = collection.parts || [];
+        const inLibrary = parts.filter(p => p.inLibrary).length;
+        const requestable = parts.filter(isRequestablePart).length;
+        // Approvers cannot approve their own requests; the server skips those too
+        const approvable = parts.filter(p => p.linked && p.requestStatus === 'pending'
+            && (permissions.canManage || (p.requestedBy || '').toLowerCase() !== (permissions.username || '').toLowerCase())).length;
+        const canRequest = permissions.canRequest && !!window.RequestManager?.request;
+        const canApprove = permissions.canApprove && !!window.RequestManager?.approveCollection;
+
+        container.innerHTML = '<div style="display:flex;align-items:center;gap:10px;flex-wrap:wrap;">'
+            + '<div><strong style="color:#1e90ff;">Collection:</strong> ' + escapeHtml(collection.name || '')
+            + ' <span style="color:#888;font-size:13px;">(' + inLibrary + ' of ' + parts.length + ' in library)</span></div>'
+            + (canRequest ? '<button class="collection-request" style="height:28px;padding:4px 10px;border:none;border-radius:4px;background:#ff9800;color:#fff;cursor:pointer;font-size:12px;">'
+                + (requestable ? 'Request collection' : 'View collection') + '</button>' : '')
+            + (canApprove && approvable ? '<button class="collection-approve" style="height:28px;padding:4px 10px;border:none;border-radius:4px;background:#4caf50;color:#fff;cursor:pointer;font-size:12px;">Approve ' + approvable + ' part(s)</button>' : '')
+            + '</div>';
+        container.style.display = 'block';
+
+        const requestBtn = qs('.collection-request', container);
+        if (requestBtn) {
+            requestBtn.addEventListener('click', async () => {
+                const requested = await openCollectionDialog(collection);
+                if (requested && modal.dataset.tmdbId === tmdbId) renderCollection(modal, tmdbId);
+            });
+        }
+
+        const approveBtn = qs('.collection-approve', container);
+        if (approveBtn) {
+            approveBtn.addEventListener('click', async () => {
+                approveBtn.disabled = true;
+                approveBtn.textContent = 'Approving...';
+                try {
+                    const result = await window.RequestManager.approveCollection(collection.id);
+                    const approved = (result?.succeeded || []).length;
+                    const failed = (result?.failed || []).length;
+                    showToast('Approved ' + approved + ' part(s) of ' + (collection.name || 'the collection') + (failed ? ', ' + failed + ' skipped' : ''), 4000);
+                } catch (err) {
+                    console.error('[DetailsModal.renderCollection] Error approving collection:', err);
+                    showToast('Could not approve the collection.', 3000);
+                }
+                if (modal.dataset.tmdbId === tmdbId) renderCollection(modal, tmdbId);
+            });
+        }
+    }
+
+    /**
+     * List every part of a collection with its library/request status and request the chosen
+     * missing parts as requests linked to the collection. Resolves to the number of parts requested.
+     */
+    function openCollectionDialog(collection) {
+        return new Promise(resolve => {
+            const parts = collection.parts || [];
+            const popup = document.createElement('div');
+            popup.id = 'collection-request-popup';
+            popup.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.85);z-index:10001;display:flex;align-items:center;justify-content:center;';
+            popup.innerHTML = '<div style="width:min(560px,92vw);max-height:80vh;background:#1a1a1a;border-radius:8px;display:flex;flex-direction:column;color:#ddd;">'
+                + '<div style="padding:16px 20px;border-bottom:2px solid #333;">'
+                + '<h3 style="margin:0;color:#fff;">Request collection</h3>'
+                + '<div style="font-size:13px;color:#888;margin-top:4px;">' + escapeHtml(collection.name || '') + ' · ' + parts.length + ' part(s)</div>'
+                + '<div class="collection-quota" style="font-size:13px;color:#ff9800;margin-top:4px;"></div>'
+                + '</div>'
+                + '<div class="collection-parts" style="flex:1;overflow-y:auto;padding:8px 20px;"></div>'
+                + '<div style="padding:12px 20px;border-top:2px solid #333;display:flex;justify-content:flex-end;gap:10px;">'
+                + '<button class="collection-cancel" style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;font-size:13px;">Close</button>'
+                + '<button class="collection-submit" style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#ff9800;color:#fff;cursor:pointer;font-size:13px;">Request</button>'
+                + '</div>'
+                + '</div>';
+            document.body.appendChild(popup);
+
+            const list = qs('.collection-parts', popup);
+            const submitBtn = qs('.collection-submit', popup);
+            let requested = 0;
+            let submitting = false;
+
+            const rows = parts.map(part => {
+                const row = document.createElement('label');
+                row.style.cssText = 'display:flex;align-items:center;gap:10px;padding:8px 0;border-bottom:1px solid #2a2a2a;';
+                row.innerHTML = '<input type="checkbox" class="collection-part-check" style="width:16px;height:16px;flex-shrink:0;">'
+                    + '<div style="width:40px;height:60px;flex-shrink:0;border-radius:3px;background:#2a2a2a center/cover no-repeat;"' + (part.poster ? ' data-poster="true"' : '') + '></div>'
+                    + '<div style="flex:1;min-width:0;">'
+                    + '<div style="color:#fff;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">' + escapeHtml(part.title || part.tmdbId) + (part.year ? ' <span style="color:#777;">(' + escapeHtml(part.year) + ')</span>' : '') + '</div>'
+                    + '<div class="collection-part-state" style="font-size:12px;"></div>'
+                    + '</div>';
+                if (part.poster) qs('[data-poster]', row).style.backgroundImage = 'url("' + part.poster.replace(/"/g, '%22') + '")';
+                list.appendChild(row);
+                return row;
+            });
+
+            function renderRow(index, override) {
+                const part = parts[index];
+                const row = rows[index];
+                const state = override || collectionPartState(part);
+                const stateEl = qs('.collection-part-state', row);
+                stateEl.textContent = state.label;
+                stateEl.style.color = state.color;
+
+                const check = qs('.collection-part-check', row);
+                const selectable = !override && isRequestablePart(part);
+                check.style.visibility = selectable ? 'visible' : 'hidden';
+                check.disabled = !selectable || submitting;
+                if (!selectable) check.checked = false;
+                row.style.cursor = selectable ? 'pointer' : 'default';
+            }
+
+            function updateSubmit() {
+                const count = rows.filter(r => qs('.collection-part-check', r).checked).length;
+                submitBtn.textContent = 'Request ' + count;
+                submitBtn.disabled = submitting || count === 0;
+                submitBtn.style.background = submitBtn.disabled ? '#888' : '#ff9800';
+            }
+
+            function close() {
+                popup.remove();
+                resolve(requested);
+            }
+
+            rows.forEach((row, i) => {
+                renderRow(i);
+                const check = qs('.collection-part-check', row);
+                check.checked = !check.disabled;
+                check.addEventListener('change', updateSubmit);
+            });
+            updateSubmit();
+
+            if (window.RequestManager?.getQuota) {
+                window.RequestManager.getQuota().then(quota => {
+                    const bucket = quota && !quota.exempt ? quota.movie : null;
+                    if (bucket && bucket.remaining !== null && bucket.remaining !== undefined) {
+                        qs('.collection-quota', popup).textContent = 'You have ' + bucket.remaining + ' movie request(s) left in the last ' + quota.windowDays + ' days.';
+                    }
+                }).catch(() => { });
+            }
+
+            qs('.collection-cancel', popup).addEventListener('click', close);
+            popup.addEventListener('click', e => e.target === popup && !submitting && close());
+
+            submitBtn.addEventListener('click', async () => {
+                const chosen = rows.map((row, i) => i).filter(i => qs('.collection-part-check', rows[i]).checked);
+                submitting = true;
+                updateSubmit();
+
+                // One at a time so quotas, duplicate merging and request rules apply exactly as for single requests
+                let quotaReached = false;
+                for (const i of chosen) {
+                    const part = parts[i];
+                    qs('.collection-part-check', rows[i]).checked = false;
+                    if (quotaReached) {
+                        renderRow(i);
+                        continue;
+                    }
+                    try {
+                        const saved = await window.RequestManager.request({
+                            title: part.title,
+                            year: part.year,
+                            img: part.poster,
+                            tmdbId: part.tmdbId,
+                            itemType: 'movie',
+                            collectionId: collection.id,
+                            collectionName: collection.name
+                        });
+                        part.requestStatus = (saved?.Status || 'pending').toLowerCase();
+                        part.requestedBy = saved?.Username || part.requestedBy;
+                        part.linked = true;
+                        requested++;
+                        renderRow(i);
+                    } catch (err) {
+                        console.error('[DetailsModal.openCollectionDialog] Request failed:', part.title, err);
+                        if (err?.status === 429) {
+                            quotaReached = true;
+                            qs('.collection-quota', popup).textContent = 'Request quota reached; the remaining parts were not requested.';
+                        }
+                        renderRow(i, { label: 'Failed', color: '#f44336' });
+                    }
+                }
+
+                submitting = false;
+                rows.forEach(row => {
+                    const check = qs('.collection-part-check', row);
+                    check.disabled = check.style.visibility === 'hidden';
+                });
+                updateSubmit();
+                showToast('Requested ' + requested + ' part(s) of ' + (collection.name || 'the collection') + (quotaReached ? ' (request quota reached)' : ''), 4000);
+            });
+        });
+    }
+
+    // ============================================
+    // REQUEST COMMENTS
+    // ============================================
+
+    function renderCommentList(listEl, comments) {
+        if (!comments.length) {
+            listEl.innerHTML = '<div style="color:#888;font-size:13px;">No comments yet.</div>';
+            return;
+        }
+        listEl.innerHTML = comments.map(c => {
+            const when = c.timestamp ? new Date(c.timestamp).toLocaleString() : '';
+            const adminTag = c.isAdmin ? ' <span style="background:#1e90ff;color:#fff;border-radius:3px;padding:0 4px;font-size:10px;">ADMIN</span>' : '';
+            return '<div style="padding:8px 10px;margin-bottom:6px;background:rgba(255,255,255,0.04);border-radius:4px;">'
+                + '<div style="font-size:12px;color:#aaa;"><strong style="color:#fff;">' + escapeHtml(c.username) + '</strong>' + adminTag + ' <span style="color:#777;">' + escapeHtml(when) + '</span></div>'
+                + '<div style="margin-top:4px;white-space:pre-wrap;word-break:break-word;">' + escapeHtml(c.text) + '</div>'
+                + '</div>';
+        }).join('');
+        listEl.scrollTop = listEl.scrollHeight;
+    }
+
+    async function renderCommentThread(modal, requestId) {
+        const container = qs('#item-detail-comments', modal);
+        if (!container) return;
+        if (!requestId || !window.RequestManager?.getComments) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = '<strong style="color:#1e90ff;">Comments</strong>'
+            + '<div class="request-comment-list" style="margin-top:8px;max-height:220px;overflow-y:auto;"><div style="color:#888;font-size:13px;">Loading…</div></div>'
+            + '<div style="display:flex;gap:8px;margin-top:8px;">'
+            + '<textarea class="request-comment-input" rows="2" maxlength="2000" placeholder="Write a comment…" style="flex:1;resize:vertical;background:#222;color:#ddd;border:1px solid #444;border-radius:4px;padding:6px;font:inherit;font-size:13px;"></textarea>'
+            + '<button class="request-comment-send" style="width:70px;border:none;border-radius:4px;background:#1e90ff;color:#fff;cursor:pointer;font-size:13px;">Send</button>'
+            + '</div>';
+        container.style.display = 'block';
+
+        const listEl = qs('.request-comment-list', container);
+        const input = qs('.request-comment-input', container);
+        const sendBtn = qs('.request-comment-send', container);
+
+        const comments = await window.RequestManager.getComments(requestId);
+        // The modal may have moved on to another request while loading
+        if (modal.dataset.requestId !== requestId) return;
+        renderCommentList(listEl, comments);
+
+        sendBtn.addEventListener('click', async () => {
+            const text = input.value.trim();
+            if (!text) return;
+            sendBtn.disabled = true;
+            try {
+                const comment = await window.RequestManager.addComment(requestId, text);
+                if (comment) comments.push(comment);
+                input.value = '';
+                renderCommentList(listEl, comments);
+            } catch (err) {
+                console.error('[DetailsModal.renderCommentThread] Error adding comment:', err);
+                showToast('Could not post comment.', 3000);
+            } finally {
+                sendBtn.disabled = false;
+            }
+        });
+    }
+
+    // ============================================
+    // REQUEST TIMELINE
+    // ============================================
+
+    const TIMELINE_LABELS = {
+        created: { text: 'Requested', color: '#ff9800' },
+        migrated: { text: 'Imported from file', color: '#607d8b' },
+        voted: { text: 'Voted "me too"', color: '#9c27b0' },
+        unvoted: { text: 'Withdrew vote', color: '#777' },
+        approved: { text: 'Approved', color: '#4caf50' },
+        rejected: { text: 'Rejected', color: '#f44336' },
+        scheduled: { text: 'Approved for release', color: '#607d8b' },
+        released: { text: 'Released', color: '#1e90ff' },
+        retried: { text: 'Retried import', color: '#1e90ff' },
+        imported: { text: 'Imported', color: '#1e90ff' },
+        import_failed: { text: 'Import failed', color: '#f44336' },
+        partially_available: { text: 'Partially available', color: '#26a69a' },
+        available: { text: 'Available', color: '#26a69a' },
+        cancelled: { text: 'Cancelled', color: '#777' },
+        deleted: { text: 'Deleted', color: '#777' }
+    };
+
+    async function renderRequestTimeline(modal, requestId) {
+        const container = qs('#item-detail-timeline', modal);
+        if (!container) return;
+        if (!requestId || !window.RequestManager?.getHistory) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = '<strong style="color:#1e90ff;">History</strong>'
+            + '<div class="request-timeline-list" style="margin-top:8px;"><div style="color:#888;font-size:13px;">Loading…</div></div>';
+        container.style.display = 'block';
+
+        const events = await window.RequestManager.getHistory(requestId);
+        // The modal may have moved on to another request while loading
+        if (modal.dataset.requestId !== requestId) return;
+
+        const listEl = qs('.request-timeline-list', container);
+        if (!events.length) {
+            listEl.innerHTML = '<div style="color:#888;font-size:13px;">No history recorded.</div>';
+            return;
+        }
+
+        listEl.innerHTML = events.map(e => {
+            const label = TIMELINE_LABELS[e.action] || { text: e.action, color: '#777' };
+            const when = e.timestamp ? new Date(e.timestamp).toLocaleString() : '';
+            const actor = e.actor ? ' by <strong style="color:#fff;">' + escapeHtml(e.actor) + '</strong>' : '';
+            const details = e.details
+                ? '<div style="margin-top:2px;color:#aaa;white-space:pre-wrap;word-break:break-word;">' + escapeHtml(e.details) + '</div>'
+                : '';
+            return '<div style="position:relative;padding:0 0 10px 18px;border-left:2px solid #333;margin-left:5px;">'
+                + '<span style="position:absolute;left:-6px;top:3px;width:10px;height:10px;border-radius:50%;background:' + label.color + ';"></span>'
+                + '<div style="font-size:13px;color:#ddd;">' + escapeHtml(label.text) + actor + ' <span style="color:#777;font-size:12px;">' + escapeHtml(when) + '</span></div>'
+                + details
+                + '</div>';
+        }).join('');
+    }
+
+    // ============================================
+    // REJECTION DIALOG
+    // ============================================
+
+    const REJECTION_PRESETS = ['Already available elsewhere', 'Not released yet', 'Quality unavailable'];
+
+    /**
+     * Ask the admin why a request is rejected.
+     * Resolves to the reason text, or null when cancelled.
+     */
+    function openRejectDialog(title) {
+        return new Promise(resolve => {
+            const popup = document.createElement('div');
+            popup.id = 'reject-reason-popup';
+            popup.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.85);z-index:10001;display:flex;align-items:center;justify-content:center;';
+            popup.innerHTML = '<div style="width:min(440px,92vw);background:#1a1a1a;border-radius:8px;color:#ddd;">'
+                + '<div style="padding:16px 20px;border-bottom:2px solid #333;">'
+                + '<h3 style="margin:0;color:#fff;">Reject request</h3>'
+                + '<div style="font-size:13px;color:#888;margin-top:4px;">' + escapeHtml(title || '') + '</div>'
+                + '</div>'
+                + '<div style="padding:12px 20px;">'
+                + REJECTION_PRESETS.map(p => '<label style="display:block;padding:4px 0;cursor:pointer;"><input type="radio" name="reject-reason-preset" value="' + escapeHtml(p) + '"> ' + escapeHtml(p) + '</label>').join('')
+                + '<label style="display:block;padding:4px 0;cursor:pointer;"><input type="radio" name="reject-reason-preset" value=""> Other</label>'
+                + '<textarea class="reject-reason-text" rows="3" maxlength="500" placeholder="Details for the requester (required for Other)" style="width:100%;box-sizing:border-box;margin-top:8px;resize:vertical;background:#222;color:#ddd;border:1px solid #444;border-radius:4px;padding:6px;font:inherit;font-size:13px;"></textarea>'
+                + '</div>'
+                + '<div style="padding:12px 20px;border-top:2px solid #333;display:flex;justify-content:flex-end;gap:10px;">'
+                + '<button class="reject-reason-cancel" style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;font-size:13px;">Cancel</button>'
+                + '<button class="reject-reason-submit" disabled style="height:32px;padding:6px 12px;border:none;border-radius:4px;background:#888;color:#fff;cursor:pointer;font-size:13px;">Reject</button>'
+                + '</div>'
+                + '</div>';
+            document.body.appendChild(popup);
+
+            const textEl = qs('.reject-reason-text', popup);
+            const submitBtn = qs('.reject-reason-submit', popup);
+
+            function buildReason() {
+                const preset = qs('input[name="reject-reason-preset"]:checked', popup);
+                if (!preset) return '';
+                const text = textEl.value.trim();
+                if (!preset.value) return text;
+                return text ? preset.value + ': ' + text : preset.value;
+            }
+
+            function refreshState() {
+                submitBtn.disabled = !buildReason();
+                submitBtn.style.background = submitBtn.disabled ? '#888' : '#ff5722';
+            }
+
+            function close(result) {
+                popup.remove();
+                resolve(result);
+            }
+
+            qsa('input[name="reject-reason-preset"]', popup).forEach(r => r.addEventListener('change', refreshState));
+            textEl.addEventListener('input', refreshState);
+            qs('.reject-reason-cancel', popup).addEventListener('click', () => close(null));
+            popup.addEventListener('click', e => e.target === popup && close(null));
+            submitBtn.addEventListener('click', () => {
+                const reason = buildReason();
+                if (reason) close(reason);
+            });
+        });
+    }
+
+    function showRequestStatusMessage(modal, text, color, background) {
+        const existingMsg = qs('.request-status-msg', modal);
+        if (existingMsg) existingMsg.remove();
+
+        const statusMsg = document.createElement('div');
+        statusMsg.textContent = text;
+        statusMsg.style.cssText = 'color: ' + color + '; padding: 10px; text-align: center; background: ' + background + '; border-radius: 4px; margin: 10px 0;';
+        statusMsg.className = 'request-status-msg';
+        const modalRight = qs('.right', modal);
+        if (modalRight) modalRight.insertBefore(statusMsg, modalRight.firstChild.nextSibling);
+    }
+
+    function rejectedMessage(reason) {
+        return reason ? 'Request rejected: ' + reason : 'Request rejected';
+    }
+
+    // ============================================
+    // IMPORT STATE
+    // ============================================
+
+    /**
+     * Reflect the import-driven request states (processing, failed, partially available, available).
+     * Returns false for any other status so the caller can handle it.
+     */
+    function scheduledMessage(releaseDate) {
+        return releaseDate
+            ? 'Approved - imports once released (' + new Date(releaseDate).toLocaleDateString() + ')'
+            : 'Approved - imports once released';
+    }
+
+    function applyImportState(modal, state) {
+        const openBtn = qs('#item-detail-open', modal);
+        const retryBtn = qs('#item-detail-retry', modal);
+        const scheduleBtn = qs('#item-detail-schedule', modal);
+        const removeBtn = qs('#item-detail-remove', modal);
+
+        switch (state.status) {
+            case 'available':
+            case 'partially_available':
+                showRequestStatusMessage(modal,
+                    state.status === 'available' ? 'Available in your library' : 'Partially available - the rest is on its way',
+                    '#009688', 'rgba(0,150,136,0.1)');
+                if (state.libraryItemId) {
+                    modal.dataset.itemId = state.libraryItemId;
+                    if (openBtn) openBtn.style.display = 'block';
+                }
+                break;
+            case 'processing':
+                showRequestStatusMessage(modal, 'Approved - importing now…', '#2196f3', 'rgba(33,150,243,0.1)');
+                break;
+            case 'scheduled':
+                showRequestStatusMessage(modal, scheduledMessage(state.releaseDate), '#90a4ae', 'rgba(96,125,139,0.15)');
+                break;
+            case 'failed':
+                showRequestStatusMessage(modal,
+                    state.importError ? 'Import failed: ' + state.importError : 'Import failed',
+                    '#f44336', 'rgba(244,67,54,0.1)');
+                if (state.canManage && retryBtn) retryBtn.style.display = 'block';
+                if (state.canManage && scheduleBtn) scheduleBtn.style.display = 'block';
+                break;
+            default:
+                return false;
+        }
+
+        if (removeBtn && state.status !== 'processing' && (state.canManage || state.isOwnRequest)) {
+            removeBtn.style.display = 'block';
+            removeBtn.title = 'Remove';
+        }
+        return true;
+    }
+
+    // Follow an import until the server reports its outcome and tell the admin how it went
+    async function reportImportOutcome(modal, requestId) {
+        const request = window.RequestManager?.waitForImport
+            ? await window.RequestManager.waitForImport(requestId)
+            : null;
+        if (!request) {
+            showToast('Approved! Background processing started.', 4000);
+            return;
+        }
+
+        const status = request.Status;
+        if (status === 'failed') {
+            showToast('Import failed: ' + (request.ImportError || 'unknown error'), 6000);
+        } else if (status === 'available') {
+            showToast('Imported - now available in the library', 4000);
+        } else if (status === 'partially_available') {
+            showToast('Imported - partially available', 4000);
+        } else if (status === 'processing') {
+            showToast('Approved - import is still running in the background', 4000);
+        } else {
+            showToast('Approved! Background processing started.', 4000);
+        }
+
+        // Only touch the modal if it still shows this request
+        if (modal.classList.contains('open') && modal.dataset.requestId === requestId) {
+            const approveBtn = qs('#item-detail-approve', modal);
+            const retryBtn = qs('#item-detail-retry', modal);
+            if (approveBtn) approveBtn.style.display = 'none';
+            if (retryBtn) retryBtn.style.display = 'none';
+            applyImportState(modal, {
+                status: status,
+                importError: request.ImportError,
+                libraryItemId: request.LibraryItemId,
+                canManage: (await fetchPermissions()).canManage
+            });
+        }
+
+        try { if (window.RequestsHeaderButton) { window.RequestsHeaderButton.reload(); } } catch (e) { }
+    }
+
+    // ============================================
+    // REQUEST VOTES
+    // ============================================
+
+    function formatRequesters(username, voters) {
+        const others = voters || [];
+        if (!others.length) return 'Requested by: ' + username;
+        return 'Requested by: ' + [username].concat(others).join(', ') + ' (' + (others.length + 1) + ')';
+    }
+
+    function setVoteButtonState(voteBtn, voted, voteCount) {
+        voteBtn.textContent = (voted ? '✓ Voted' : 'Me too') + ' (' + voteCount + ')';
+        voteBtn.title = voted ? 'Withdraw your vote' : 'Ask for this too';
+        voteBtn.style.background = voted ? '#555' : '#9c27b0';
+        voteBtn.dataset.voted = voted ? 'true' : 'false';
+    }
+
+    /**
+     * Show the "Me too" toggle for someone else's pending request.
+     * Voting adds the current user to the request instead of creating a duplicate.
+     */
+    function setupVoteButton(modal, requestId, requestUsername, voters, hasVoted) {
+        const voteBtn = qs('#item-detail-vote', modal);
+        if (!voteBtn || !window.RequestManager?.vote) return;
+
+        let currentVoters = (voters || []).slice();
+        let voted = !!hasVoted;
+
+        setVoteButtonState(voteBtn, voted, currentVoters.length + 1);
+        voteBtn.style.display = 'block';
+
+        voteBtn.onclick = async (e) => {
+            e.stopPropagation();
+            voteBtn.disabled = true;
+            try {
+                const updated = voted
+                    ? await window.RequestManager.unvote(requestId)
+                    : await window.RequestManager.vote(requestId);
+                voted = !voted;
+                if (updated) currentVoters = (updated.Voters || []).map(v => v.Username);
+
+                setVoteButtonState(voteBtn, voted, currentVoters.length + 1);
+                const requesterEl = qs('#item-detail-requester', modal);
+                if (requesterEl) requesterEl.textContent = formatRequesters(requestUsername, currentVoters);
+            } catch (err) {
+                console.error('[DetailsModal.setupVoteButton] Error:', err);
+                showRequestStatusMessage(modal, 'Could not update your vote', '#f44336', 'rgba(244,67,54,0.1)');
+            } finally {
+                voteBtn.disabled = false;
+            }
+        };
+    }
+
     // ============================================
     // MODAL FUNCTIONS
     // ============================================
@@ -319,16 +1439,25 @@
             + '</div>'
             + '<div class="right" style="min-width:0;max-height:calc(100vh - 80px);">'
             + '<div style="display:flex;justify-content:space-between;align-items:center;padding-bottom:15px;border-bottom:2px solid #333;margin-bottom:15px;">'
+            + '<div style="display:flex;align-items:center;gap:10px;min-width:0;">'
+            + '<button id="item-detail-back" title="Back" style="width:32px;height:32px;padding:0;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;display:none;flex-shrink:0;">'
+            + '<span class="material-icons" aria-hidden="true" style="font-size:20px;line-height:32px;">arrow_back</span>'
+            + '</button>'
             + '<h2 id="item-detail-title" style="margin:0;">Loading…</h2>'
+            + '</div>'
             + '<div style="display:flex;gap:10px;">'
             + '<button id="item-detail-approve" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#4caf50;color:#fff;cursor:pointer;display:none;font-size:13px;">Approve</button>'
+            + '<button id="item-detail-schedule" title="Approve now and import once the title is released" style="width:130px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#607d8b;color:#fff;cursor:pointer;display:none;font-size:13px;">When released</button>'
             + '<button id="item-detail-reject" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#ff5722;color:#fff;cursor:pointer;display:none;font-size:13px;">Reject</button>'
             + '<button id="item-detail-import" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#1e90ff;color:#fff;cursor:pointer;display:none;font-size:13px;">Import</button>'
             + '<button id="item-detail-request" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#ff9800;color:#fff;cursor:pointer;display:none;font-size:13px;">Request</button>'
+            + '<button id="item-detail-retry" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#ff9800;color:#fff;cursor:pointer;display:none;font-size:13px;">Retry</button>'
+            + '<button id="item-detail-vote" style="width:120px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#9c27b0;color:#fff;cursor:pointer;display:none;font-size:13px;">Me too</button>'
             + '<button id="item-detail-view-requests" style="width:120px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#9c27b0;color:#fff;cursor:pointer;display:none;font-size:13px;">View Requests</button>'
             + '<button id="item-detail-remove" title="Remove" style="width:36px;height:36px;padding:0;border:none;border-radius:4px;background:#f44336;color:#fff;cursor:pointer;display:none;font-size:18px;line-height:1;display:flex;align-items:center;justify-content:center;">'
             + '<span class="material-icons" aria-hidden="true" style="font-size:18px;line-height:1;">delete</span>'
             + '</button>'
+            + '<button id="item-detail-trailer" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#c62828;color:#fff;cursor:pointer;display:none;font-size:13px;">Trailer</button>'
             + '<button id="item-detail-open" style="width:100px;height:32px;padding:6px 12px;border:none;border-radius:4px;background:#4caf50;color:#fff;cursor:pointer;display:none;font-size:13px;">Open</button>'
             + '<button id="item-detail-close" style="width:32px;height:32px;padding:0;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;font-size:18px;line-height:1;">✕</button>'
             + '</div>'
@@ -336,7 +1465,13 @@
             + '<div class="modal-body" style="overflow:auto;min-width:0;max-height:calc(100vh - 160px);">'
             + '<div id="item-detail-meta"></div>'
             + '<div id="item-detail-overview" style="margin-top:12px;line-height:1.6;"></div>'
+            + '<div id="item-detail-seasons" style="display:none;margin-top:12px;"></div>'
+            + '<div id="item-detail-collection" style="display:none;margin-top:12px;"></div>'
             + '<div id="item-detail-info" style="margin-top:20px;"></div>'
+            + '<div id="item-detail-recommendations" style="display:none;margin-top:20px;"></div>'
+            + '<div id="item-detail-episodes" style="display:none;margin-top:20px;"></div>'
+            + '<div id="item-detail-timeline" style="display:none;margin-top:20px;"></div>'
+            + '<div id="item-detail-comments" style="display:none;margin-top:20px;"></div>'
             + '</div>'
             + '<div id="item-detail-reviews" style="margin-top:30px;"></div>'
             + '</div>'
@@ -367,11 +1502,17 @@
         const removeBtn = qs('#item-detail-remove', overlay);
         const openBtn = qs('#item-detail-open', overlay);
         const viewRequestsBtn = qs('#item-detail-view-requests', overlay);
+        const retryBtn = qs('#item-detail-retry', overlay);
+        const scheduleBtn = qs('#item-detail-schedule', overlay);
+        const trailerBtn = qs('#item-detail-trailer', overlay);
+        const backBtn = qs('#item-detail-back', overlay);
         const reviewPopup = qs('#review-popup', overlay);
         const closeReviewBtn = qs('#close-review-popup', overlay);
 
         overlay.addEventListener('click', ev => ev.target === overlay && hideModal());
         closeBtn.addEventListener('click', hideModal);
+        backBtn.addEventListener('click', () => goBack(overlay));
+        trailerBtn.addEventListener('click', () => openTrailer(overlay, overlay._trailers || [], qs('#item-detail-title', overlay).textContent));
 
         importBtn.addEventListener('click', async () => {
             const id = overlay.dataset.itemId;
@@ -439,7 +1580,20 @@
             }
         });
 
-        requestBtn.addEventListener('click', () => {
+        requestBtn.addEventListener('click', async () => {
+            // Series requests go through the season picker first
+            let seasons = [];
+            const isSeries = (overlay.dataset.itemType || '').toLowerCase().includes('series');
+            if (isSeries && overlay.dataset.tmdbId) {
+                requestBtn.disabled = true;
+                seasons = await openSeasonPicker(overlay.dataset.tmdbId, qs('#item-detail-title', overlay).textContent);
+                if (!seasons) {
+                    requestBtn.disabled = false;
+                    return;
+                }
+                renderRequestedSeasons(overlay, seasons);
+            }
+
             // Immediately mark requested and disable. Keep UI simple and non-flashy.
             requestBtn.disabled = true;
             requestBtn.textContent = 'Requested';
@@ -454,11 +1608,23 @@
                 tmdbId: overlay.dataset.tmdbId,
                 itemType: overlay.dataset.itemType,
                 jellyfinId: overlay.dataset.itemId,
+                catalogId: overlay.dataset.catalogId || undefined,
+                seasons: seasons,
                 status: 'requested'
             };
             document.dispatchEvent(new CustomEvent('mediaRequest', { detail: item }));
         });
 
+        // The request was not saved (e.g. quota reached): give the button back, or show the quota lock
+        document.addEventListener('mediaRequestFailed', ev => {
+            const failed = ev.detail?.item;
+            if (!failed || failed.tmdbId !== overlay.dataset.tmdbId || failed.imdbId !== overlay.dataset.imdbId) return;
+            requestBtn.disabled = false;
+            requestBtn.textContent = 'Request';
+            requestBtn.style.background = '#ff9800';
+            if (ev.detail.status === 429) applyRequestQuota(requestBtn);
+        });
+
         openBtn.addEventListener('click', () => {
             const id = overlay.dataset.itemId;
             if (id) { hideModal(); window.location.hash = '#/details?id=' + encodeURIComponent(id); }
@@ -477,10 +1643,7 @@
 
         approveBtn.addEventListener('click', async () => {
             const requestId = overlay.dataset.requestId;
-            const imdbId = overlay.dataset.imdbId;
-            const tmdbId = overlay.dataset.tmdbId;
             const jellyfinId = overlay.dataset.itemId;
-            const itemType = overlay.dataset.itemType || 'movie';
 
             if (!requestId) {
                 approveBtn.textContent = 'No-op';
@@ -489,28 +1652,22 @@
                 return;
             }
 
+            // Season-limited requests are imported server-side with only the requested episodes
+            let requestedSeasons = [];
+            try { requestedSeasons = JSON.parse(overlay.dataset.seasons || '[]'); } catch (e) { requestedSeasons = []; }
+            const seasonText = formatSeasonSelection(requestedSeasons);
+
             // UI Feedback: Start
             // Match the "Import" button style feedback
             toggleModalSpinner(overlay, true);
-            showToast('Approving & Importing... Please wait.', 0);
+            showToast(seasonText ? 'Approving & Importing ' + seasonText + '... Please wait.' : 'Approving & Importing... Please wait.', 0);
 
             approveBtn.disabled = true;
             approveBtn.textContent = 'Approving...';
             approveBtn.style.background = '#888';
 
-            // 1. Fire Gelato Proxy (Fire-and-forget)
-            if (imdbId) {
-                try {
-                    const isSeries = itemType && itemType.toLowerCase().includes('series');
-                    const proxyPath = isSeries ? `api/gelato/tv/${encodeURIComponent(imdbId)}` : `api/gelato/movie/${encodeURIComponent(imdbId)}`;
-                    const proxyUrl = window.ApiClient.getUrl(proxyPath);
-                    window.ApiClient.ajax({ type: 'POST', url: proxyUrl }).catch(() => { });
-                } catch (e) {
-                    console.warn('[DetailsModal] gelato proxy call failed', e);
-                }
-            }
-
-            // 2. Update Request Status (Server)
+            // 1. Update Request Status (Server) - the server imports the item and records the outcome
+            let approved = false;
             if (window.RequestManager && typeof window.RequestManager.updateStatus === 'function') {
                 try {
                     let approver = null;
@@ -518,12 +1675,22 @@
                         try { const user = await window.ApiClient.getUser(window.ApiClient.getCurrentUserId()); approver = user?.Name || null; } catch { approver = null; }
                     }
                     await window.RequestManager.updateStatus(requestId, 'approved', approver);
+                    approved = true;
                 } catch (e) {
                     console.warn('[DetailsModal] Failed to update request status:', e);
                 }
             }
 
-            // 3. Try Background Prefetch (Match Import Logic)
+            if (!approved) {
+                toggleModalSpinner(overlay, false);
+                showToast('Approval failed', 4000);
+                approveBtn.disabled = false;
+                approveBtn.textContent = 'Approve';
+                approveBtn.style.background = '#4caf50';
+                return;
+            }
+
+            // 2. Try Background Prefetch (Match Import Logic)
             try {
                 // If it's in the library or we can resolve it, this trigger's background streams fetch
                 if (jellyfinId) {
@@ -535,7 +1702,7 @@
 
             // UI Update: Success (Stay on modal, don't navigate)
             toggleModalSpinner(overlay, false);
-            showToast('Approved! Background processing started.', 4000);
+            showToast(seasonText ? 'Approved - importing ' + seasonText + ' in the background' : 'Approved - importing in the background', 0);
 
             approveBtn.textContent = 'Approved';
             approveBtn.style.background = '#4caf50';
@@ -543,9 +1710,52 @@
             // Hide other buttons to reflect status
             const rejectBtn = qs('#item-detail-reject', overlay);
             if (rejectBtn) rejectBtn.style.display = 'none';
+            scheduleBtn.style.display = 'none';
+            showRequestStatusMessage(overlay, 'Approved - importing now…', '#2196f3', 'rgba(33,150,243,0.1)');
 
             // Update external UI (dropdowns) if present
             try { if (window.RequestsHeaderButton) { window.RequestsHeaderButton.reload(); } } catch (e) { }
+
+            // 3. Follow the import and report how it went
+            await reportImportOutcome(overlay, requestId);
+        });
+
+        retryBtn.addEventListener('click', async () => {
+            const requestId = overlay.dataset.requestId;
+            if (!requestId || !window.RequestManager?.retry) return;
+
+            retryBtn.disabled = true;
+            try {
+                await window.RequestManager.retry(requestId);
+                retryBtn.style.display = 'none';
+                showRequestStatusMessage(overlay, 'Approved - importing now…', '#2196f3', 'rgba(33,150,243,0.1)');
+                showToast('Retrying import…', 0);
+                await reportImportOutcome(overlay, requestId);
+            } catch (e) {
+                console.error('[DetailsModal] Retry failed:', e);
+                showToast('Retry failed', 4000);
+            } finally {
+                retryBtn.disabled = false;
+            }
+        });
+
+        scheduleBtn.addEventListener('click', async () => {
+            const requestId = overlay.dataset.requestId;
+            if (!requestId || !window.RequestManager?.schedule) return;
+
+            scheduleBtn.disabled = true;
+            try {
+                const request = await window.RequestManager.schedule(requestId);
+                [approveBtn, rejectBtn, retryBtn, scheduleBtn].forEach(btn => { btn.style.display = 'none'; });
+                showRequestStatusMessage(overlay, scheduledMessage(request?.ReleaseDate), '#90a4ae', 'rgba(96,125,139,0.15)');
+                showToast('Scheduled - the import starts once it is released', 4000);
+                renderRequestTimeline(overlay, requestId);
+            } catch (e) {
+                console.error('[DetailsModal] Schedule failed:', e);
+                showToast('Scheduling failed', 4000);
+            } finally {
+                scheduleBtn.disabled = false;
+            }
         });
 
         rejectBtn.addEventListener('click', async () => {
@@ -558,6 +1768,9 @@
                 return;
             }
 
+            const reason = await openRejectDialog(qs('#item-detail-title', overlay).textContent);
+            if (!reason) return;
+
             // Immediate UI feedback
             rejectBtn.disabled = true;
             rejectBtn.textContent = 'Rejected';
@@ -586,7 +1799,7 @@
                             rejecter = user?.Name || null;
                         } catch { rejecter = null; }
                     }
-                    window.RequestManager.updateStatus(requestId, 'rejected', rejecter).catch(() => { });
+                    window.RequestManager.updateStatus(requestId, 'rejected', rejecter, reason).catch(() => { });
                 } catch (e) {
                     console.warn('[DetailsModal] Failed to update request status:', e);
                 }
@@ -622,7 +1835,12 @@
 
         closeReviewBtn.addEventListener('click', () => reviewPopup.style.display = 'none');
         reviewPopup.addEventListener('click', e => e.target === reviewPopup && (reviewPopup.style.display = 'none'));
-        document.addEventListener('keydown', ev => ev.key === 'Escape' && hideModal());
+        document.addEventListener('keydown', ev => {
+            if (ev.key !== 'Escape') return;
+            // Escape closes a playing trailer first, then the modal
+            if (qs('#item-detail-trailer-player', overlay)) closeTrailer(overlay);
+            else hideModal();
+        });
 
 
     }
@@ -649,16 +1867,20 @@
         return _configFetching;
     }
 
-    async function switchButton(importBtn, requestBtn, openBtn, inLibrary) {
-        const userId = window.ApiClient.getCurrentUserId();
-        const user = await window.ApiClient.getUser(userId);
-        const isAdmin = user?.Policy?.IsAdministrator || false;
-
-        // Ensure we have config for auto-import check
-        const config = await fetchConfig();
+    // Effective Cavea permissions of the current user; requests.js caches them per user
+    async function fetchPermissions() {
+        if (window.RequestManager?.getPermissions) return window.RequestManager.getPermissions();
+        try {
+            const url = window.ApiClient.getUrl('api/cavea/requests/permissions');
+            return await window.ApiClient.ajax({ type: 'GET', url: url, dataType: 'json' }) || {};
+        } catch (e) {
+            console.warn('[DetailsModal] Failed to fetch permissions:', e);
+            return {};
+        }
+    }
 
-        // Handle potential casing issues
-        const autoImport = (config.enableAutoImport === true || config.EnableAutoImport === true || config.enableAutoImport === 'true');
+    async function switchButton(importBtn, requestBtn, openBtn, inLibrary) {
+        const permissions = await fetchPermissions();
 
         // RESET BUTTON STATE (Fix for persistent state across items)
         if (importBtn) {
@@ -694,19 +1916,50 @@
         } else {
             openBtn.style.display = 'none';
 
-            // If admin OR auto-import enabled, show Import button.
-            // When auto-import is on, requests are effectively skipped/auto-approved,
-            // so we show the Import button to allow direct import.
-            if (isAdmin || autoImport) {
+            // Users who may import directly skip the request step
+            if (permissions.canImport) {
                 importBtn.style.display = 'block';
                 requestBtn.style.display = 'none';
-            } else {
+            } else if (permissions.canRequest) {
                 importBtn.style.display = 'none';
                 requestBtn.style.display = 'block';
+                requestBtn.title = '';
+                await applyRequestQuota(requestBtn);
+            } else {
+                importBtn.style.display = 'none';
+                requestBtn.style.display = 'none';
+                const modal = requestBtn.closest('#item-detail-modal-overlay');
+                if (modal) showRequestStatusMessage(modal, 'Requests are not enabled for your account', '#999', 'rgba(255,255,255,0.05)');
             }
         }
     }
 
+    // Show the remaining request quota on the Request button, and lock it once used up
+    async function applyRequestQuota(requestBtn) {
+        if (!window.RequestManager?.getQuota) return;
+        const modal = requestBtn.closest('#item-detail-modal-overlay');
+        const quota = await window.RequestManager.getQuota();
+        if (!quota || quota.exempt || !modal) return;
+
+        const isSeries = (modal.dataset.itemType || '').toLowerCase().includes('series');
+        const bucket = isSeries ? quota.series : quota.movie;
+        if (!bucket || bucket.remaining === null || bucket.remaining === undefined) return;
+
+        const kind = isSeries ? 'series' : 'movie';
+        if (bucket.remaining > 0) {
+            requestBtn.textContent = 'Request (' + bucket.remaining + ')';
+            requestBtn.title = bucket.remaining + ' of ' + bucket.limit + ' ' + kind + ' requests left in the last ' + quota.windowDays + ' days';
+            return;
+        }
+
+        requestBtn.disabled = true;
+        requestBtn.textContent = 'Quota reached';
+        requestBtn.style.background = '#888';
+        const nextSlot = bucket.resetsAt ? ' Next request available ' + new Date(bucket.resetsAt).toLocaleString() + '.' : '';
+        requestBtn.title = 'Request quota reached';
+        showRequestStatusMessage(modal, 'You have used all ' + bucket.limit + ' ' + kind + ' requests for the last ' + quota.windowDays + ' days.' + nextSlot, '#ff9800', 'rgba(255,152,0,0.1)');
+    }
+
     function getModal() { return qs('#item-detail-modal-overlay') || createModal(); }
     function showModal(modal) { modal.classList.add('open'); document.body.style.overflow = 'hidden'; }
     function hideLoading(modal) {
@@ -718,24 +1971,51 @@
         if (m) {
             m.classList.remove('open');
             document.body.style.overflow = '';
-            qs('#item-detail-title', m).textContent = 'Loading…';
-            qs('#item-detail-meta', m).textContent = '';
-            qs('#item-detail-overview', m).textContent = '';
-            qs('#item-detail-info', m).innerHTML = '';
-            qs('#item-detail-reviews', m).innerHTML = '';
-            qs('#item-detail-image', m).style.backgroundImage = '';
-            qs('#item-detail-import', m).style.display = 'none';
-            qs('#item-detail-request', m).style.display = 'none';
-            qs('#item-detail-approve', m).style.display = 'none';
-            qs('#item-detail-reject', m).style.display = 'none';
-            qs('#item-detail-view-requests', m).style.display = 'none';
-            qs('#item-detail-remove', m).style.display = 'none';
-            qs('#item-detail-open', m).style.display = 'none';
-            const loadingOverlay = qs('#item-detail-loading-overlay', m);
-            if (loadingOverlay) loadingOverlay.style.display = 'flex';
+            m._history = [];
+            resetModal(m);
         }
     }
 
+    // Clear what is shown for the current title; used on close and when moving to another title
+    function resetModal(m) {
+        qs('#item-detail-title', m).textContent = 'Loading…';
+        qs('#item-detail-meta', m).textContent = '';
+        qs('#item-detail-overview', m).textContent = '';
+        qs('#item-detail-info', m).innerHTML = '';
+        qs('#item-detail-reviews', m).innerHTML = '';
+        renderRequestedSeasons(m, []);
+        delete m.dataset.seasons;
+        delete m.dataset.catalogId;
+        const collection = qs('#item-detail-collection', m);
+        if (collection) { collection.style.display = 'none'; collection.innerHTML = ''; }
+        const episodes = qs('#item-detail-episodes', m);
+        if (episodes) { episodes.style.display = 'none'; episodes.innerHTML = ''; }
+        const recommendations = qs('#item-detail-recommendations', m);
+        if (recommendations) { recommendations.style.display = 'none'; recommendations.innerHTML = ''; }
+        const comments = qs('#item-detail-comments', m);
+        if (comments) { comments.style.display = 'none'; comments.innerHTML = ''; }
+        const timeline = qs('#item-detail-timeline', m);
+        if (timeline) { timeline.style.display = 'none'; timeline.innerHTML = ''; }
+        const statusMsg = qs('.request-status-msg', m);
+        if (statusMsg) statusMsg.remove();
+        qs('#item-detail-image', m).style.backgroundImage = '';
+        qs('#item-detail-import', m).style.display = 'none';
+        qs('#item-detail-request', m).style.display = 'none';
+        qs('#item-detail-approve', m).style.display = 'none';
+        qs('#item-detail-reject', m).style.display = 'none';
+        qs('#item-detail-view-requests', m).style.display = 'none';
+        qs('#item-detail-vote', m).style.display = 'none';
+        qs('#item-detail-retry', m).style.display = 'none';
+        qs('#item-detail-schedule', m).style.display = 'none';
+        qs('#item-detail-remove', m).style.display = 'none';
+        qs('#item-detail-open', m).style.display = 'none';
+        qs('#item-detail-trailer', m).style.display = 'none';
+        qs('#item-detail-back', m).style.display = 'none';
+        closeTrailer(m);
+        const loadingOverlay = qs('#item-detail-loading-overlay', m);
+        if (loadingOverlay) loadingOverlay.style.display = 'flex';
+    }
+
     function populateFromCard(anchor, id, modal) {
         const card = anchor.closest('.card') || anchor.closest('[data-id]');
         const title = anchor.getAttribute('title') || anchor.textContent.trim() || qs('.cardText-first a', card)?.textContent || 'Untitled';
@@ -750,6 +2030,8 @@
         qs('#item-detail-overview', modal).textContent = '';
         setBackgroundImage(qs('#item-detail-image', modal), bgImage);
         modal.dataset.itemId = id;
+        // Cards in a catalog row carry its id, which request rules can match on
+        modal.dataset.catalogId = card?.closest('[data-catalog-id]')?.dataset.catalogId || '';
 
         fetchMetadata(id, card, modal, title, year, isSeriesCard).catch(() => {
             const loading = qs('#item-detail-loading', modal);
@@ -808,6 +2090,7 @@
             if (displayTitle) qs('#item-detail-title', modal).textContent = displayTitle;
             if (description) qs('#item-detail-overview', modal).textContent = description;
             if (poster) setBackgroundImage(qs('#item-detail-image', modal), poster);
+            setupTrailerButton(modal, data);
 
             // Build info HTML
             let infoHtml = '';
@@ -875,6 +2158,9 @@
                 console.warn('[DetailsModal] Robust verification failed:', err);
             }
 
+            if (actualType === 'movie' && modal.dataset.tmdbId) renderCollection(modal, modal.dataset.tmdbId);
+            if (actualType === 'series' && modal.dataset.tmdbId) renderSeasonBrowser(modal, modal.dataset.tmdbId, finalImdbId || imdbId);
+
             // Now fetch credits with the VERIFIED actualType
             if (data.credits) {
                 populateCredits(modal, data, data.credits);
@@ -886,37 +2172,29 @@
                 }
             }
 
+            if (modal.dataset.tmdbId || finalImdbId) renderRecommendations(modal, actualType, modal.dataset.tmdbId, finalImdbId);
+
             if (window.LibraryStatus?.check) {
                 const existingRequest = await window.LibraryStatus.checkRequest(finalImdbId, tmdbIdFromResponse, actualType, modal.dataset.itemId || null);
 
                 if (existingRequest) {
 
-                    let currentUsername = 'Unknown';
-                    let isAdmin = false;
-                    try {
-                        const userId = window.ApiClient.getCurrentUserId();
-                        const user = await window.ApiClient.getUser(userId);
-                        currentUsername = user?.Name || 'Unknown';
-                        isAdmin = user?.Policy?.IsAdministrator || false;
-                    } catch (err) {
-                        console.warn('[DetailsModal] Error getting user via getUser, trying getCurrentUser:', err);
-                        try {
-                            const user = await window.ApiClient.getCurrentUser();
-                            currentUsername = user?.Name || 'Unknown';
-                            isAdmin = user?.Policy?.IsAdministrator || false;
-                        } catch (fallbackErr) {
-                            console.error('[DetailsModal] Fallback error:', fallbackErr);
-                        }
-                    }
-
+                    const permissions = await fetchPermissions();
+                    const currentUsername = permissions.username || 'Unknown';
                     const isOwnRequest = existingRequest.username === currentUsername;
+                    // Approvers act on other people's pending requests; request managers on any request
+                    const canReview = permissions.canManage || (permissions.canApprove && !isOwnRequest && existingRequest.status === 'pending');
 
                     modal.dataset.requestId = existingRequest.id;
                     modal.dataset.isRequestMode = 'true';
+                    modal.dataset.seasons = JSON.stringify(existingRequest.seasons || []);
+                    renderRequestedSeasons(modal, existingRequest.seasons);
+                    if (permissions.canApprove || isOwnRequest) renderRequestTimeline(modal, existingRequest.id);
+                    renderCommentThread(modal, existingRequest.id);
 
                     const requesterEl = qs('#item-detail-requester', modal);
                     if (requesterEl) {
-                        requesterEl.textContent = 'Requested by: ' + existingRequest.username;
+                        requesterEl.textContent = formatRequesters(existingRequest.username, existingRequest.voters);
                         requesterEl.style.display = 'block';
                     }
 
@@ -936,6 +2214,8 @@
                     if (rejectBtn) rejectBtn.style.display = 'none';
                     if (removeBtn) removeBtn.style.display = 'none';
                     if (viewRequestsBtn) viewRequestsBtn.style.display = 'none';
+                    const voteBtn = qs('#item-detail-vote', modal);
+                    if (voteBtn) voteBtn.style.display = 'none';
 
                     // Clear any previous status messages
                     const existingMsg = qs('.request-status-msg', modal);
@@ -954,15 +2234,23 @@
                             requesterEl.textContent = `${statusText} - in library`;
                             requesterEl.style.display = 'block';
                         }
-                    } else if (isAdmin) {
-                        // Admin viewing a request - item NOT in library
+                    } else if (applyImportState(modal, {
+                        status: existingRequest.status,
+                        importError: existingRequest.importError,
+                        libraryItemId: existingRequest.libraryItemId,
+                        canManage: permissions.canManage,
+                        isOwnRequest: isOwnRequest
+                    })) {
+                        // Import in flight, failed, or (partially) fulfilled
+                    } else if (canReview) {
+                        // Reviewer viewing a request - item NOT in library
                         if (existingRequest.status === 'pending') {
-                            // Pending - show approve + reject
+                            // Pending - show approve, and reject for request managers
                             if (approveBtn) {
                                 approveBtn.style.display = 'block';
                                 approveBtn.textContent = 'Approve';
                             }
-                            if (rejectBtn) {
+                            if (rejectBtn && permissions.canManage) {
                                 rejectBtn.style.display = 'block';
                                 rejectBtn.textContent = 'Reject';
                             }
@@ -978,13 +2266,14 @@
                             }
                         } else if (existingRequest.status === 'rejected') {
                             // Rejected - just show delete
+                            showRequestStatusMessage(modal, rejectedMessage(existingRequest.rejectionReason), '#f44336', 'rgba(244,67,54,0.1)');
                             if (removeBtn) {
                                 removeBtn.style.display = 'block';
                                 removeBtn.title = 'Delete';
                             }
                         }
                     } else {
-                        // Non-admin user viewing a request
+                        // Requester or other user viewing a request
                         if (existingRequest.status === 'pending') {
                             if (isOwnRequest) {
                                 // User's own pending request - show "View Requests" button to open dropdown
@@ -992,29 +2281,21 @@
                                     viewRequestsBtn.style.display = 'block';
                                 }
                             } else {
-                                // Someone else's pending request - show nothing (just close button)
+                                // Someone else's pending request - let the user add their vote
+                                const hasVoted = (existingRequest.voters || []).some(v => (v || '').toLowerCase() === currentUsername.toLowerCase());
+                                setupVoteButton(modal, existingRequest.id, existingRequest.username, existingRequest.voters, hasVoted);
                             }
                         } else if (existingRequest.status === 'approved') {
                             // Approved - show status message
-                            const statusMsg = document.createElement('div');
-                            statusMsg.textContent = 'Request approved - awaiting import';
-                            statusMsg.style.cssText = 'color: #4caf50; padding: 10px; text-align: center; background: rgba(76,175,80,0.1); border-radius: 4px; margin: 10px 0;';
-                            statusMsg.className = 'request-status-msg';
-                            const modalRight = qs('.right', modal);
-                            if (modalRight) modalRight.insertBefore(statusMsg, modalRight.firstChild.nextSibling);
+                            showRequestStatusMessage(modal, 'Request approved - awaiting import', '#4caf50', 'rgba(76,175,80,0.1)');
 
                             if (isOwnRequest && removeBtn) {
                                 removeBtn.style.display = 'block';
                                 removeBtn.title = 'Cancel Request';
                             }
                         } else if (existingRequest.status === 'rejected') {
-                            // Rejected - show status message
-                            const statusMsg = document.createElement('div');
-                            statusMsg.textContent = 'Request rejected';
-                            statusMsg.style.cssText = 'color: #f44336; padding: 10px; text-align: center; background: rgba(244,67,54,0.1); border-radius: 4px; margin: 10px 0;';
-                            statusMsg.className = 'request-status-msg';
-                            const modalRight = qs('.right', modal);
-                            if (modalRight) modalRight.insertBefore(statusMsg, modalRight.firstChild.nextSibling);
+                            // Rejected - show status message with the admin's reason
+                            showRequestStatusMessage(modal, rejectedMessage(existingRequest.rejectionReason), '#f44336', 'rgba(244,67,54,0.1)');
 
                             if (isOwnRequest && removeBtn) {
                                 removeBtn.style.display = 'block';
@@ -1179,11 +2460,10 @@
             ev.stopPropagation();
 
             (async () => {
-                const config = await fetchConfig();
-                const autoImport = (config.enableAutoImport === true || config.EnableAutoImport === true || config.enableAutoImport === 'true');
+                const [config, permissions] = await Promise.all([fetchConfig(), fetchPermissions()]);
                 const disableModal = (config.disableModal === true || config.DisableModal === true);
 
-                if (autoImport && disableModal) {
+                if (permissions.canImport && disableModal) {
                     window.location.hash = '#/details?id=' + encodeURIComponent(id);
                     return;
                 }
@@ -1198,8 +2478,9 @@
     // Listen for request card clicks
     document.addEventListener('openDetailsModal', async (ev) => {
         try {
-            const { item, isRequestMode, requestId, requestUsername, isAdmin } = ev.detail || {};
+            const { item, isRequestMode, requestId, requestUsername, voters, hasVoted } = ev.detail || {};
             if (!item) return;
+            const permissions = await fetchPermissions();
 
 
             const modal = getModal();
@@ -1221,6 +2502,13 @@
             modal.dataset.itemType = item.itemType || 'movie';
             modal.dataset.requestId = requestId;
             modal.dataset.isRequestMode = isRequestMode;
+            modal.dataset.seasons = JSON.stringify(item.seasons || []);
+            renderRequestedSeasons(modal, item.seasons);
+            if (isRequestMode) {
+                // The history is only visible to reviewers and the requester
+                if (permissions.canApprove || ev.detail.isOwnRequest) renderRequestTimeline(modal, requestId);
+                renderCommentThread(modal, requestId);
+            }
 
             // Set poster image from request if available
             const requestPoster = item.Img || item.img || item.poster || '';
@@ -1235,7 +2523,7 @@
             // Show requester info
             const requesterEl = qs('#item-detail-requester', modal);
             if (requestUsername && requesterEl) {
-                requesterEl.textContent = 'Requested by: ' + requestUsername;
+                requesterEl.textContent = formatRequesters(requestUsername, voters);
                 requesterEl.style.display = 'block';
             } else if (requesterEl) {
                 requesterEl.style.display = 'none';
@@ -1252,17 +2540,45 @@
             const rejectBtn = qs('#item-detail-reject', modal);
             const removeBtn = qs('#item-detail-remove', modal);
 
+            const staleMsg = qs('.request-status-msg', modal);
+            if (staleMsg) staleMsg.remove();
+
             if (isRequestMode) {
-                const { requestStatus, isOwnRequest } = ev.detail || {};
+                const { requestStatus, isOwnRequest, rejectionReason } = ev.detail || {};
+                // Approvers act on other people's pending requests; request managers on any request
+                const canReview = permissions.canManage || (permissions.canApprove && !isOwnRequest && requestStatus === 'pending');
+
+                if (requestStatus === 'rejected') {
+                    showRequestStatusMessage(modal, rejectedMessage(rejectionReason), '#f44336', 'rgba(244,67,54,0.1)');
+                }
 
                 if (importBtn) importBtn.style.display = 'none';
                 if (requestBtn) requestBtn.style.display = 'none';
 
-                if (isAdmin) {
+                const retryBtn = qs('#item-detail-retry', modal);
+                if (retryBtn) retryBtn.style.display = 'none';
+                const scheduleBtn = qs('#item-detail-schedule', modal);
+                if (scheduleBtn) scheduleBtn.style.display = 'none';
+
+                if (['available', 'partially_available', 'processing', 'scheduled', 'failed'].includes(requestStatus)) {
+                    if (approveBtn) approveBtn.style.display = 'none';
+                    if (rejectBtn) rejectBtn.style.display = 'none';
+                    if (openBtn) openBtn.style.display = 'none';
+                    if (removeBtn) removeBtn.style.display = 'none';
+                    applyImportState(modal, {
+                        status: requestStatus,
+                        importError: ev.detail.importError,
+                        releaseDate: ev.detail.releaseDate,
+                        libraryItemId: item.jellyfinId,
+                        canManage: permissions.canManage,
+                        isOwnRequest: ev.detail.isOwnRequest
+                    });
+                } else if (canReview) {
                     if (requestStatus === 'pending') {
-                        // Pending - show approve + reject
+                        // Pending - show approve (reject for request managers), or approve for when it is released
                         if (approveBtn) approveBtn.style.display = 'block';
-                        if (rejectBtn) rejectBtn.style.display = 'block';
+                        if (rejectBtn) rejectBtn.style.display = permissions.canManage ? 'block' : 'none';
+                        if (scheduleBtn) scheduleBtn.style.display = 'block';
                         if (removeBtn) removeBtn.style.display = 'none';
                         if (openBtn) openBtn.style.display = 'none';
                     } else if (requestStatus === 'approved') {
@@ -1281,7 +2597,7 @@
                         if (openBtn) openBtn.style.display = 'none';
                     }
                 } else {
-                    // Non-admin user
+                    // Requester or other user
                     if (requestStatus === 'pending') {
                         if (isOwnRequest) {
                             // Own pending - show cancel
@@ -1293,11 +2609,12 @@
                             if (rejectBtn) rejectBtn.style.display = 'none';
                             if (openBtn) openBtn.style.display = 'none';
                         } else {
-                            // Someone else's pending - show nothing
+                            // Someone else's pending - only the vote toggle
                             if (approveBtn) approveBtn.style.display = 'none';
                             if (rejectBtn) rejectBtn.style.display = 'none';
                             if (removeBtn) removeBtn.style.display = 'none';
                             if (openBtn) openBtn.style.display = 'none';
+                            setupVoteButton(modal, requestId, requestUsername, voters, hasVoted);
                         }
                     } else if (requestStatus === 'approved' || requestStatus === 'rejected') {
                         // Approved/rejected - for approved show open if in library, for rejected show nothing
@@ -1332,6 +2649,19 @@
 
     window.addEventListener('hashchange', hideModal);
     window.addEventListener('popstate', hideModal);
+
+    // Trailer selection and playback, usable with any metadata search response
+    window.CaveaTrailers = {
+        pick: pickTrailers,
+        play: (data, language) => {
+            const modal = getModal();
+            if (!modal.classList.contains('open')) {
+                showModal(modal);
+                hideLoading(modal);
+            }
+            openTrailer(modal, pickTrailers(data, language), qs('#item-detail-title', modal).textContent);
+        }
+    };
     // Removed: visibilitychange handler that closed modal on tab switch
     // Modal should only close on click outside, X button, or Escape key
 
@@ -0,0 +1,244 @@
+/**
+ * Request Statistics
+ * Admin-only dashboard (#/requests/stats) with request volume per user, approval rate,
+ * turnaround times, top genres and the most-voted pending requests
+ */
+(function () {
+    'use strict';
+
+    const STATS_API = 'api/cavea/requests/stats';
+    const STATS_ROUTE = '#/requests/stats';
+    const PERIODS = [
+        { days: 30, label: 'Last 30 days' },
+        { days: 90, label: 'Last 90 days' },
+        { days: 365, label: 'Last year' },
+        { days: 0, label: 'All time' }
+    ];
+
+    let selectedDays = 90;
+    let loadToken = 0;
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function formatDuration(ms) {
+        if (ms === null || ms === undefined) return '—';
+        const hours = ms / 3600000;
+        if (hours < 1) return Math.max(1, Math.round(ms / 60000)) + ' min';
+        if (hours < 48) return hours.toFixed(1).replace(/\.0$/, '') + ' h';
+        return (hours / 24).toFixed(1).replace(/\.0$/, '') + ' days';
+    }
+
+    function formatPercent(rate) {
+        return rate === null || rate === undefined ? '—' : Math.round(rate * 100) + '%';
+    }
+
+    async function fetchStats(days) {
+        return await window.ApiClient.ajax({
+            type: 'GET',
+            url: window.ApiClient.getUrl(STATS_API) + '?days=' + encodeURIComponent(days),
+            dataType: 'json'
+        });
+    }
+
+    async function canManageRequests() {
+        try {
+            const permissions = window.RequestManager?.getPermissions
+                ? await window.RequestManager.getPermissions()
+                : await window.ApiClient.ajax({ type: 'GET', url: window.ApiClient.getUrl('api/cavea/requests/permissions'), dataType: 'json' });
+            return permissions?.canManage || false;
+        } catch (err) {
+            console.error('[RequestStats] Error checking permissions:', err);
+            return false;
+        }
+    }
+
+    // ============================================
+    // PAGE
+    // ============================================
+
+    function createStatsPage() {
+        const page = document.createElement('div');
+        page.id = 'requestStatsPage';
+        page.className = 'page type-interior';
+        page.setAttribute('data-role', 'page');
+        page.style.cssText = 'display:none;';
+
+        page.innerHTML = `
+            <div class="skinHeader focuscontainer-x padded-top padded-left padded-right padded-bottom-page">
+                <div class="flex align-items-center flex-grow headerTop">
+                    <div class="flex align-items-center flex-grow">
+                        <h1 class="pageTitle">Request Statistics</h1>
+                    </div>
+                    <select class="stats-period" style="padding:6px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;margin-right:8px;">
+                        ${PERIODS.map(p => `<option value="${p.days}">${p.label}</option>`).join('')}
+                    </select>
+                    <button type="button" class="stats-back" style="padding:6px 14px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">All requests</button>
+                </div>
+            </div>
+            <div class="stats-body padded-left padded-right padded-top padded-bottom-page" style="color:#ddd;"></div>
+        `;
+
+        page.querySelector('.stats-period').addEventListener('change', (e) => {
+            selectedDays = parseInt(e.target.value, 10) || 0;
+            loadStats(page);
+        });
+        page.querySelector('.stats-back').addEventListener('click', () => {
+            window.location.hash = '#/requests';
+        });
+
+        document.body.appendChild(page);
+        return page;
+    }
+
+    function tile(label, value, hint) {
+        return `
+            <div style="background:#1f1f1f;border:1px solid #333;border-radius:6px;padding:14px 16px;min-width:150px;flex:1;">
+                <div style="color:#999;font-size:12px;text-transform:uppercase;letter-spacing:0.5px;">${escapeHtml(label)}</div>
+                <div style="color:#fff;font-size:26px;font-weight:600;margin-top:4px;">${escapeHtml(value)}</div>
+                ${hint ? `<div style="color:#888;font-size:12px;margin-top:2px;">${escapeHtml(hint)}</div>` : ''}
+            </div>
+        `;
+    }
+
+    function section(title, body) {
+        return `
+            <div style="background:#1a1a1a;border:1px solid #2c2c2c;border-radius:6px;padding:14px 16px;">
+                <h2 style="margin:0 0 10px;font-size:16px;color:#fff;">${escapeHtml(title)}</h2>
+                ${body}
+            </div>
+        `;
+    }
+
+    // Horizontal bars scaled to the largest value
+    function bars(rows, color) {
+        if (!rows.length) return '<div style="color:#777;">No data yet</div>';
+        const max = Math.max(...rows.map(r => r.value), 1);
+        return rows.map(r => `
+            <div style="display:flex;align-items:center;gap:10px;margin:5px 0;font-size:13px;">
+                <div style="width:140px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;" title="${escapeHtml(r.label)}">${escapeHtml(r.label)}</div>
+                <div style="flex:1;background:#262626;border-radius:3px;height:14px;">
+                    <div style="width:${Math.round(r.value / max * 100)}%;background:${color};height:100%;border-radius:3px;"></div>
+                </div>
+                <div style="width:40px;text-align:right;color:#fff;">${r.value}</div>
+            </div>
+        `).join('');
+    }
+
+    function renderStats(body, stats) {
+        const decided = (stats.approved || 0) + (stats.rejected || 0);
+
+        const users = (stats.users || []).map(u => `
+            <tr style="border-top:1px solid #2a2a2a;">
+                <td style="padding:6px 8px;">${escapeHtml(u.username)}</td>
+                <td style="padding:6px 8px;text-align:right;color:#fff;">${u.total}</td>
+                <td style="padding:6px 8px;text-align:right;">${u.pending}</td>
+                <td style="padding:6px 8px;text-align:right;color:#4caf50;">${u.approved}</td>
+                <td style="padding:6px 8px;text-align:right;color:#26a69a;">${u.available}</td>
+                <td style="padding:6px 8px;text-align:right;color:#f44336;">${u.rejected}</td>
+            </tr>
+        `).join('');
+
+        const voted = (stats.mostVotedPending || []).map(r => `
+            <a href="#/requests?q=${encodeURIComponent(r.title || '')}&status=pending" style="display:flex;align-items:center;gap:10px;padding:6px 0;border-top:1px solid #2a2a2a;color:#ddd;text-decoration:none;font-size:13px;">
+                <span style="min-width:46px;padding:2px 6px;border-radius:3px;background:#9c27b0;color:#fff;text-align:center;">${r.voteCount} ▲</span>
+                <span style="flex:1;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${escapeHtml(r.title)}${r.year ? ` (${escapeHtml(r.year)})` : ''}</span>
+                <span style="color:#888;">${escapeHtml(r.itemType === 'series' ? 'Series' : 'Movie')} · ${escapeHtml(r.username)}</span>
+            </a>
+        `).join('');
+
+        const genreNote = stats.total > 0 && stats.genresKnown < stats.total
+            ? `<div style="color:#777;font-size:12px;margin-top:8px;">Genres known for ${stats.genresKnown} of ${stats.total} requests; more are looked up each time this page loads.</div>`
+            : '';
+
+        body.innerHTML = `
+            <div style="display:flex;flex-wrap:wrap;gap:12px;margin-bottom:16px;">
+                ${tile('Requests', String(stats.total || 0), (stats.byStatus?.pending || 0) + ' pending')}
+                ${tile('Approval rate', formatPercent(stats.approvalRate), decided ? `${stats.approved} approved, ${stats.rejected} rejected` : 'Nothing decided yet')}
+                ${tile('Time to approval', formatDuration(stats.medianTimeToApprovalMs), 'Median')}
+                ${tile('Time to available', formatDuration(stats.medianTimeToAvailableMs), 'Median, from request')}
+            </div>
+            <div style="display:grid;grid-template-columns:repeat(auto-fit,minmax(360px,1fr));gap:16px;">
+                ${section('Requests per user', users
+                    ? `<table style="width:100%;border-collapse:collapse;font-size:13px;">
+                        <thead><tr style="color:#999;text-align:right;">
+                            <th style="padding:4px 8px;text-align:left;">User</th><th style="padding:4px 8px;">Total</th><th style="padding:4px 8px;">Pending</th>
+                            <th style="padding:4px 8px;">Approved</th><th style="padding:4px 8px;">Available</th><th style="padding:4px 8px;">Rejected</th>
+                        </tr></thead>
+                        <tbody>${users}</tbody>
+                    </table>`
+                    : '<div style="color:#777;">No requests yet</div>')}
+                ${section('Most-voted pending', voted || '<div style="color:#777;">Nothing pending</div>')}
+                ${section('Top requested genres', bars((stats.topGenres || []).map(g => ({ label: g.genre, value: g.count })), '#1e90ff') + genreNote)}
+                ${section('By status', bars(Object.keys(stats.byStatus || {}).map(k => ({ label: k.replace(/_/g, ' '), value: stats.byStatus[k] })).sort((a, b) => b.value - a.value), '#ff9800'))}
+            </div>
+        `;
+    }
+
+    async function loadStats(page) {
+        const body = page.querySelector('.stats-body');
+        const token = ++loadToken;
+        page.querySelector('.stats-period').value = String(selectedDays);
+        body.innerHTML = '<div style="color:#999;padding:20px 0;">Loading statistics…</div>';
+
+        if (!await canManageRequests()) {
+            body.innerHTML = '<div style="color:#f44336;padding:20px 0;">Only request managers can view request statistics.</div>';
+            return;
+        }
+
+        try {
+            const stats = await fetchStats(selectedDays);
+            if (token !== loadToken) return;
+            renderStats(body, stats || {});
+        } catch (err) {
+            console.error('[RequestStats] Error loading statistics:', err);
+            if (token === loadToken) body.innerHTML = '<div style="color:#f44336;padding:20px 0;">Error loading statistics</div>';
+        }
+    }
+
+    // ============================================
+    // ROUTE
+    // ============================================
+
+    // Page switching is shared with the requests page so the two swap without restoring Jellyfin's page in between
+    function showStatsPage() {
+        const page = document.getElementById('requestStatsPage') || createStatsPage();
+        window.CaveaPages.show(page);
+        loadStats(page);
+    }
+
+    function hideStatsPage() {
+        window.CaveaPages.hide(document.getElementById('requestStatsPage'));
+    }
+
+    function handleStatsRoute() {
+        if ((window.location.hash || '') === STATS_ROUTE) showStatsPage();
+        else hideStatsPage();
+    }
+
+    // ============================================
+    // INITIALIZATION
+    // ============================================
+
+    const waitForApiClient = () => {
+        if (window.ApiClient && window.CaveaPages) handleStatsRoute();
+        else setTimeout(waitForApiClient, 100);
+    };
+    waitForApiClient();
+
+    window.addEventListener('hashchange', handleStatsRoute);
+
+    window.RequestStats = {
+        open: () => { window.location.hash = STATS_ROUTE; }
+    };
+})();
@@ -12,42 +12,97 @@
     // ============================================
 
     const API_BASE = 'api/cavea/requests';
-    let isAdmin = false;
+    const NOTIFICATIONS_API = 'api/cavea/notifications';
+    const NOTIFICATIONS_SEEN_KEY = 'cavea-notifications-seen';
+    // Effective Cavea permissions of the current user (see api/cavea/requests/permissions)
+    const NO_PERMISSIONS = { isAdmin: false, canRequest: false, canImport: false, canApprove: false, canManage: false, roles: [] };
+    let permissions = NO_PERMISSIONS;
+    let permissionsUserId = null;
+    let permissionsRequest = null;
     let currentUsername = '';
     let isLoadingRequests = false;
+    let pendingSort = 'newest'; // 'newest' or 'votes' (admin only)
+    let selectionMode = false; // Bulk selection on the requests page (request managers only)
+
+    // Full requests page: route and toolbar state (mirrored in the hash query so views can be bookmarked)
+    const REQUESTS_ROUTE = '#/requests';
+    const DEFAULT_PAGE_FILTERS = { q: '', type: '', user: '', status: '', from: '', to: '', sort: 'newest' };
+    let pageFilters = Object.assign({}, DEFAULT_PAGE_FILTERS);
+    let hiddenPages = [];
+    const selectedRequestIds = new Set();
+
+    // Card badge per request status
+    const STATUS_BADGES = {
+        pending: { label: 'Pending', background: 'rgba(255, 152, 0, 0.9)' },
+        approved: { label: 'Approved', background: 'rgba(76, 175, 80, 0.95)' },
+        processing: { label: 'Processing', background: 'rgba(33, 150, 243, 0.95)' },
+        scheduled: { label: 'Scheduled', background: 'rgba(96, 125, 139, 0.95)' },
+        failed: { label: 'Failed', background: 'rgba(183, 28, 28, 0.95)' },
+        partially_available: { label: 'Partial', background: 'rgba(0, 121, 107, 0.95)' },
+        available: { label: 'Available', background: 'rgba(0, 150, 136, 0.95)' },
+        rejected: { label: 'Rejected', background: 'rgba(244, 67, 54, 0.95)' }
+    };
+    const APPROVED_STATUSES = ['approved', 'processing', 'scheduled', 'failed'];
+    const AVAILABLE_STATUSES = ['available', 'partially_available'];
 
     // UI References
     let dropdownMenu = null;
     let backdrop = null;
+    let notificationsPanel = null;
 
     // ============================================
     // UTILITY FUNCTIONS
     // ============================================
 
-    async function checkAdmin() {
+    // Fetched once per signed-in user; roles only change when an admin saves the configuration
+    async function fetchPermissions() {
         if (!window.ApiClient) {
             console.warn('[Requests] ApiClient not available yet');
-            return false;
+            return NO_PERMISSIONS;
         }
 
-        try {
-            const userId = window.ApiClient.getCurrentUserId();
-            const user = await window.ApiClient.getUser(userId);
-            isAdmin = user?.Policy?.IsAdministrator || false;
-            currentUsername = user?.Name || 'Unknown';
-            return isAdmin;
-        } catch (err) {
-            console.error('[Requests] Error checking admin status (trying fallback):', err);
-            // Try getCurrentUser as fallback
-            try {
-                const user = await window.ApiClient.getCurrentUser();
-                isAdmin = user?.Policy?.IsAdministrator || false;
-                currentUsername = user?.Name || 'Unknown';
-                return isAdmin;
-            } catch (fallbackErr) {
-                console.error('[Requests] Fallback error:', fallbackErr);
-                return false;
-            }
+        const userId = window.ApiClient.getCurrentUserId();
+        if (permissionsRequest && permissionsUserId === userId) return permissionsRequest;
+
+        permissionsUserId = userId;
+        permissionsRequest = window.ApiClient.ajax({
+            type: 'GET',
+            url: window.ApiClient.getUrl(`${API_BASE}/permissions`),
+            dataType: 'json'
+        }).then(result => {
+            permissions = Object.assign({}, NO_PERMISSIONS, result);
+            currentUsername = permissions.username || 'Unknown';
+            return permissions;
+        }).catch(err => {
+            console.error('[Requests] Error loading permissions:', err);
+            permissionsRequest = null;
+            return NO_PERMISSIONS;
+        });
+        return permissionsRequest;
+    }
+
+    // Approvers, request managers and admins review requests: they see everyone's pending requests
+    async function checkReviewer() {
+        return (await fetchPermissions()).canApprove;
+    }
+
+    // Shares the #cavea-toast element with the details modal
+    function showToast(message, duration = 3000) {
+        let toast = document.getElementById('cavea-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'cavea-toast';
+            toast.style.cssText = 'position:fixed;top:20px;left:50%;transform:translateX(-50%) translateY(-100px);background:#333;color:#fff;padding:12px 24px;border-radius:4px;box-shadow:0 4px 12px rgba(0,0,0,0.5);z-index:99999;transition:transform 0.3s ease-out;display:flex;align-items:center;gap:10px;font-size:14px;';
+            document.body.appendChild(toast);
+        }
+        toast.textContent = message;
+
+        requestAnimationFrame(() => toast.style.transform = 'translateX(-50%) translateY(0)');
+
+        if (duration > 0) {
+            setTimeout(() => {
+                toast.style.transform = 'translateX(-50%) translateY(-100px)';
+            }, duration);
         }
     }
 
@@ -81,7 +136,8 @@
     // ============================================
 
     function normalizeStatus(value) {
-        return String(value || 'pending').trim().toLowerCase();
+        // "partially available" / "partially-available" -> "partially_available"
+        return String(value || 'pending').trim().toLowerCase().replace(/[\s-]+/g, '_');
     }
 
     function normalizeItemType(request) {
@@ -134,6 +190,22 @@
         return `url("${raw.replace(/"/g, '%22')}")`;
     }
 
+    function normalizeSeasons(value) {
+        if (!Array.isArray(value)) return [];
+        return value
+            .map(s => ({
+                seasonNumber: Number(s?.seasonNumber ?? s?.SeasonNumber),
+                episodes: Array.isArray(s?.episodes || s?.Episodes) ? (s.episodes || s.Episodes).map(Number) : []
+            }))
+            .filter(s => Number.isInteger(s.seasonNumber));
+    }
+
+    // Compact label for cards: "S1, S3 (4 eps)"
+    function formatSeasonsShort(seasons) {
+        if (!seasons || !seasons.length) return '';
+        return seasons.map(s => s.episodes.length ? `S${s.seasonNumber} (${s.episodes.length} ep${s.episodes.length === 1 ? '' : 's'})` : `S${s.seasonNumber}`).join(', ');
+    }
+
     function normalizeRequest(r) {
         const status = normalizeStatus(r.Status || r.status);
         const itemType = normalizeItemType(r);
@@ -152,21 +224,58 @@
             JellyfinId: r.JellyfinId || r.jellyfinId || '',
             Status: status,
             ApprovedBy: r.ApprovedBy || r.approvedBy || '',
+            RejectionReason: r.RejectionReason || r.rejectionReason || '',
+            LibraryItemId: r.LibraryItemId || r.libraryItemId || '',
+            ImportError: r.ImportError || r.importError || '',
+            AvailableAt: r.AvailableAt || r.availableAt || 0,
+            AutoRule: r.AutoRule || r.autoRule || '',
+            ReleaseDate: r.ReleaseDate || r.releaseDate || 0,
+            CollectionId: r.CollectionId || r.collectionId || '',
+            CollectionName: r.CollectionName || r.collectionName || '',
+            Voters: (r.Voters || r.voters || []).map(v => ({
+                Username: v.Username || v.username || '',
+                UserId: v.UserId || v.userId || '',
+                Timestamp: v.Timestamp || v.timestamp || 0
+            })),
+            VoteCount: r.VoteCount || r.voteCount || 1,
+            Seasons: normalizeSeasons(r.Seasons || r.seasons),
             Timestamp: r.Timestamp || r.timestamp || r.requestedAt || 0
         };
     }
 
-    async function fetchAllRequests() {
+    /**
+     * Fetch one page of requests. query: { status, type, username, q, from, to, sort }.
+     * A limit of 0 only returns the total.
+     */
+    async function fetchRequestsPage(query, offset, limit) {
+        const params = new URLSearchParams();
+        Object.keys(query || {}).forEach(key => {
+            if (query[key] !== undefined && query[key] !== null && query[key] !== '') params.set(key, query[key]);
+        });
+        params.set('offset', offset);
+        params.set('limit', limit);
+
+        const response = await window.ApiClient.ajax({
+            type: 'GET',
+            url: window.ApiClient.getUrl(API_BASE) + '?' + params.toString(),
+            dataType: 'json'
+        });
+        return {
+            items: (response?.items || []).map(normalizeRequest),
+            total: response?.total || 0
+        };
+    }
+
+    async function fetchRequesters() {
         try {
             const response = await window.ApiClient.ajax({
                 type: 'GET',
-                url: window.ApiClient.getUrl(API_BASE),
+                url: window.ApiClient.getUrl(`${API_BASE}/requesters`),
                 dataType: 'json'
             });
-            const list = Array.isArray(response) ? response : [];
-            return list.map(normalizeRequest);
+            return Array.isArray(response) ? response : [];
         } catch (err) {
-            console.error('[Requests.fetchAllRequests] Error:', err);
+            console.error('[Requests.fetchRequesters] Error:', err);
             return [];
         }
     }
@@ -183,24 +292,30 @@
             TmdbId: item.tmdbId,
             ItemType: item.itemType,
             JellyfinId: item.jellyfinId,
+            CatalogId: item.catalogId,
+            CollectionId: item.collectionId,
+            CollectionName: item.collectionName,
+            Seasons: item.seasons || [],
             Status: 'pending',
             Username: username,
             UserId: userId,
             Timestamp: Date.now()
         };
 
-        await window.ApiClient.ajax({
+        const response = await window.ApiClient.ajax({
             type: 'POST',
             url: window.ApiClient.getUrl(API_BASE),
             data: JSON.stringify(request),
             contentType: 'application/json',
             dataType: 'json'
         });
+        return response ? normalizeRequest(response) : null;
     }
 
-    async function updateRequestStatus(requestId, status, approvedBy) {
+    async function updateRequestStatus(requestId, status, approvedBy, rejectionReason) {
         const payload = { Status: status };
         if (approvedBy) payload.ApprovedBy = approvedBy;
+        if (rejectionReason) payload.RejectionReason = rejectionReason;
 
         await window.ApiClient.ajax({
             type: 'PUT',
@@ -211,6 +326,185 @@
         });
     }
 
+    async function voteRequest(requestId) {
+        const response = await window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/vote`),
+            dataType: 'json'
+        });
+        return response ? normalizeRequest(response) : null;
+    }
+
+    async function unvoteRequest(requestId) {
+        const response = await window.ApiClient.ajax({
+            type: 'DELETE',
+            url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/vote`),
+            dataType: 'json'
+        });
+        return response ? normalizeRequest(response) : null;
+    }
+
+    function hasVoted(request, username) {
+        const norm = (username || '').toLowerCase();
+        return (request.Voters || []).some(v => (v.Username || '').toLowerCase() === norm);
+    }
+
+    // Order requests by 'newest', 'oldest', 'votes' or 'title'
+    function sortRequests(list, sort) {
+        const byNewest = (a, b) => (b.Timestamp || 0) - (a.Timestamp || 0);
+        switch (sort) {
+            case 'oldest':
+                return list.slice().sort((a, b) => byNewest(b, a));
+            case 'votes':
+                return list.slice().sort((a, b) => (b.VoteCount - a.VoteCount) || byNewest(a, b));
+            case 'title':
+                return list.slice().sort((a, b) => (a.Title || '').localeCompare(b.Title || '', undefined, { sensitivity: 'base' }));
+            default:
+                return list.slice().sort(byNewest);
+        }
+    }
+
+    async function fetchQuota() {
+        try {
+            return await window.ApiClient.ajax({
+                type: 'GET',
+                url: window.ApiClient.getUrl(`${API_BASE}/quota`),
+                dataType: 'json'
+            });
+        } catch (err) {
+            console.error('[Requests.fetchQuota] Error:', err);
+            return null;
+        }
+    }
+
+    async function fetchComments(requestId) {
+        try {
+            const response = await window.ApiClient.ajax({
+                type: 'GET',
+                url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/comments`),
+                dataType: 'json'
+            });
+            return Array.isArray(response) ? response : [];
+        } catch (err) {
+            console.error('[Requests.fetchComments] Error:', err);
+            return [];
+        }
+    }
+
+    async function fetchHistory(requestId) {
+        try {
+            const response = await window.ApiClient.ajax({
+                type: 'GET',
+                url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/history`),
+                dataType: 'json'
+            });
+            return Array.isArray(response) ? response : [];
+        } catch (err) {
+            console.error('[Requests.fetchHistory] Error:', err);
+            return [];
+        }
+    }
+
+    async function addComment(requestId, text) {
+        return window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/comments`),
+            data: JSON.stringify({ text: text }),
+            contentType: 'application/json',
+            dataType: 'json'
+        });
+    }
+
+    async function fetchRequest(requestId) {
+        const response = await window.ApiClient.ajax({
+            type: 'GET',
+            url: window.ApiClient.getUrl(`${API_BASE}/${requestId}`),
+            dataType: 'json'
+        });
+        return response ? normalizeRequest(response) : null;
+    }
+
+    async function retryImport(requestId) {
+        const response = await window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/retry`),
+            dataType: 'json'
+        });
+        return response ? normalizeRequest(response) : null;
+    }
+
+    async function scheduleRequest(requestId) {
+        const response = await window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/${requestId}/schedule`),
+            dataType: 'json'
+        });
+        return response ? normalizeRequest(response) : null;
+    }
+
+    // Approve every pending request of a TMDB collection; resolves to { succeeded, failed }
+    async function approveCollection(collectionId) {
+        return await window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/collection/${encodeURIComponent(collectionId)}/approve`),
+            dataType: 'json'
+        });
+    }
+
+    // Poll a request until its import leaves "processing" (or give up after timeoutMs)
+    async function waitForImport(requestId, timeoutMs = 60000) {
+        const deadline = Date.now() + timeoutMs;
+        let request = null;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            try {
+                request = await fetchRequest(requestId);
+            } catch (err) {
+                console.error('[Requests.waitForImport] Error:', err);
+                return null;
+            }
+            if (!request || request.Status !== 'processing') return request;
+        }
+        return request;
+    }
+
+    async function batchUpdateRequests(action, ids, rejectionReason) {
+        const payload = { action: action, ids: ids };
+        if (rejectionReason) payload.rejectionReason = rejectionReason;
+
+        return await window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/batch`),
+            data: JSON.stringify(payload),
+            contentType: 'application/json',
+            dataType: 'json'
+        });
+    }
+
+    async function downloadRequests(query, format) {
+        const params = new URLSearchParams();
+        Object.keys(query || {}).forEach(key => {
+            if (query[key] !== undefined && query[key] !== null && query[key] !== '') params.set(key, query[key]);
+        });
+        params.set('format', format);
+
+        return await window.ApiClient.ajax({
+            type: 'GET',
+            url: window.ApiClient.getUrl(`${API_BASE}/export`) + '?' + params.toString(),
+            dataType: 'text'
+        });
+    }
+
+    async function importRequests(content, format, dryRun) {
+        return await window.ApiClient.ajax({
+            type: 'POST',
+            url: window.ApiClient.getUrl(`${API_BASE}/import`),
+            data: JSON.stringify({ format: format, content: content, dryRun: dryRun }),
+            contentType: 'application/json',
+            dataType: 'json'
+        });
+    }
+
     async function deleteRequest(requestId) {
         await window.ApiClient.ajax({
             type: 'DELETE',
@@ -222,7 +516,7 @@
     // CARD CREATION
     // ============================================
 
-    async function createRequestCard(request, adminView) {
+    async function createRequestCard(request, adminView, selectable) {
         const card = document.createElement('div');
         card.className = 'request-card';
         // Support different casing coming from server/client payloads and avoid undefined dataset
@@ -250,6 +544,27 @@
         imgDiv.style.backgroundImage = normalizeRequestImage(request.Img);
         card.appendChild(imgDiv);
 
+        if (adminView && request.Voters && request.Voters.length) {
+            // Everyone who asked for this item, requester first
+            card.title = 'Requested by: ' + [request.Username].concat(request.Voters.map(v => v.Username)).join(', ');
+
+            const voteBadge = document.createElement('div');
+            voteBadge.className = 'request-vote-badge';
+            voteBadge.textContent = '▲ ' + request.VoteCount;
+            voteBadge.style.cssText = `
+                position: absolute;
+                top: 36px;
+                left: 8px;
+                background: rgba(156, 39, 176, 0.9);
+                color: #fff;
+                padding: 2px 6px;
+                border-radius: 4px;
+                font-size: 11px;
+                font-weight: 600;
+            `;
+            card.appendChild(voteBadge);
+        }
+
         if (adminView && request.Username) {
             const userBadge = document.createElement('div');
             userBadge.textContent = request.Username;
@@ -271,34 +586,42 @@
             card.appendChild(userBadge);
         }
 
-        const status = normalizeStatus(request.Status || request.status);
-        if (status === 'pending') {
-            const statusBadge = document.createElement('div');
-            statusBadge.className = 'request-status-badge';
-            statusBadge.dataset.status = 'pending';
-            statusBadge.textContent = 'Pending';
-            statusBadge.style.cssText = `
+        const seasonsLabel = formatSeasonsShort(request.Seasons);
+        if (seasonsLabel) {
+            const seasonsBadge = document.createElement('div');
+            seasonsBadge.className = 'request-seasons-badge';
+            seasonsBadge.textContent = seasonsLabel;
+            seasonsBadge.title = seasonsLabel;
+            seasonsBadge.style.cssText = `
                 position: absolute;
-                top: 8px;
-                right: 8px;
-                background: rgba(255, 152, 0, 0.9);
+                top: 120px;
+                left: 4px;
+                right: 4px;
+                background: rgba(0, 0, 0, 0.75);
                 color: #fff;
-                padding: 4px 8px;
+                padding: 3px 6px;
                 border-radius: 4px;
-                font-size: 11px;
+                font-size: 10px;
                 font-weight: 600;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
             `;
-            card.appendChild(statusBadge);
-        } else if (status === 'approved') {
+            card.appendChild(seasonsBadge);
+        }
+
+        const status = normalizeStatus(request.Status || request.status);
+        const badge = STATUS_BADGES[status];
+        if (badge) {
             const statusBadge = document.createElement('div');
             statusBadge.className = 'request-status-badge';
-            statusBadge.dataset.status = 'approved';
-            statusBadge.textContent = 'Approved';
+            statusBadge.dataset.status = status;
+            statusBadge.textContent = badge.label;
             statusBadge.style.cssText = `
                 position: absolute;
                 top: 8px;
                 right: 8px;
-                background: rgba(76, 175, 80, 0.95);
+                background: ${badge.background};
                 color: #fff;
                 padding: 4px 8px;
                 border-radius: 4px;
@@ -306,26 +629,42 @@
                 font-weight: 600;
             `;
             card.appendChild(statusBadge);
+        }
+
+        if ((status === 'available' || status === 'partially_available') && request.LibraryItemId) {
+            card.appendChild(createCardAction('Open', 'rgba(76, 175, 80, 0.95)', () => {
+                hideDropdown();
+                window.location.hash = '#/details?id=' + encodeURIComponent(request.LibraryItemId);
+            }));
+        } else if (status === 'pending' && request.CollectionName) {
+            card.appendChild(createCardCaption('request-collection', request.CollectionName, '#90caf9'));
+        } else if (status === 'scheduled') {
+            card.appendChild(createCardCaption('request-release-date',
+                request.ReleaseDate ? 'Releases ' + new Date(request.ReleaseDate).toLocaleDateString() : 'Release date unknown', '#90a4ae'));
+        } else if (status === 'failed') {
+            if (request.ImportError) {
+                card.appendChild(createCardCaption('request-import-error', request.ImportError, '#ef5350'));
+            }
+
+            if (permissions.canManage) {
+                const retryBtn = createCardAction('Retry', 'rgba(255, 152, 0, 0.95)', async () => {
+                    retryBtn.disabled = true;
+                    try {
+                        await window.RequestManager.retry(request.Id);
+                    } catch (err) {
+                        console.error('[Requests.retryImport] Error:', err);
+                        retryBtn.disabled = false;
+                    }
+                });
+                card.appendChild(retryBtn);
+            }
         } else if (status === 'rejected') {
-            const statusBadge = document.createElement('div');
-            statusBadge.className = 'request-status-badge';
-            statusBadge.dataset.status = 'rejected';
-            statusBadge.textContent = 'Rejected';
-            statusBadge.style.cssText = `
-                position: absolute;
-                top: 8px;
-                right: 8px;
-                background: rgba(244, 67, 54, 0.95);
-                color: #fff;
-                padding: 4px 8px;
-                border-radius: 4px;
-                font-size: 11px;
-                font-weight: 600;
-            `;
-            card.appendChild(statusBadge);
+            if (request.RejectionReason) {
+                card.appendChild(createCardCaption('request-rejection-reason', request.RejectionReason, '#f44336'));
+            }
 
             // Add delete button for rejected requests
-            if (adminView) {
+            if (permissions.canManage) {
                 const deleteBtn = document.createElement('button');
                 deleteBtn.innerHTML = '×';
                 deleteBtn.style.cssText = `
@@ -363,13 +702,84 @@
             }
         }
 
+        if (selectable) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'request-select';
+            checkbox.checked = selectedRequestIds.has(request.Id);
+            checkbox.style.cssText = `
+                position: absolute;
+                top: 96px;
+                left: 8px;
+                width: 20px;
+                height: 20px;
+                margin: 0;
+                cursor: pointer;
+                accent-color: #1e90ff;
+            `;
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                setRequestSelected(card, request.Id, checkbox.checked);
+            });
+            card.appendChild(checkbox);
+            setRequestSelected(card, request.Id, checkbox.checked);
+        }
+
         card.addEventListener('click', () => {
-            openRequestModal(request, adminView);
+            if (selectable) {
+                const checkbox = card.querySelector('.request-select');
+                checkbox.checked = !checkbox.checked;
+                setRequestSelected(card, request.Id, checkbox.checked);
+                return;
+            }
+            openRequestModal(request);
         });
 
         return card;
     }
 
+    // Small one-line caption under the poster (rejection reason, import error)
+    function createCardCaption(className, text, color) {
+        const caption = document.createElement('div');
+        caption.className = className;
+        caption.textContent = text;
+        caption.title = text;
+        caption.style.cssText = `
+            font-size: 10px;
+            color: ${color};
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        `;
+        return caption;
+    }
+
+    // Button centered near the bottom of the poster (Open, Retry)
+    function createCardAction(label, background, onClick) {
+        const btn = document.createElement('button');
+        btn.className = 'request-card-action';
+        btn.textContent = label;
+        btn.style.cssText = `
+            position: absolute;
+            top: 116px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: ${background};
+            color: #fff;
+            border: none;
+            border-radius: 4px;
+            padding: 4px 12px;
+            font-size: 12px;
+            font-weight: 600;
+            cursor: pointer;
+        `;
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return btn;
+    }
+
     // Create a placeholder/dummy card matching the request card size for empty states
     function createPlaceholderCard() {
         const card = document.createElement('div');
@@ -406,7 +816,7 @@
         return card;
     }
 
-    function openRequestModal(request, adminView) {
+    function openRequestModal(request) {
         const currentUserName = currentUsername;
         const isOwnRequest = request.Username === currentUserName;
 
@@ -417,14 +827,20 @@
                     ProductionYear: request.Year,
                     tmdbId: request.TmdbId,
                     imdbId: request.ImdbId,
-                    jellyfinId: request.JellyfinId,
-                    itemType: request.ItemType
+                    jellyfinId: request.LibraryItemId || request.JellyfinId,
+                    itemType: request.ItemType,
+                    seasons: request.Seasons
                 },
                 isRequestMode: true,
                 requestId: request.Id,
                 requestUsername: request.Username,
                 requestStatus: request.Status,
-                isAdmin: adminView,
+                rejectionReason: request.RejectionReason,
+                importError: request.ImportError,
+                releaseDate: request.ReleaseDate,
+                voters: request.Voters.map(v => v.Username),
+                voteCount: request.VoteCount,
+                hasVoted: hasVoted(request, currentUserName),
                 isOwnRequest: isOwnRequest
             }
         }));
@@ -485,6 +901,12 @@
         dropdownMenu.innerHTML = `
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; border-bottom: 2px solid #333; padding-bottom: 10px;">
                 <h2 style="margin: 0; color: #fff;">Media Requests</h2>
+                <select class="requests-sort" title="Sort pending requests" style="display: none; margin-left: auto; margin-right: 10px; background: #222; color: #fff; border: 1px solid #444; border-radius: 4px; padding: 6px;">
+                    <option value="newest">Newest</option>
+                    <option value="votes">Most votes</option>
+                </select>
+                <button class="view-request-stats" title="Request statistics" style="display: none; background: #555; border: none; color: #fff; padding: 8px 12px; border-radius: 4px; cursor: pointer; margin-right: 10px;">Stats</button>
+                <button class="view-all-requests" title="Search and filter all requests" style="background: #1e90ff; border: none; color: #fff; padding: 8px 12px; border-radius: 4px; cursor: pointer; margin-right: 10px;">View all</button>
                 <button class="close-dropdown" title="Close" style="background: #555; border: none; color: #fff; padding: 8px 10px; border-radius: 4px; cursor: pointer; display:flex;align-items:center;justify-content:center;">
                     <span class="material-icons" aria-hidden="true" style="font-size:18px;line-height:1;">close</span>
                 </button>
@@ -508,6 +930,12 @@
                     <hr style="margin: 20px 0; height: 1px; background: rgba(255,255,255,0.1); border: none;">
                 </div>
 
+                <div class="dropdown-available">
+                    <h3 style="color: #009688; margin-bottom: 10px;">Available</h3>
+                    <div class="dropdown-available-container" style="display: flex; flex-wrap: wrap; gap: 15px; min-height: 50px;"></div>
+                    <hr style="margin: 20px 0; height: 1px; background: rgba(255,255,255,0.1); border: none;">
+                </div>
+
                 <div class="dropdown-rejected">
                     <h3 style="color: #f44336; margin-bottom: 10px;">Rejected</h3>
                     <div class="dropdown-rejected-container" style="display: flex; flex-wrap: wrap; gap: 15px; min-height: 50px;"></div>
@@ -518,6 +946,20 @@
         document.body.appendChild(dropdownMenu);
 
         dropdownMenu.querySelector('.close-dropdown').addEventListener('click', hideDropdown);
+        dropdownMenu.querySelector('.view-all-requests').addEventListener('click', () => {
+            hideDropdown();
+            window.location.hash = REQUESTS_ROUTE;
+        });
+        dropdownMenu.querySelector('.view-request-stats').addEventListener('click', () => {
+            hideDropdown();
+            if (window.RequestStats) window.RequestStats.open();
+        });
+
+        const sortSelect = dropdownMenu.querySelector('.requests-sort');
+        sortSelect.addEventListener('change', () => {
+            pendingSort = sortSelect.value;
+            loadDropdownRequests();
+        });
 
         return dropdownMenu;
     }
@@ -527,112 +969,38 @@
         isLoadingRequests = true;
 
         const dropdown = createDropdown();
-        const moviesContainer = dropdown.querySelector('.dropdown-movies-container');
-        const seriesContainer = dropdown.querySelector('.dropdown-series-container');
-
-        moviesContainer.innerHTML = '<div style="color: #999; padding: 20px;">Loading...</div>';
-        seriesContainer.innerHTML = '<div style="color: #999; padding: 20px;">Loading...</div>';
 
         try {
-            console.log('[Requests] Fetching requests...');
-            const requests = await fetchAllRequests();
-            const adminView = await checkAdmin();
-
-            console.log('[Requests] Current User:', currentUsername, 'IsAdmin:', adminView);
-            console.log('[Requests] Total Requests Fetched:', requests.length);
-            if (requests.length > 0) {
-                console.log('[Requests] Sample Request:', requests[0]);
-            }
-
-            // Normalize username for comparison
-            const normUser = (currentUsername || '').toLowerCase();
-
-            // Helper to safely access properties (handles PascalCase vs camelCase checks)
-            const getStatus = (r) => normalizeStatus(r.Status || r.status);
-            const getItemType = (r) => normalizeItemType(r);
-            const getUsername = (r) => r.Username || r.username;
-
-            // Generic filtering helper
-            const isOwner = (r) => (getUsername(r) || '').toLowerCase() === normUser;
+            const adminView = await checkReviewer();
+            console.log('[Requests] Current User:', currentUsername, 'Reviewer:', adminView);
 
-            // For admins: show all non-approved requests (pending) in movies/series lists,
-            // but show only admin-owned approved copies in the Approved row.
-            let filteredRequests;
-            if (adminView) {
-                // non-approved (pending/rejected/etc.) for lists
-                filteredRequests = requests.filter(r => getStatus(r) !== 'approved');
-            } else {
-                filteredRequests = requests.filter(r => isOwner(r));
-            }
-
-            console.log('[Requests] Filtered Requests (pre-split):', filteredRequests.length);
-
-            // Approved requests: Admins see ALL approved requests (to verify they worked/debug).
-            const approved = requests.filter(r => getStatus(r) === 'approved');
-
-            // Rejected requests: Admins see ALL rejected requests.
-            const rejected = requests.filter(r => getStatus(r) === 'rejected');
-
-            const pendingVisible = filteredRequests.filter(r => getStatus(r) !== 'approved' && getStatus(r) !== 'rejected');
-            const movies = pendingVisible.filter(r => !isSeriesType(getItemType(r)));
-            const series = pendingVisible.filter(r => isSeriesType(getItemType(r)));
-
-            console.log('[Requests] Counts -> Movies:', movies.length, 'Series:', series.length, 'Approved:', approved.length, 'Rejected:', rejected.length);
-
-
-            moviesContainer.innerHTML = '';
-            seriesContainer.innerHTML = '';
-
-            if (movies.length === 0) {
-                moviesContainer.appendChild(createPlaceholderCard());
-            } else {
-                for (const req of movies) {
-                    moviesContainer.appendChild(await createRequestCard(req, adminView));
-                }
+            const sortSelect = dropdown.querySelector('.requests-sort');
+            if (sortSelect) {
+                sortSelect.style.display = adminView ? 'block' : 'none';
+                sortSelect.value = pendingSort;
             }
 
-            if (series.length === 0) {
-                seriesContainer.appendChild(createPlaceholderCard());
-            } else {
-                for (const req of series) {
-                    seriesContainer.appendChild(await createRequestCard(req, adminView));
-                }
-            }
+            const statsBtn = dropdown.querySelector('.view-request-stats');
+            if (statsBtn) statsBtn.style.display = permissions.canManage ? 'block' : 'none';
 
-            // Approved section
-            const approvedContainer = dropdown.querySelector('.dropdown-approved-container');
-            if (approvedContainer) {
-                if (approved && approved.length > 0) {
-                    approvedContainer.innerHTML = '';
-                    for (const req of approved) {
-                        approvedContainer.appendChild(await createRequestCard(req, adminView));
-                    }
-                } else {
-                    approvedContainer.innerHTML = '';
-                    approvedContainer.appendChild(createPlaceholderCard());
-                }
-            }
+            // Reviewers see every pending request; users see the ones they made or voted for.
+            // Approved, available and rejected rows show everyone's requests.
+            const pendingQuery = { status: 'pending', sort: pendingSort };
+            if (!adminView) pendingQuery.username = currentUsername;
 
-            // Rejected section
-            const rejectedContainer = dropdown.querySelector('.dropdown-rejected-container');
-            if (rejectedContainer) {
-                if (rejected && rejected.length > 0) {
-                    rejectedContainer.innerHTML = '';
-                    for (const req of rejected) {
-                        rejectedContainer.appendChild(await createRequestCard(req, adminView));
-                    }
-                } else {
-                    rejectedContainer.innerHTML = '';
-                    rejectedContainer.appendChild(createPlaceholderCard());
-                }
-            }
+            const root = dropdown.querySelector('.dropdown-content');
+            await Promise.all([
+                renderLazyRow(dropdown.querySelector('.dropdown-movies-container'), Object.assign({ type: 'movie' }, pendingQuery), adminView, false, root),
+                renderLazyRow(dropdown.querySelector('.dropdown-series-container'), Object.assign({ type: 'series' }, pendingQuery), adminView, false, root),
+                renderLazyRow(dropdown.querySelector('.dropdown-approved-container'), { status: APPROVED_STATUSES.join(','), sort: 'newest' }, adminView, false, root),
+                renderLazyRow(dropdown.querySelector('.dropdown-available-container'), { status: AVAILABLE_STATUSES.join(','), sort: 'newest' }, adminView, false, root),
+                renderLazyRow(dropdown.querySelector('.dropdown-rejected-container'), { status: 'rejected', sort: 'newest' }, adminView, false, root)
+            ]);
 
             // Update notification badge after loading requests
             updateNotificationBadge();
         } catch (err) {
             console.error('[Requests.loadDropdownRequests] Error:', err);
-            moviesContainer.innerHTML = '<div style="color: #f44336; padding: 20px;">Error loading requests</div>';
-            seriesContainer.innerHTML = '<div style="color: #f44336; padding: 20px;">Error loading requests</div>';
         } finally {
             isLoadingRequests = false;
         }
@@ -678,26 +1046,13 @@
         }
 
         try {
-            const requests = await fetchAllRequests();
             const username = await getCurrentUsername();
-            const adminView = await checkAdmin();
-
-            console.log('[Requests.updateNotificationBadge] Fetched', requests.length, 'total requests. Current User:', username);
+            const adminView = await checkReviewer();
 
-            let pendingCount = 0;
-
-            if (adminView) {
-                // For admins: count all pending requests (from any user)
-                pendingCount = requests.filter(r => normalizeStatus(r.Status || r.status) === 'pending').length;
-            } else {
-                // For regular users: count only their own pending requests
-                // Use case-insensitive check here too
-                const normUser = (username || '').toLowerCase();
-                const getStatus = (r) => r.Status || r.status;
-                const getUsername = (r) => r.Username || r.username;
-                const isOwner = (r) => (getUsername(r) || '').toLowerCase() === normUser;
-                pendingCount = requests.filter(r => getStatus(r) === 'pending' && isOwner(r)).length;
-            }
+            // Only the total is needed: admins count all pending requests, users their own (or voted for)
+            const query = { status: 'pending' };
+            if (!adminView) query.username = username;
+            const pendingCount = (await fetchRequestsPage(query, 0, 0)).total;
 
             console.log('[Requests.updateNotificationBadge] Pending count:', pendingCount, '(admin:', adminView, ')');
 
@@ -771,6 +1126,8 @@
 
         console.log('[Requests] Button added successfully');
 
+        addNotificationsButton(headerRight, btn);
+
         // Update badge immediately and then periodically
         // Wait a bit for ApiClient to be fully ready
         setTimeout(() => {
@@ -779,48 +1136,343 @@
     }
 
     // ============================================
-    // FULL REQUESTS PAGE
+    // NOTIFICATIONS
     // ============================================
 
-    function createRequestsPage() {
-        const oldPage = document.getElementById('requestsPage');
-        if (oldPage) oldPage.remove();
+    const NOTIFICATION_TEXT = {
+        approved: 'was approved',
+        scheduled: 'will be added when it is released',
+        released: 'is out and being added',
+        rejected: 'was rejected',
+        partially_available: 'is partially available',
+        available: 'is now available'
+    };
 
-        const requestsPage = document.createElement('div');
-        requestsPage.id = 'requestsPage';
-        requestsPage.className = 'page type-interior';
-        requestsPage.setAttribute('data-role', 'page');
-        requestsPage.style.cssText = 'display:none;';
+    async function fetchNotifications(unreadOnly) {
+        try {
+            const params = new URLSearchParams({ limit: '50' });
+            if (unreadOnly) params.set('unread', 'true');
+            const response = await window.ApiClient.ajax({
+                type: 'GET',
+                url: window.ApiClient.getUrl(`${NOTIFICATIONS_API}?${params.toString()}`),
+                dataType: 'json'
+            });
+            return {
+                items: Array.isArray(response?.items) ? response.items : [],
+                unread: response?.unread || 0
+            };
+        } catch (err) {
+            console.error('[Requests.fetchNotifications] Error:', err);
+            return { items: [], unread: 0 };
+        }
+    }
 
-        requestsPage.innerHTML = `
-            <div class="skinHeader focuscontainer-x padded-top padded-left padded-right padded-bottom-page">
+    async function markNotificationsRead(ids) {
+        try {
+            const response = await window.ApiClient.ajax({
+                type: 'POST',
+                url: window.ApiClient.getUrl(`${NOTIFICATIONS_API}/read`),
+                data: JSON.stringify({ ids: ids || [] }),
+                contentType: 'application/json',
+                dataType: 'json'
+            });
+            setNotificationsBadge(response?.unread || 0);
+        } catch (err) {
+            console.error('[Requests.markNotificationsRead] Error:', err);
+        }
+    }
+
+    function describeNotification(n) {
+        const title = n.title || 'Your request';
+        return title + ' ' + (NOTIFICATION_TEXT[n.action] || n.action);
+    }
+
+    function setNotificationsBadge(count) {
+        const badge = document.querySelector('.cavea-notifications-badge');
+        if (!badge) return;
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.style.display = count > 0 ? 'flex' : 'none';
+    }
+
+    async function updateNotificationsBadge() {
+        if (!window.ApiClient) return;
+        const feed = await fetchNotifications(true);
+        setNotificationsBadge(feed.unread);
+    }
+
+    /**
+     * Toast once per page load about updates that arrived since the last visit.
+     * The newest timestamp already toasted is remembered so reloads don't repeat it.
+     */
+    async function announceUnseenNotifications() {
+        const feed = await fetchNotifications(true);
+        setNotificationsBadge(feed.unread);
+
+        const seen = parseInt(localStorage.getItem(NOTIFICATIONS_SEEN_KEY) || '0', 10) || 0;
+        const unseen = feed.items.filter(n => n.timestamp > seen);
+        if (!unseen.length) return;
+
+        localStorage.setItem(NOTIFICATIONS_SEEN_KEY, String(unseen[0].timestamp));
+        showToast(unseen.length === 1
+            ? describeNotification(unseen[0])
+            : `${unseen.length} updates on your requests`, 5000);
+    }
+
+    function createNotificationsPanel() {
+        if (notificationsPanel) return notificationsPanel;
+
+        notificationsPanel = document.createElement('div');
+        notificationsPanel.className = 'cavea-notifications-panel';
+        notificationsPanel.style.cssText = `
+            position: fixed;
+            top: 56px;
+            right: 20px;
+            width: 340px;
+            max-width: calc(100vw - 40px);
+            max-height: 60vh;
+            background: #181818;
+            border: 1px solid #333;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0,0,0,0.5);
+            z-index: 10001;
+            display: none;
+            flex-direction: column;
+            overflow: hidden;
+        `;
+        notificationsPanel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px 14px; border-bottom: 1px solid #333;">
+                <strong style="color: #fff;">Notifications</strong>
+                <button class="notifications-mark-all" style="background: none; border: none; color: #1e90ff; cursor: pointer; font-size: 12px;">Mark all read</button>
+            </div>
+            <div class="notifications-list" style="overflow-y: auto;"></div>
+        `;
+        document.body.appendChild(notificationsPanel);
+
+        notificationsPanel.querySelector('.notifications-mark-all').addEventListener('click', async () => {
+            await markNotificationsRead([]);
+            await loadNotificationsPanel();
+        });
+
+        // Close when clicking anywhere else
+        document.addEventListener('click', (e) => {
+            if (notificationsPanel.style.display !== 'flex') return;
+            if (notificationsPanel.contains(e.target) || e.target.closest('.headerNotificationsButton')) return;
+            notificationsPanel.style.display = 'none';
+        });
+
+        return notificationsPanel;
+    }
+
+    async function loadNotificationsPanel() {
+        const panel = createNotificationsPanel();
+        const list = panel.querySelector('.notifications-list');
+        list.innerHTML = '<div style="padding: 14px; color: #888; font-size: 13px;">Loading…</div>';
+
+        const feed = await fetchNotifications(false);
+        setNotificationsBadge(feed.unread);
+
+        if (!feed.items.length) {
+            list.innerHTML = '<div style="padding: 14px; color: #888; font-size: 13px;">No notifications yet.</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        feed.items.forEach(n => {
+            const badge = STATUS_BADGES[n.action];
+            const row = document.createElement('div');
+            row.style.cssText = `padding: 10px 14px; border-bottom: 1px solid #262626; cursor: pointer; background: ${n.isRead ? 'transparent' : 'rgba(30,144,255,0.08)'};`;
+
+            const text = document.createElement('div');
+            text.style.cssText = `font-size: 13px; color: ${n.isRead ? '#aaa' : '#fff'};`;
+            text.textContent = describeNotification(n);
+            if (badge) {
+                text.style.borderLeft = `3px solid ${badge.background}`;
+                text.style.paddingLeft = '8px';
+            }
+            row.appendChild(text);
+
+            if (n.details) {
+                const details = document.createElement('div');
+                details.style.cssText = 'font-size: 12px; color: #888; margin-top: 2px; white-space: pre-wrap; word-break: break-word;';
+                details.textContent = n.details;
+                row.appendChild(details);
+            }
+
+            const when = document.createElement('div');
+            when.style.cssText = 'font-size: 11px; color: #666; margin-top: 4px;';
+            when.textContent = new Date(n.timestamp).toLocaleString();
+            row.appendChild(when);
+
+            row.addEventListener('click', () => openNotification(n));
+            list.appendChild(row);
+        });
+    }
+
+    async function openNotification(notification) {
+        if (!notification.isRead) {
+            await markNotificationsRead([notification.id]);
+        }
+        notificationsPanel.style.display = 'none';
+
+        try {
+            const request = await fetchRequest(notification.requestId);
+            if (!request) throw new Error('Request not found');
+            await fetchPermissions();
+            openRequestModal(request);
+        } catch (err) {
+            console.error('[Requests.openNotification] Error:', err);
+            showToast('This request no longer exists.');
+        }
+    }
+
+    function toggleNotificationsPanel() {
+        const panel = createNotificationsPanel();
+        if (panel.style.display === 'flex') {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'flex';
+        loadNotificationsPanel();
+    }
+
+    function addNotificationsButton(headerRight, requestsButton) {
+        if (headerRight.querySelector('.headerNotificationsButton')) return;
+
+        const btn = document.createElement('button');
+        btn.setAttribute('is', 'paper-icon-button-light');
+        btn.className = 'headerButton headerButtonRight headerNotificationsButton paper-icon-button-light';
+        btn.title = 'Request notifications';
+        btn.style.position = 'relative';
+        btn.innerHTML = '<span class="material-icons notifications" aria-hidden="true"></span>';
+
+        const badge = document.createElement('span');
+        badge.className = 'cavea-notifications-badge';
+        badge.style.cssText = `
+            position: absolute;
+            top: 3px;
+            right: 2px;
+            background: #1e90ff;
+            color: #fff;
+            border-radius: 50%;
+            min-width: 16px;
+            height: 16px;
+            font-size: 10px;
+            font-weight: 700;
+            display: none;
+            align-items: center;
+            justify-content: center;
+            padding: 1px;
+            line-height: 1;
+            z-index: 10;
+        `;
+        btn.appendChild(badge);
+
+        headerRight.insertBefore(btn, requestsButton);
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleNotificationsPanel();
+        });
+
+        setTimeout(updateNotificationsBadge, 1000);
+    }
+
+    // ============================================
+    // FULL REQUESTS PAGE
+    // ============================================
+
+    function createRequestsPage() {
+        const oldPage = document.getElementById('requestsPage');
+        if (oldPage) oldPage.remove();
+
+        const requestsPage = document.createElement('div');
+        requestsPage.id = 'requestsPage';
+        requestsPage.className = 'page type-interior';
+        requestsPage.setAttribute('data-role', 'page');
+        requestsPage.style.cssText = 'display:none;';
+
+        requestsPage.innerHTML = `
+            <div class="skinHeader focuscontainer-x padded-top padded-left padded-right padded-bottom-page">
                 <div class="flex align-items-center flex-grow headerTop">
                     <div class="flex align-items-center flex-grow">
                         <h1 class="pageTitle">Media Requests</h1>
                     </div>
+                    <div class="requests-transfer" style="display:none;gap:8px;margin-right:8px;">
+                        <button type="button" class="requests-export" data-format="csv" title="Download the filtered requests" style="padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">Export CSV</button>
+                        <button type="button" class="requests-export" data-format="json" title="Download the filtered requests" style="padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">Export JSON</button>
+                        <button type="button" class="requests-import" title="Import requests from Cavea, Jellyseerr or Ombi" style="padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">Import</button>
+                        <input type="file" class="requests-import-file" accept=".csv,.json,text/csv,application/json" style="display:none;">
+                    </div>
+                    <button type="button" class="requests-watchlist" title="Request titles from a Letterboxd, IMDb or Trakt watchlist export" style="display:none;padding:6px 12px;margin-right:8px;border:none;border-radius:4px;background:#ff9800;color:#fff;cursor:pointer;">Watchlist</button>
+                    <input type="file" class="requests-watchlist-file" accept=".csv,text/csv" style="display:none;">
+                    <button type="button" class="requests-select-toggle" style="display:none;padding:6px 14px;border:none;border-radius:4px;background:#1e90ff;color:#fff;cursor:pointer;">Select</button>
+                </div>
+                <div class="requests-bulk-bar" style="display:none;align-items:center;gap:10px;padding:10px 0;">
+                    <span class="requests-bulk-count" style="color:#ccc;margin-right:auto;">0 selected</span>
+                    <button type="button" class="requests-bulk-approve" style="padding:6px 12px;border:none;border-radius:4px;background:#4caf50;color:#fff;cursor:pointer;">Approve</button>
+                    <button type="button" class="requests-bulk-reject" style="padding:6px 12px;border:none;border-radius:4px;background:#ff5722;color:#fff;cursor:pointer;">Reject</button>
+                    <button type="button" class="requests-bulk-delete" style="padding:6px 12px;border:none;border-radius:4px;background:#f44336;color:#fff;cursor:pointer;">Delete</button>
                 </div>
             </div>
             <div class="padded-left padded-right padded-top padded-bottom-page">
+                <div class="requests-toolbar padded-left" style="display:flex;flex-wrap:wrap;gap:10px;align-items:center;margin-bottom:1.5em;">
+                    <input type="search" class="requests-filter-q" placeholder="Search titles…" style="flex:1;min-width:180px;padding:6px 10px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;">
+                    <select class="requests-filter-type" style="padding:6px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;">
+                        <option value="">All types</option>
+                        <option value="movie">Movies</option>
+                        <option value="series">Series</option>
+                    </select>
+                    <select class="requests-filter-user" style="display:none;padding:6px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;">
+                        <option value="">All requesters</option>
+                    </select>
+                    <select class="requests-filter-status" style="padding:6px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;">
+                        <option value="">All statuses</option>
+                    </select>
+                    <label style="color:#ccc;font-size:13px;">From <input type="date" class="requests-filter-from" style="padding:5px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;"></label>
+                    <label style="color:#ccc;font-size:13px;">To <input type="date" class="requests-filter-to" style="padding:5px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;"></label>
+                    <select class="requests-filter-sort" title="Sort" style="padding:6px;background:#222;color:#fff;border:1px solid #444;border-radius:4px;">
+                        <option value="newest">Newest</option>
+                        <option value="oldest">Oldest</option>
+                        <option value="votes">Most votes</option>
+                        <option value="title">Title</option>
+                    </select>
+                    <button type="button" class="requests-filter-clear" style="padding:6px 12px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">Clear</button>
+                </div>
                 <div class="verticalSection">
-                    <h2 class="sectionTitle sectionTitle-cards padded-left">Movie Requests</h2>
+                    <h2 class="sectionTitle sectionTitle-cards padded-left">Movie Requests
+                        <label class="requests-select-all" style="display:none;font-size:13px;font-weight:normal;margin-left:12px;cursor:pointer;"><input type="checkbox" data-panel="requests-movies-panel"> Select all</label>
+                    </h2>
                     <div class="requests-movies-panel">
                         <div class="itemsContainer scrollSlider focuscontainer-x padded-left padded-right" style="white-space:nowrap;overflow-x:auto;"></div>
                     </div>
                 </div>
                 <div class="verticalSection" style="margin-top:2em;">
-                    <h2 class="sectionTitle sectionTitle-cards padded-left">Series Requests</h2>
+                    <h2 class="sectionTitle sectionTitle-cards padded-left">Series Requests
+                        <label class="requests-select-all" style="display:none;font-size:13px;font-weight:normal;margin-left:12px;cursor:pointer;"><input type="checkbox" data-panel="requests-series-panel"> Select all</label>
+                    </h2>
                     <div class="requests-series-panel">
                         <div class="itemsContainer scrollSlider focuscontainer-x padded-left padded-right" style="white-space:nowrap;overflow-x:auto;"></div>
                     </div>
                 </div>
                 <div class="verticalSection" style="margin-top:3em;">
-                    <h2 class="sectionTitle sectionTitle-cards padded-left">Approved</h2>
+                    <h2 class="sectionTitle sectionTitle-cards padded-left">Approved
+                        <label class="requests-select-all" style="display:none;font-size:13px;font-weight:normal;margin-left:12px;cursor:pointer;"><input type="checkbox" data-panel="requests-approved-panel"> Select all</label>
+                    </h2>
                     <div class="requests-approved-panel">
                         <div class="itemsContainer scrollSlider focuscontainer-x padded-left padded-right" style="white-space:nowrap;overflow-x:auto;"></div>
                     </div>
                 </div>
                 <div class="verticalSection" style="margin-top:3em;">
-                    <h2 class="sectionTitle sectionTitle-cards padded-left">Rejected</h2>
+                    <h2 class="sectionTitle sectionTitle-cards padded-left">Available
+                        <label class="requests-select-all" style="display:none;font-size:13px;font-weight:normal;margin-left:12px;cursor:pointer;"><input type="checkbox" data-panel="requests-available-panel"> Select all</label>
+                    </h2>
+                    <div class="requests-available-panel">
+                        <div class="itemsContainer scrollSlider focuscontainer-x padded-left padded-right" style="white-space:nowrap;overflow-x:auto;"></div>
+                    </div>
+                </div>
+                <div class="verticalSection" style="margin-top:3em;">
+                    <h2 class="sectionTitle sectionTitle-cards padded-left">Rejected
+                        <label class="requests-select-all" style="display:none;font-size:13px;font-weight:normal;margin-left:12px;cursor:pointer;"><input type="checkbox" data-panel="requests-rejected-panel"> Select all</label>
+                    </h2>
                     <div class="requests-rejected-panel">
                         <div class="itemsContainer scrollSlider focuscontainer-x padded-left padded-right" style="white-space:nowrap;overflow-x:auto;"></div>
                     </div>
@@ -829,114 +1481,955 @@
         `;
 
         document.body.appendChild(requestsPage);
+        attachBulkActions(requestsPage);
+        attachTransferActions(requestsPage);
+        attachWatchlistImport(requestsPage);
+        attachToolbar(requestsPage);
     }
 
-    function showRequestsPage() {
+    // Cavea pages (data-cavea-page) stand in for Jellyfin's current page; switching between them
+    // keeps the Jellyfin pages hidden until the last one closes
+    function showCaveaPage(page) {
+        page.setAttribute('data-cavea-page', 'true');
         document.querySelectorAll('.page').forEach(p => {
-            if (p.id !== 'requestsPage') {
-                p.style.display = 'none';
-            }
+            if (p === page || p.style.display === 'none') return;
+            p.style.display = 'none';
+            if (!p.hasAttribute('data-cavea-page')) hiddenPages.push(p);
         });
+        page.style.display = 'block';
+    }
+
+    function hideCaveaPage(page) {
+        if (!page || page.style.display === 'none') return;
+
+        page.style.display = 'none';
+        const otherOpen = Array.from(document.querySelectorAll('[data-cavea-page]')).some(p => p.style.display !== 'none');
+        if (otherOpen) return;
 
+        hiddenPages.forEach(p => { p.style.display = ''; });
+        hiddenPages = [];
+    }
+
+    function showRequestsPage() {
         let requestsPage = document.getElementById('requestsPage');
         if (!requestsPage) {
             createRequestsPage();
             requestsPage = document.getElementById('requestsPage');
         }
 
-        requestsPage.style.display = 'block';
+        showCaveaPage(requestsPage);
         loadAndDisplayRequestsPage();
     }
 
+    function toolbarQuery(adminView) {
+        const query = { q: pageFilters.q, type: pageFilters.type, sort: pageFilters.sort };
+        if (pageFilters.from) query.from = new Date(pageFilters.from + 'T00:00:00').getTime();
+        if (pageFilters.to) query.to = new Date(pageFilters.to + 'T23:59:59.999').getTime();
+        if (adminView && pageFilters.user) query.username = pageFilters.user;
+        return query;
+    }
+
     async function loadAndDisplayRequestsPage() {
         const page = document.getElementById('requestsPage');
         if (!page) return;
 
-        const moviesContainer = page.querySelector('.requests-movies-panel .itemsContainer');
-        const seriesContainer = page.querySelector('.requests-series-panel .itemsContainer');
+        try {
+            const adminView = await checkReviewer();
+            const selectable = permissions.canManage && selectionMode;
+
+            await syncToolbar(page, adminView);
+            updateBulkControls(page);
+
+            // Toolbar filters apply to every row; each row narrows the status further
+            const base = toolbarQuery(adminView);
+
+            const rowQuery = (statuses, extra) => {
+                const wanted = pageFilters.status ? statuses.filter(st => st === pageFilters.status) : statuses;
+                return wanted.length ? Object.assign({}, base, { status: wanted.join(',') }, extra) : null;
+            };
+
+            // Users only see their own pending requests (or ones they voted for)
+            const pendingExtra = adminView ? {} : { username: currentUsername };
+            const rows = [
+                ['.requests-movies-panel', rowQuery(['pending'], Object.assign({ type: pageFilters.type === 'series' ? 'none' : 'movie' }, pendingExtra))],
+                ['.requests-series-panel', rowQuery(['pending'], Object.assign({ type: pageFilters.type === 'movie' ? 'none' : 'series' }, pendingExtra))],
+                ['.requests-approved-panel', rowQuery(APPROVED_STATUSES)],
+                ['.requests-available-panel', rowQuery(AVAILABLE_STATUSES)],
+                ['.requests-rejected-panel', rowQuery(['rejected'])]
+            ];
+
+            await Promise.all(rows.map(([panel, query]) => {
+                const container = page.querySelector(`${panel} .itemsContainer`);
+                if (!container) return null;
+                if (!query || query.type === 'none') {
+                    container.innerHTML = '';
+                    return null;
+                }
+                return renderLazyRow(container, query, adminView, selectable, null);
+            }));
+
+            // Drop selections that are no longer on the page
+            const shown = new Set(Array.from(page.querySelectorAll('.request-card')).map(c => c.dataset.requestId));
+            selectedRequestIds.forEach(id => { if (!shown.has(id)) selectedRequestIds.delete(id); });
+            updateBulkCount(page);
+            syncSelectAll(page);
+        } catch (err) {
+            console.error('[Requests.loadRequestsPage] Error:', err);
+            page.querySelectorAll('.itemsContainer').forEach(c => {
+                c.innerHTML = '<div style="color: #f44336; padding: 20px;">Error loading requests</div>';
+            });
+        }
+    }
+
+    // ============================================
+    // LAZY ROWS
+    // ============================================
+
+    const PAGE_SIZE = 20;
+
+    /**
+     * Fill a row with the first page of <query> and load further pages as its end scrolls into view.
+     * Re-rendering a container cancels any load still running for it.
+     */
+    async function renderLazyRow(container, query, adminView, selectable, root) {
+        if (!container) return;
+
+        if (container._lazyObserver) container._lazyObserver.disconnect();
+        const generation = (container._lazyGeneration || 0) + 1;
+        container._lazyGeneration = generation;
+        const isCurrent = () => container._lazyGeneration === generation;
+
+        container.innerHTML = '<div style="color: #999; padding: 20px;">Loading...</div>';
+
+        let offset = 0;
+        let total = 0;
+        let loading = false;
+
+        const sentinel = document.createElement('div');
+        sentinel.className = 'requests-lazy-sentinel';
+        sentinel.style.cssText = 'display: inline-block; width: 1px; height: 1px; flex-shrink: 0;';
+
+        const loadMore = async () => {
+            if (loading || (offset > 0 && offset >= total)) return;
+            loading = true;
+            try {
+                const result = await fetchRequestsPage(query, offset, PAGE_SIZE);
+                if (!isCurrent()) return;
+
+                if (offset === 0) {
+                    container.innerHTML = '';
+                    if (result.items.length === 0) {
+                        container.appendChild(createPlaceholderCard());
+                        return;
+                    }
+                }
+
+                total = result.total;
+                offset += result.items.length;
+                for (const req of result.items) {
+                    const card = await createRequestCard(req, adminView, selectable);
+                    if (!isCurrent()) return;
+                    container.insertBefore(card, sentinel.parentNode === container ? sentinel : null);
+                }
+
+                if (offset < total && result.items.length > 0) {
+                    container.appendChild(sentinel);
+                } else {
+                    sentinel.remove();
+                    if (container._lazyObserver) container._lazyObserver.disconnect();
+                }
+            } catch (err) {
+                console.error('[Requests.renderLazyRow] Error:', err);
+                if (offset === 0 && isCurrent()) {
+                    container.innerHTML = '<div style="color: #f44336; padding: 20px;">Error loading requests</div>';
+                }
+            } finally {
+                loading = false;
+            }
+        };
+
+        await loadMore();
+        if (!isCurrent() || sentinel.parentNode !== container) return;
+
+        container._lazyObserver = new IntersectionObserver(entries => {
+            if (entries.some(e => e.isIntersecting)) loadMore();
+        }, { root: root, rootMargin: '200px' });
+        container._lazyObserver.observe(sentinel);
+    }
+
+    // ============================================
+    // PAGE TOOLBAR & ROUTE
+    // ============================================
+
+    function isRequestsRoute(hash) {
+        return hash === REQUESTS_ROUTE || hash.startsWith(REQUESTS_ROUTE + '?');
+    }
+
+    function parsePageFilters(hash) {
+        const query = hash.includes('?') ? hash.slice(hash.indexOf('?') + 1) : '';
+        const params = new URLSearchParams(query);
+        const filters = Object.assign({}, DEFAULT_PAGE_FILTERS);
+        Object.keys(filters).forEach(key => {
+            if (params.has(key)) filters[key] = params.get(key);
+        });
+        return filters;
+    }
+
+    // Mirror the toolbar in the hash without adding history entries or firing hashchange
+    function writePageFilters() {
+        const params = new URLSearchParams();
+        Object.keys(pageFilters).forEach(key => {
+            if (pageFilters[key] && pageFilters[key] !== DEFAULT_PAGE_FILTERS[key]) params.set(key, pageFilters[key]);
+        });
+        const query = params.toString();
+        history.replaceState(history.state, '', REQUESTS_ROUTE + (query ? '?' + query : ''));
+    }
+
+    async function syncToolbar(page, adminView) {
+        const statusSelect = page.querySelector('.requests-filter-status');
+        if (statusSelect && statusSelect.options.length === 1) {
+            Object.keys(STATUS_BADGES).forEach(status => {
+                statusSelect.add(new Option(STATUS_BADGES[status].label, status));
+            });
+        }
+
+        // Requester list is rebuilt each load (admins only)
+        const userSelect = page.querySelector('.requests-filter-user');
+        if (userSelect) {
+            userSelect.style.display = adminView ? '' : 'none';
+            const names = adminView ? await fetchRequesters() : [];
+            if (pageFilters.user && !names.includes(pageFilters.user)) names.push(pageFilters.user);
+            userSelect.innerHTML = '';
+            userSelect.add(new Option('All requesters', ''));
+            names.forEach(name => userSelect.add(new Option(name, name)));
+        }
+
+        const fields = { q: '.requests-filter-q', type: '.requests-filter-type', user: '.requests-filter-user', status: '.requests-filter-status', from: '.requests-filter-from', to: '.requests-filter-to', sort: '.requests-filter-sort' };
+        Object.keys(fields).forEach(key => {
+            const el = page.querySelector(fields[key]);
+            if (el && el !== document.activeElement) el.value = pageFilters[key];
+        });
+
+        // Hide rows that can't match the type/status filters
+        const showRow = (panel, statuses, type) => {
+            const section = page.querySelector(`.${panel}`)?.parentElement;
+            if (!section) return;
+            const statusOk = !pageFilters.status || statuses.includes(pageFilters.status);
+            const typeOk = !type || !pageFilters.type || pageFilters.type === type;
+            section.style.display = statusOk && typeOk ? '' : 'none';
+        };
+        showRow('requests-movies-panel', ['pending'], 'movie');
+        showRow('requests-series-panel', ['pending'], 'series');
+        showRow('requests-approved-panel', APPROVED_STATUSES);
+        showRow('requests-available-panel', AVAILABLE_STATUSES);
+        showRow('requests-rejected-panel', ['rejected']);
+    }
+
+    function attachToolbar(page) {
+        let searchTimer = null;
+        const update = (key, value) => {
+            pageFilters[key] = value;
+            writePageFilters();
+            loadAndDisplayRequestsPage();
+        };
+
+        page.querySelector('.requests-filter-q').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => update('q', e.target.value), 300);
+        });
+
+        [['type', '.requests-filter-type'], ['user', '.requests-filter-user'], ['status', '.requests-filter-status'],
+            ['from', '.requests-filter-from'], ['to', '.requests-filter-to'], ['sort', '.requests-filter-sort']].forEach(([key, selector]) => {
+            page.querySelector(selector).addEventListener('change', (e) => update(key, e.target.value));
+        });
+
+        page.querySelector('.requests-filter-clear').addEventListener('click', () => {
+            pageFilters = Object.assign({}, DEFAULT_PAGE_FILTERS);
+            page.querySelector('.requests-filter-q').value = '';
+            writePageFilters();
+            loadAndDisplayRequestsPage();
+        });
+    }
+
+    function hideRequestsPage() {
+        hideCaveaPage(document.getElementById('requestsPage'));
+    }
+
+    // Show the page for #/requests (with its filters) and hide it on any other route
+    function handleRequestsRoute() {
+        const hash = window.location.hash || '';
+        if (isRequestsRoute(hash)) {
+            pageFilters = parsePageFilters(hash);
+            showRequestsPage();
+        } else {
+            hideRequestsPage();
+        }
+    }
+
+    // ============================================
+    // BULK ACTIONS
+    // ============================================
+
+    function setRequestSelected(card, requestId, selected) {
+        if (selected) selectedRequestIds.add(requestId);
+        else selectedRequestIds.delete(requestId);
+        card.style.outline = selected ? '2px solid #1e90ff' : '';
+        card.style.borderRadius = '6px';
+
+        const page = document.getElementById('requestsPage');
+        if (page) {
+            updateBulkCount(page);
+            syncSelectAll(page);
+        }
+    }
+
+    function updateBulkCount(page) {
+        const count = selectedRequestIds.size;
+        const countEl = page.querySelector('.requests-bulk-count');
+        if (countEl) countEl.textContent = `${count} selected`;
+        page.querySelectorAll('.requests-bulk-bar button').forEach(btn => { btn.disabled = count === 0; });
+    }
+
+    function updateBulkControls(page) {
+        const toggle = page.querySelector('.requests-select-toggle');
+        if (toggle) {
+            toggle.style.display = permissions.canManage ? '' : 'none';
+            toggle.textContent = selectionMode ? 'Done' : 'Select';
+        }
+
+        const transfer = page.querySelector('.requests-transfer');
+        if (transfer) transfer.style.display = permissions.canManage ? 'flex' : 'none';
+
+        const watchlist = page.querySelector('.requests-watchlist');
+        if (watchlist) watchlist.style.display = permissions.canRequest ? '' : 'none';
 
-        moviesContainer.innerHTML = '<div style="color: #999; padding: 20px;">Loading...</div>';
-        seriesContainer.innerHTML = '<div style="color: #999; padding: 20px;">Loading...</div>';
+        const active = permissions.canManage && selectionMode;
+        const bar = page.querySelector('.requests-bulk-bar');
+        if (bar) bar.style.display = active ? 'flex' : 'none';
+        page.querySelectorAll('.requests-select-all').forEach(label => { label.style.display = active ? 'inline' : 'none'; });
+        updateBulkCount(page);
+    }
+
+    // Reflect each section's cards in its select-all checkbox
+    function syncSelectAll(page) {
+        page.querySelectorAll('.requests-select-all input').forEach(input => {
+            const boxes = Array.from(page.querySelectorAll(`.${input.dataset.panel} .request-select`));
+            const checked = boxes.filter(b => b.checked).length;
+            input.checked = boxes.length > 0 && checked === boxes.length;
+            input.indeterminate = checked > 0 && checked < boxes.length;
+        });
+    }
+
+    function attachBulkActions(page) {
+        page.querySelector('.requests-select-toggle').addEventListener('click', () => {
+            selectionMode = !selectionMode;
+            selectedRequestIds.clear();
+            loadAndDisplayRequestsPage();
+        });
 
+        page.querySelectorAll('.requests-select-all input').forEach(input => {
+            input.addEventListener('change', () => {
+                page.querySelectorAll(`.${input.dataset.panel} .request-card`).forEach(card => {
+                    const checkbox = card.querySelector('.request-select');
+                    if (!checkbox) return;
+                    checkbox.checked = input.checked;
+                    setRequestSelected(card, card.dataset.requestId, input.checked);
+                });
+            });
+        });
+
+        page.querySelector('.requests-bulk-approve').addEventListener('click', () => runBulkAction('approve'));
+        page.querySelector('.requests-bulk-reject').addEventListener('click', () => runBulkAction('reject'));
+        page.querySelector('.requests-bulk-delete').addEventListener('click', () => runBulkAction('delete'));
+    }
+
+    async function runBulkAction(action) {
+        const ids = Array.from(selectedRequestIds);
+        if (ids.length === 0) return;
+
+        let rejectionReason = null;
+        if (action === 'reject') {
+            rejectionReason = (prompt(`Reason for rejecting ${ids.length} request(s)? The requesters will see it.`) || '').trim();
+            if (!rejectionReason) return;
+        } else if (action === 'delete') {
+            if (!confirm(`Delete ${ids.length} request(s)?`)) return;
+        }
+
+        const labels = { approve: 'Approved', reject: 'Rejected', delete: 'Deleted' };
         try {
-            const requests = await fetchAllRequests();
-            const adminView = await checkAdmin();
-
-            // Normalize username
-            const normUser = (currentUsername || '').toLowerCase();
-
-            // Helper accessors
-            const getStatus = (r) => normalizeStatus(r.Status || r.status);
-            const getItemType = (r) => normalizeItemType(r);
-            const getUsername = (r) => r.Username || r.username;
-            const isOwner = (r) => (getUsername(r) || '').toLowerCase() === normUser;
-
-            // Admins: show all non-approved/non-rejected requests in lists, but only their own approved/rejected copies
-            let filteredRequests;
-            if (adminView) {
-                filteredRequests = requests.filter(r => getStatus(r) !== 'approved' && getStatus(r) !== 'rejected');
-            } else {
-                filteredRequests = requests.filter(r => isOwner(r));
+            const result = await batchUpdateRequests(action, ids, rejectionReason);
+            const succeeded = result?.succeeded?.length || 0;
+            const failed = result?.failed?.length || 0;
+            if (failed > 0) console.warn('[Requests.runBulkAction] Failed:', result.failed);
+            showToast(`${labels[action]} ${succeeded} request(s)` + (failed ? `, ${failed} failed` : ''));
+        } catch (err) {
+            console.error('[Requests.runBulkAction] Error:', err);
+            showToast(`Bulk ${action} failed`);
+        }
+
+        selectedRequestIds.clear();
+        updateNotificationBadge();
+        await loadAndDisplayRequestsPage();
+    }
+
+    // ============================================
+    // EXPORT & IMPORT
+    // ============================================
+
+    const IMPORT_ACTIONS = {
+        import: { label: 'Import', color: '#4caf50' },
+        duplicate: { label: 'Already requested', color: '#777' },
+        unresolved: { label: 'Not found', color: '#ff9800' },
+        invalid: { label: 'Invalid', color: '#f44336' }
+    };
+
+    function attachTransferActions(page) {
+        page.querySelectorAll('.requests-export').forEach(btn => {
+            btn.addEventListener('click', () => exportRequestsFile(btn.dataset.format));
+        });
+
+        const fileInput = page.querySelector('.requests-import-file');
+        page.querySelector('.requests-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (file) await previewImport(file);
+        });
+    }
+
+    // Download what the toolbar currently shows
+    async function exportRequestsFile(format) {
+        try {
+            const query = toolbarQuery(true);
+            if (pageFilters.status) query.status = pageFilters.status;
+
+            const content = await downloadRequests(query, format);
+            const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `cavea-requests-${new Date().toISOString().slice(0, 10)}.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (err) {
+            console.error('[Requests.exportRequestsFile] Error:', err);
+            showToast('Export failed');
+        }
+    }
+
+    // Dry-run the file and show what each row would do before anything is saved
+    async function previewImport(file) {
+        const content = await file.text();
+        const format = /\.json$/i.test(file.name) ? 'json' : (/\.csv$/i.test(file.name) ? 'csv' : '');
+
+        showToast('Checking ' + file.name + '…', 0);
+        let preview;
+        try {
+            preview = await importRequests(content, format, true);
+            showToast('Checked ' + file.name, 1500);
+        } catch (err) {
+            console.error('[Requests.previewImport] Error:', err);
+            showToast('Could not read ' + file.name);
+            return;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.className = 'requests-import-dialog';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.75);z-index:99998;display:flex;align-items:center;justify-content:center;';
+        overlay.innerHTML = `
+            <div style="background:#1c1c1c;color:#fff;border-radius:8px;width:min(900px,94vw);max-height:85vh;display:flex;flex-direction:column;box-shadow:0 8px 32px rgba(0,0,0,0.6);">
+                <div style="padding:16px 20px;border-bottom:1px solid #333;">
+                    <h2 style="margin:0 0 6px;font-size:18px;">Import requests</h2>
+                    <div class="requests-import-summary" style="color:#aaa;font-size:13px;"></div>
+                </div>
+                <div style="overflow:auto;flex:1;">
+                    <table style="width:100%;border-collapse:collapse;font-size:13px;">
+                        <thead><tr style="text-align:left;color:#aaa;">
+                            <th style="padding:6px 10px;">#</th><th style="padding:6px 10px;">Title</th><th style="padding:6px 10px;">Type</th>
+                            <th style="padding:6px 10px;">Requester</th><th style="padding:6px 10px;">Status</th><th style="padding:6px 10px;">Result</th>
+                        </tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <div style="padding:12px 20px;border-top:1px solid #333;display:flex;justify-content:flex-end;gap:10px;">
+                    <button type="button" class="requests-import-cancel" style="padding:6px 14px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">Cancel</button>
+                    <button type="button" class="requests-import-confirm" style="padding:6px 14px;border:none;border-radius:4px;background:#4caf50;color:#fff;cursor:pointer;"></button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.requests-import-summary').textContent =
+            `${file.name}: ${preview.total} row(s), ${preview.imported} to import, ${preview.skipped} already requested, ${preview.failed} not importable`;
+
+        const tbody = overlay.querySelector('tbody');
+        (preview.rows || []).forEach(row => {
+            const action = IMPORT_ACTIONS[row.action] || IMPORT_ACTIONS.invalid;
+            const tr = document.createElement('tr');
+            tr.style.borderTop = '1px solid #2a2a2a';
+            const cells = [
+                row.row,
+                (row.title || '—') + (row.year ? ` (${row.year})` : ''),
+                row.itemType || '',
+                row.username || '',
+                STATUS_BADGES[row.status]?.label || row.status || '',
+                action.label + (row.message && row.action !== 'duplicate' ? ': ' + row.message : '')
+            ];
+            cells.forEach((text, i) => {
+                const td = document.createElement('td');
+                td.style.padding = '6px 10px';
+                td.textContent = text;
+                if (i === cells.length - 1) td.style.color = action.color;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        const confirmBtn = overlay.querySelector('.requests-import-confirm');
+        confirmBtn.textContent = `Import ${preview.imported} request(s)`;
+        confirmBtn.disabled = preview.imported === 0;
+
+        const close = () => overlay.remove();
+        overlay.querySelector('.requests-import-cancel').addEventListener('click', close);
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+
+        confirmBtn.addEventListener('click', async () => {
+            confirmBtn.disabled = true;
+            confirmBtn.textContent = 'Importing…';
+            try {
+                const result = await importRequests(content, format, false);
+                showToast(`Imported ${result.imported} request(s)` + (result.failed ? `, ${result.failed} failed` : ''));
+                close();
+                updateNotificationBadge();
+                await loadAndDisplayRequestsPage();
+            } catch (err) {
+                console.error('[Requests.previewImport] Error:', err);
+                showToast('Import failed');
+                confirmBtn.disabled = false;
+                confirmBtn.textContent = `Import ${preview.imported} request(s)`;
             }
+        });
+
+        document.body.appendChild(overlay);
+    }
 
-            const approved = requests.filter(r => getStatus(r) === 'approved');
-            const rejected = requests.filter(r => getStatus(r) === 'rejected');
+    // ============================================
+    // WATCHLIST IMPORT
+    // ============================================
 
-            const pendingVisible = filteredRequests.filter(r => getStatus(r) !== 'approved' && getStatus(r) !== 'rejected');
-            const movies = pendingVisible.filter(r => !isSeriesType(getItemType(r)));
-            const series = pendingVisible.filter(r => isSeriesType(getItemType(r)));
+    const WATCHLIST_MAX_ITEMS = 300;
+    const WATCHLIST_CONCURRENCY = 3;
 
-            moviesContainer.innerHTML = '';
-            seriesContainer.innerHTML = '';
-            const approvedContainer = page.querySelector('.requests-approved-panel .itemsContainer');
-            const rejectedContainer = page.querySelector('.requests-rejected-panel .itemsContainer');
-            if (approvedContainer) approvedContainer.innerHTML = '';
-            if (rejectedContainer) rejectedContainer.innerHTML = '';
+    const WATCHLIST_STATES = {
+        new: { label: 'New', color: '#4caf50' },
+        library: { label: 'In library', color: '#26a69a' },
+        requested: { label: 'Already requested', color: '#ff9800' },
+        missing: { label: 'Not found', color: '#777' },
+        submitted: { label: 'Requested', color: '#1e90ff' },
+        failed: { label: 'Failed', color: '#f44336' }
+    };
 
-            if (movies.length === 0) {
-                moviesContainer.appendChild(createPlaceholderCard());
+    // RFC 4180: quoted fields may hold commas, line breaks and doubled quotes
+    function parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c !== '"') field += c;
+                else if (text[i + 1] === '"') { field += '"'; i++; }
+                else quoted = false;
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                record.push(field);
+                field = '';
+            } else if (c === '\n') {
+                record.push(field.replace(/\r$/, ''));
+                records.push(record);
+                record = [];
+                field = '';
             } else {
-                for (const req of movies) {
-                    moviesContainer.appendChild(await createRequestCard(req, adminView));
-                }
+                field += c;
             }
+        }
+        record.push(field.replace(/\r$/, ''));
+        records.push(record);
+        return records.filter(r => r.some(v => v.trim() !== ''));
+    }
 
-            if (series.length === 0) {
-                seriesContainer.appendChild(createPlaceholderCard());
-            } else {
-                for (const req of series) {
-                    seriesContainer.appendChild(await createRequestCard(req, adminView));
-                }
+    /**
+     * Turn a watchlist export into { source, items: [{ title, year, imdbId, tmdbId, itemType }] }.
+     * Letterboxd (Name, Year), IMDb (Const, Title, Title Type) and Trakt (type, title, imdb_id, tmdb_id)
+     * are recognised by their headers; other CSVs work when they have a title or id column.
+     */
+    function parseWatchlist(text) {
+        const records = parseCsv(text.replace(/^\uFEFF/, ''));
+        if (records.length < 2) return { source: null, items: [] };
+
+        const header = records[0].map(h => h.trim().toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const col = (...names) => {
+            for (const name of names) {
+                const i = header.indexOf(name);
+                if (i >= 0) return i;
             }
+            return -1;
+        };
 
-            // Populate approved row
-            if (approvedContainer) {
-                if (approved.length === 0) {
-                    approvedContainer.appendChild(createPlaceholderCard());
-                } else {
-                    for (const req of approved) {
-                        approvedContainer.appendChild(await createRequestCard(req, adminView));
-                    }
+        const source = header.includes('letterboxduri') ? 'Letterboxd'
+            : header.includes('const') && header.includes('titletype') ? 'IMDb'
+                : header.includes('traktid') || header.includes('trakt') ? 'Trakt'
+                    : 'CSV';
+
+        const titleCol = col('title', 'name', 'originaltitle');
+        const yearCol = col('year');
+        const imdbCol = col('const', 'imdbid', 'imdb');
+        const tmdbCol = col('tmdbid', 'tmdb');
+        const typeCol = col('titletype', 'type', 'mediatype', 'itemtype');
+
+        const items = [];
+        records.slice(1).forEach(r => {
+            const get = (i) => (i >= 0 && r[i] ? r[i].trim() : '');
+            const rawType = get(typeCol).toLowerCase();
+
+            // Episodes, seasons, people and games can't be requested
+            if (/episode|season|person|game|podcast/.test(rawType)) return;
+
+            const imdbMatch = get(imdbCol).match(/tt\d+/);
+            const item = {
+                title: get(titleCol),
+                year: (get(yearCol).match(/\d{4}/) || [''])[0],
+                imdbId: imdbMatch ? imdbMatch[0] : '',
+                tmdbId: get(tmdbCol).replace(/\D/g, ''),
+                // Letterboxd only lists films
+                itemType: /series|show|tv$|^tv/.test(rawType) && !/movie|special/.test(rawType) ? 'series' : 'movie'
+            };
+            if (item.title || item.imdbId || item.tmdbId) items.push(item);
+        });
+
+        return { source: source, items: items };
+    }
+
+    // Find the item through the metadata endpoint, then ask where it stands
+    async function matchWatchlistItem(item) {
+        const params = new URLSearchParams({ itemType: item.itemType });
+        if (item.imdbId) params.set('imdbId', item.imdbId);
+        if (item.tmdbId) params.set('tmdbId', item.tmdbId);
+        if (!item.imdbId && !item.tmdbId) {
+            params.set('title', item.title);
+            if (item.year) params.set('year', item.year);
+        }
+
+        let meta = null;
+        try {
+            meta = await window.ApiClient.ajax({
+                type: 'GET',
+                url: window.ApiClient.getUrl('api/cavea/metadata/search') + '?' + params.toString(),
+                dataType: 'json'
+            });
+        } catch (err) {
+            console.warn('[Requests.matchWatchlistItem] No match for', item.title || item.imdbId, err);
+        }
+
+        const imdbId = meta?.imdb_id || item.imdbId;
+        const tmdbId = meta?.tmdb_id || item.tmdbId;
+        if (!meta || (!imdbId && !tmdbId)) return Object.assign({}, item, { state: 'missing' });
+
+        const match = Object.assign({}, item, {
+            title: meta.name || item.title,
+            year: meta.year || item.year,
+            imdbId: imdbId || '',
+            tmdbId: tmdbId || '',
+            img: meta.Poster || (meta.poster_path ? 'https://image.tmdb.org/t/p/w300' + meta.poster_path : ''),
+            state: 'new'
+        });
+
+        const status = window.LibraryStatus?.checkStatus
+            ? await window.LibraryStatus.checkStatus(match.imdbId, match.tmdbId, match.itemType)
+            : { inLibrary: false };
+        if (status.inLibrary) match.state = 'library';
+        else if (status.existingRequest) {
+            match.state = 'requested';
+            match.requestStatus = status.existingRequest.status;
+        }
+        return match;
+    }
+
+    function attachWatchlistImport(page) {
+        const fileInput = page.querySelector('.requests-watchlist-file');
+        page.querySelector('.requests-watchlist').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            fileInput.value = '';
+            if (file) await openWatchlistDialog(file);
+        });
+    }
+
+    async function openWatchlistDialog(file) {
+        const parsed = parseWatchlist(await file.text());
+        if (parsed.items.length === 0) {
+            showToast('No titles found in ' + file.name);
+            return;
+        }
+
+        const items = parsed.items.slice(0, WATCHLIST_MAX_ITEMS);
+        const overlay = document.createElement('div');
+        overlay.className = 'requests-watchlist-dialog';
+        overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.75);z-index:99998;display:flex;align-items:center;justify-content:center;';
+        overlay.innerHTML = `
+            <div style="background:#1c1c1c;color:#fff;border-radius:8px;width:min(1000px,94vw);max-height:88vh;display:flex;flex-direction:column;box-shadow:0 8px 32px rgba(0,0,0,0.6);">
+                <div style="padding:16px 20px;border-bottom:1px solid #333;">
+                    <h2 style="margin:0 0 6px;font-size:18px;">Request from watchlist</h2>
+                    <div class="watchlist-summary" style="color:#aaa;font-size:13px;"></div>
+                    <div class="watchlist-quota" style="color:#ff9800;font-size:13px;margin-top:4px;"></div>
+                </div>
+                <div class="watchlist-grid" style="overflow:auto;flex:1;padding:16px 20px;display:grid;grid-template-columns:repeat(auto-fill,minmax(130px,1fr));gap:14px;"></div>
+                <div style="padding:12px 20px;border-top:1px solid #333;display:flex;align-items:center;gap:10px;">
+                    <label style="color:#ccc;font-size:13px;margin-right:auto;cursor:pointer;"><input type="checkbox" class="watchlist-all" checked> Select all new</label>
+                    <button type="button" class="watchlist-cancel" style="padding:6px 14px;border:none;border-radius:4px;background:#555;color:#fff;cursor:pointer;">Close</button>
+                    <button type="button" class="watchlist-submit" disabled style="padding:6px 14px;border:none;border-radius:4px;background:#ff9800;color:#fff;cursor:pointer;">Request</button>
+                </div>
+            </div>
+        `;
+
+        const grid = overlay.querySelector('.watchlist-grid');
+        const summary = overlay.querySelector('.watchlist-summary');
+        const submitBtn = overlay.querySelector('.watchlist-submit');
+        const selectAll = overlay.querySelector('.watchlist-all');
+        const matches = new Array(items.length).fill(null);
+        let closed = false;
+        let submitting = false;
+
+        const cards = items.map(item => {
+            const card = document.createElement('label');
+            card.style.cssText = 'display:flex;flex-direction:column;gap:4px;cursor:default;font-size:12px;';
+            card.innerHTML = `
+                <div class="watchlist-poster" style="position:relative;aspect-ratio:2/3;border-radius:4px;background:#2a2a2a center/cover no-repeat;">
+                    <input type="checkbox" class="watchlist-check" disabled style="display:none;position:absolute;top:6px;left:6px;width:18px;height:18px;">
+                    <span class="watchlist-state" style="position:absolute;bottom:6px;left:6px;right:6px;padding:2px 6px;border-radius:3px;background:rgba(0,0,0,0.75);text-align:center;">Matching…</span>
+                </div>
+                <div class="watchlist-title" style="color:#fff;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;"></div>
+            `;
+            card.querySelector('.watchlist-title').textContent = (item.title || item.imdbId || item.tmdbId) + (item.year ? ` (${item.year})` : '');
+            card.querySelector('.watchlist-check').addEventListener('change', (e) => {
+                e.target.dataset.touched = 'true';
+                updateSubmit();
+            });
+            grid.appendChild(card);
+            return card;
+        });
+
+        function renderCard(index) {
+            const match = matches[index];
+            const card = cards[index];
+            const state = WATCHLIST_STATES[match.state];
+            const badge = card.querySelector('.watchlist-state');
+            badge.textContent = state.label + (match.state === 'requested' && STATUS_BADGES[match.requestStatus] ? ` · ${STATUS_BADGES[match.requestStatus].label}` : '');
+            badge.style.color = state.color;
+            card.querySelector('.watchlist-title').textContent = (match.title || match.imdbId) + (match.year ? ` (${match.year})` : '');
+            if (match.img) card.querySelector('.watchlist-poster').style.backgroundImage = normalizeRequestImage(match.img);
+
+            const check = card.querySelector('.watchlist-check');
+            const selectable = match.state === 'new';
+            check.style.display = selectable ? '' : 'none';
+            check.disabled = !selectable;
+            if (!selectable) check.checked = false;
+            else if (check.dataset.touched !== 'true') check.checked = selectAll.checked;
+            card.style.cursor = selectable ? 'pointer' : 'default';
+            card.style.opacity = selectable || match.state === 'submitted' ? '1' : '0.6';
+        }
+
+        function updateSubmit() {
+            const count = cards.filter(c => c.querySelector('.watchlist-check').checked).length;
+            submitBtn.textContent = `Request ${count}`;
+            submitBtn.disabled = submitting || count === 0;
+
+            const counts = {};
+            matches.forEach(m => { if (m) counts[m.state] = (counts[m.state] || 0) + 1; });
+            const done = matches.filter(Boolean).length;
+            summary.textContent = `${parsed.source} watchlist, ${items.length} title(s)` +
+                (parsed.items.length > items.length ? ` (first ${WATCHLIST_MAX_ITEMS} of ${parsed.items.length})` : '') +
+                (done < items.length ? ` · matching ${done}/${items.length}` : '') +
+                Object.keys(counts).map(k => ` · ${counts[k]} ${WATCHLIST_STATES[k].label.toLowerCase()}`).join('');
+        }
+
+        selectAll.addEventListener('change', () => {
+            cards.forEach((card, i) => {
+                const check = card.querySelector('.watchlist-check');
+                if (matches[i]?.state === 'new') check.checked = selectAll.checked;
+            });
+            updateSubmit();
+        });
+
+        overlay.querySelector('.watchlist-cancel').addEventListener('click', () => {
+            closed = true;
+            overlay.remove();
+        });
+
+        submitBtn.addEventListener('click', async () => {
+            submitting = true;
+            updateSubmit();
+
+            const chosen = cards.map((card, i) => i).filter(i => cards[i].querySelector('.watchlist-check').checked);
+            const quotaHit = new Set();
+            let requested = 0;
+
+            // One at a time so quotas, duplicate merging and request rules apply exactly as for single requests
+            for (const i of chosen) {
+                if (closed) break;
+                const match = matches[i];
+                cards[i].querySelector('.watchlist-check').checked = false;
+                if (quotaHit.has(match.itemType)) continue;
+
+                try {
+                    await saveRequest({
+                        title: match.title,
+                        year: match.year,
+                        img: match.img,
+                        imdbId: match.imdbId,
+                        tmdbId: match.tmdbId,
+                        itemType: match.itemType
+                    });
+                    match.state = 'submitted';
+                    requested++;
+                } catch (err) {
+                    if (err?.status === 429) quotaHit.add(match.itemType);
+                    console.error('[Requests.openWatchlistDialog] Request failed:', match.title, err);
+                    match.state = 'failed';
                 }
+                renderCard(i);
+                updateSubmit();
             }
 
-            // Populate rejected row
-            if (rejectedContainer) {
-                if (rejected.length === 0) {
-                    rejectedContainer.appendChild(createPlaceholderCard());
-                } else {
-                    for (const req of rejected) {
-                        rejectedContainer.appendChild(await createRequestCard(req, adminView));
-                    }
-                }
+            submitting = false;
+            updateSubmit();
+            showToast(`Requested ${requested} title(s)` + (quotaHit.size ? ' (request quota reached)' : ''));
+            if (quotaHit.size) overlay.querySelector('.watchlist-quota').textContent = 'Request quota reached; the remaining titles were not requested.';
+
+            updateNotificationBadge();
+            if (document.getElementById('requestsPage')?.style.display === 'block') {
+                await loadAndDisplayRequestsPage();
             }
-        } catch (err) {
-            console.error('[Requests.loadRequestsPage] Error:', err);
-            moviesContainer.innerHTML = '<div style="color: #f44336; padding: 20px;">Error loading requests</div>';
-            seriesContainer.innerHTML = '<div style="color: #f44336; padding: 20px;">Error loading requests</div>';
+        });
+
+        document.body.appendChild(overlay);
+        updateSubmit();
+
+        fetchQuota().then(quota => {
+            if (!quota || quota.exempt) return;
+            const left = ['movie', 'series']
+                .filter(kind => quota[kind] && quota[kind].remaining !== null && quota[kind].remaining !== undefined)
+                .map(kind => `${quota[kind].remaining} ${kind} request(s)`);
+            if (left.length) overlay.querySelector('.watchlist-quota').textContent = `You have ${left.join(' and ')} left in the last ${quota.windowDays} days.`;
+        });
+
+        // Match a few titles at a time; the metadata lookup can be slow
+        let next = 0;
+        const worker = async () => {
+            while (!closed && next < items.length) {
+                const index = next++;
+                matches[index] = await matchWatchlistItem(items[index]);
+                if (closed) return;
+                renderCard(index);
+                updateSubmit();
+            }
+        };
+        await Promise.all(Array.from({ length: WATCHLIST_CONCURRENCY }, worker));
+    }
+
+    // ============================================
+    // LIVE UPDATES
+    // ============================================
+
+    // Request changes are pushed over server-sent events; polling only runs while the stream is down
+    const LIVE_UPDATES_API = 'api/cavea/requests/events';
+    const LIVE_POLL_INTERVAL = 60000;
+    const LIVE_RECONNECT_MIN = 5000;
+    const LIVE_RECONNECT_MAX = 300000;
+
+    let liveSource = null;
+    let livePollTimer = null;
+    let liveRefreshTimer = null;
+    let liveReconnectDelay = LIVE_RECONNECT_MIN;
+
+    // Reload the dropdown and page if they are open
+    async function refreshRequestViews() {
+        if (dropdownMenu && dropdownMenu.style.display === 'block') {
+            await loadDropdownRequests();
+        }
+        if (document.getElementById('requestsPage')?.style.display === 'block') {
+            await loadAndDisplayRequestsPage();
         }
     }
 
+    // A burst of updates (e.g. a bulk approve) ends in a single reload
+    function scheduleLiveRefresh() {
+        clearTimeout(liveRefreshTimer);
+        liveRefreshTimer = setTimeout(() => {
+            updateNotificationBadge();
+            announceUnseenNotifications();
+            refreshRequestViews();
+        }, 500);
+    }
+
+    function startLivePolling() {
+        if (livePollTimer) return;
+        livePollTimer = setInterval(scheduleLiveRefresh, LIVE_POLL_INTERVAL);
+    }
+
+    function stopLivePolling() {
+        clearInterval(livePollTimer);
+        livePollTimer = null;
+    }
+
+    function connectLiveUpdates() {
+        if (liveSource || !window.ApiClient) return;
+        if (typeof EventSource === 'undefined') {
+            startLivePolling();
+            return;
+        }
+
+        // EventSource can't send headers, so the token goes in the query string like image URLs
+        const token = window.ApiClient.accessToken ? window.ApiClient.accessToken() : '';
+        const url = window.ApiClient.getUrl(LIVE_UPDATES_API) + (token ? '?api_key=' + encodeURIComponent(token) : '');
+        const source = new EventSource(url);
+        liveSource = source;
+
+        source.addEventListener('open', () => {
+            liveReconnectDelay = LIVE_RECONNECT_MIN;
+            // Back from polling: catch up on anything missed in between
+            if (livePollTimer) {
+                stopLivePolling();
+                scheduleLiveRefresh();
+            }
+        });
+
+        source.addEventListener('request', (e) => {
+            let update;
+            try {
+                update = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            // Lets other Cavea scripts (e.g. an open details modal) react to the change
+            document.dispatchEvent(new CustomEvent('caveaRequestUpdate', { detail: update }));
+            scheduleLiveRefresh();
+        });
+
+        source.addEventListener('error', () => {
+            startLivePolling();
+            // The browser retries by itself unless the server refused the stream; then back off and try again
+            if (source.readyState === EventSource.CLOSED) {
+                liveSource = null;
+                setTimeout(connectLiveUpdates, liveReconnectDelay);
+                liveReconnectDelay = Math.min(liveReconnectDelay * 2, LIVE_RECONNECT_MAX);
+            }
+        });
+    }
+
     // ============================================
     // EVENT LISTENERS
     // ============================================
@@ -948,18 +2441,21 @@
         document.addEventListener('mediaRequest', async (e) => {
             const item = e.detail;
             try {
-                await saveRequest(item);
+                const saved = await saveRequest(item);
+                // Tell the requester when a rule decided the request on the spot
+                if (saved && saved.AutoRule) {
+                    showToast(saved.Status === 'rejected'
+                        ? `Request rejected: ${saved.RejectionReason}`
+                        : 'Request approved automatically');
+                }
                 // Update badge immediately after saving
                 updateNotificationBadge();
-                // Reload both dropdown and page if visible
-                if (dropdownMenu && dropdownMenu.style.display === 'block') {
-                    await loadDropdownRequests();
-                }
-                if (document.getElementById('requestsPage')?.style.display === 'block') {
-                    await loadAndDisplayRequestsPage();
-                }
+                await refreshRequestViews();
             } catch (err) {
                 console.error('[Requests] Error saving request:', err);
+                showToast(err?.status === 429 ? 'Request quota reached' : 'Request failed');
+                // Lets the sender (e.g. the details modal) undo its "Requested" state
+                document.dispatchEvent(new CustomEvent('mediaRequestFailed', { detail: { item, status: err?.status } }));
             }
         });
     }
@@ -969,39 +2465,64 @@
     // ============================================
 
     window.RequestManager = {
-        updateStatus: async (requestId, status, approvedBy) => {
-            await updateRequestStatus(requestId, status, approvedBy);
+        updateStatus: async (requestId, status, approvedBy, rejectionReason) => {
+            await updateRequestStatus(requestId, status, approvedBy, rejectionReason);
             // Update badge immediately
             updateNotificationBadge();
-            if (dropdownMenu && dropdownMenu.style.display === 'block') {
-                await loadDropdownRequests();
-            }
-            if (document.getElementById('requestsPage')?.style.display === 'block') {
-                await loadAndDisplayRequestsPage();
-            }
+            await refreshRequestViews();
         },
         deleteRequest: async (requestId) => {
             await deleteRequest(requestId);
             // Update badge immediately
             updateNotificationBadge();
-            if (dropdownMenu && dropdownMenu.style.display === 'block') {
-                await loadDropdownRequests();
-            }
-            if (document.getElementById('requestsPage')?.style.display === 'block') {
-                await loadAndDisplayRequestsPage();
-            }
-        }
+            await refreshRequestViews();
+        },
+        schedule: async (requestId) => {
+            const updated = await scheduleRequest(requestId);
+            if (window.RequestsHeaderButton) await window.RequestsHeaderButton.reload();
+            return updated;
+        },
+        retry: async (requestId) => {
+            const updated = await retryImport(requestId);
+            if (window.RequestsHeaderButton) await window.RequestsHeaderButton.reload();
+            return updated;
+        },
+        getRequest: fetchRequest,
+        // Create a request without going through the mediaRequest event; rejects on errors such as a full quota (429)
+        request: async (item) => {
+            const saved = await saveRequest(item);
+            updateNotificationBadge();
+            await refreshRequestViews();
+            return saved;
+        },
+        approveCollection: async (collectionId) => {
+            const result = await approveCollection(collectionId);
+            updateNotificationBadge();
+            await refreshRequestViews();
+            return result;
+        },
+        waitForImport: waitForImport,
+        getQuota: fetchQuota,
+        vote: async (requestId) => {
+            const updated = await voteRequest(requestId);
+            updateNotificationBadge();
+            return updated;
+        },
+        unvote: async (requestId) => {
+            const updated = await unvoteRequest(requestId);
+            updateNotificationBadge();
+            return updated;
+        },
+        getPermissions: fetchPermissions,
+        getComments: fetchComments,
+        addComment: addComment,
+        getHistory: fetchHistory
     };
 
-    window.RequestsHeaderButton = {
-        reload: async () => {
-            if (dropdownMenu && dropdownMenu.style.display === 'block') {
-                await loadDropdownRequests();
-            }
-            if (document.getElementById('requestsPage')?.style.display === 'block') {
-                await loadAndDisplayRequestsPage();
-            }
-        }
+    // Lets other Cavea scripts add full pages (e.g. request statistics) that swap cleanly with this one
+    window.CaveaPages = {
+        show: showCaveaPage,
+        hide: hideCaveaPage
     };
 
     // ============================================
@@ -1013,7 +2534,11 @@
         // Wait for ApiClient to be ready before checking admin
         const waitForApiClient = () => {
             if (window.ApiClient) {
-                checkAdmin();
+                checkReviewer();
+                // Open the full requests page when loaded from a bookmarked #/requests link
+                handleRequestsRoute();
+                announceUnseenNotifications();
+                connectLiveUpdates();
             } else {
                 setTimeout(waitForApiClient, 100);
             }
@@ -1047,6 +2572,8 @@
             childList: true,
             subtree: true
         });
+
+        window.addEventListener('hashchange', handleRequestsRoute);
     }
 
     // Start initialization
@@ -1056,6 +2583,6 @@
     window.RequestsHeaderButton = {
         show: showDropdown,
         hide: hideDropdown,
-        reload: loadDropdownRequests
+        reload: refreshRequestViews
     };
 })();
@@ -7,7 +7,7 @@ namespace Cavea
     // Holds settings for your plugin. Add properties here to persist configuration.
     public class PluginConfiguration : BasePluginConfiguration
     {
-        // Stored list of requests
+        // Requests saved by older versions; moved into cavea.db on startup and left empty afterwards
         public List<MediaRequest> Requests { get; set; } = new List<MediaRequest>();
 
         // Optional configuration values used by the API
@@ -39,8 +39,26 @@ namespace Cavea
         // Disable requests for non-admin users (they get "Open" button instead)
         public bool DisableNonAdminRequests { get; set; } = false;
 
+        // Request quotas for non-admin users, counted over a rolling window (0 = unlimited)
+        public int MovieQuotaLimit { get; set; } = 0;
+        public int SeriesQuotaLimit { get; set; } = 0;
+        public int QuotaWindowDays { get; set; } = 7;
+
+        // Per-user quota overrides, keyed by Jellyfin user id
+        public List<UserQuotaOverride> UserQuotaOverrides { get; set; } = new List<UserQuotaOverride>();
+
+        // Rules that approve or reject new requests automatically, checked in order
+        public List<RequestRule> RequestRules { get; set; } = new List<RequestRule>();
+
+        // Outgoing webhooks for request and catalog import events
+        public List<WebhookTarget> Webhooks { get; set; } = new List<WebhookTarget>();
+
         // Allow non-admin users to directly import streams
         public bool EnableAutoImport { get; set; } = false;
+
+        // Cavea roles (request, import, approve, manage) per Jellyfin user; replaces the two settings above for that user
+        public List<UserRoleAssignment> UserRoles { get; set; } = new List<UserRoleAssignment>();
+
         public bool DisableModal { get; set; } = false;
 
         // Show TMDB reviews carousel on item details pages
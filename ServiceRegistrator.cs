@@ -26,9 +26,43 @@ namespace Cavea
 
             services.AddSingleton<StreamService>();
 
+            // Sends request and catalog events to the configured webhooks, retrying failed deliveries
+            services.AddSingleton<WebhookService>();
+            services.AddHostedService(sp => sp.GetRequiredService<WebhookService>());
+
+            // Pushes request changes to open pages over server-sent events
+            services.AddSingleton<RequestUpdatesService>();
+
+            // Works out what each user may do with requests from their Cavea roles
+            services.AddSingleton<RequestPermissionService>();
+
+            // Records request history and user notifications
+            services.AddSingleton<RequestEventService>();
+
+            // Approves or rejects new requests from the configured rules
+            services.AddSingleton<RequestRulesService>();
+
+            // Imports approved requests through Gelato
+            services.AddSingleton<RequestImportService>();
+
+            // Marks requests as available once they show up in the library
+            services.AddSingleton<RequestFulfillmentService>();
+            services.AddHostedService(sp => sp.GetRequiredService<RequestFulfillmentService>());
+
+            // Holds requests approved "when released" until they are out
+            services.AddSingleton<ReleaseScheduleService>();
+
+            // Exports requests and imports them from Cavea, Jellyseerr and Ombi files
+            services.AddSingleton<RequestTransferService>();
+
+            // Aggregates the request history for the admin statistics page
+            services.AddSingleton<RequestStatsService>();
+
 
             // Register Scheduled Tasks
             services.AddSingleton<MediaBrowser.Model.Tasks.IScheduledTask, Cavea.Tasks.CatalogSyncTask>();
+            services.AddSingleton<MediaBrowser.Model.Tasks.IScheduledTask, Cavea.Tasks.ReleasedRequestsTask>();
+            services.AddSingleton<MediaBrowser.Model.Tasks.IScheduledTask, Cavea.Tasks.RequestGenresTask>();
         }
     }
 }
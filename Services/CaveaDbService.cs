@@ -2,7 +2,9 @@ using System;
 using System.Collections.Generic;
 using System.Data;
 using System.Linq;
+using System.Threading;
 using System.Threading.Tasks;
+using Cavea.Api;
 using Microsoft.Data.Sqlite;
 using Microsoft.Extensions.Logging;
 using MediaBrowser.Common.Configuration;
@@ -19,6 +21,10 @@ namespace Cavea.Services
         private readonly string _dbPath;
         public SqliteConnection? _connection; // Public for deletion endpoints
 
+        // One lock per request id, so read-modify-write updates of the same request run one at a time.
+        // Entries are counted and removed once nobody holds or waits for them.
+        private readonly Dictionary<string, RequestLock> _requestLocks = new Dictionary<string, RequestLock>();
+
         public CaveaDbService(ILogger<CaveaDbService> logger, IApplicationPaths appPaths)
         {
             _logger = logger;
@@ -304,11 +310,69 @@ namespace Cavea.Services
                         UNIQUE(TmdbSeriesId, SeasonNumber, EpisodeNumber)
                     );
                     CREATE INDEX IF NOT EXISTS idx_tmdbepisodecache_lookup ON TmdbEpisodeCache(TmdbSeriesId, SeasonNumber, EpisodeNumber);
+
+                    CREATE TABLE IF NOT EXISTS Requests (
+                        Id TEXT PRIMARY KEY,
+                        Username TEXT,
+                        UserId TEXT,
+                        ItemType TEXT,
+                        ImdbId TEXT,
+                        TmdbId TEXT,
+                        Status TEXT NOT NULL,
+                        Timestamp INTEGER NOT NULL,
+                        JsonData TEXT NOT NULL,
+                        UpdatedAt TEXT NOT NULL
+                    );
+                    CREATE INDEX IF NOT EXISTS idx_requests_status ON Requests(Status);
+                    CREATE INDEX IF NOT EXISTS idx_requests_username ON Requests(Username);
+                    CREATE INDEX IF NOT EXISTS idx_requests_ids ON Requests(ImdbId, TmdbId);
+
+                    CREATE TABLE IF NOT EXISTS RequestEvents (
+                        Id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        RequestId TEXT NOT NULL,
+                        Action TEXT NOT NULL,
+                        Actor TEXT,
+                        Details TEXT,
+                        Timestamp INTEGER NOT NULL
+                    );
+                    CREATE INDEX IF NOT EXISTS idx_requestevents_request ON RequestEvents(RequestId, Timestamp);
+
+                    CREATE TABLE IF NOT EXISTS Notifications (
+                        Id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        Username TEXT NOT NULL COLLATE NOCASE,
+                        RequestId TEXT NOT NULL,
+                        Action TEXT NOT NULL,
+                        Title TEXT,
+                        Details TEXT,
+                        Timestamp INTEGER NOT NULL,
+                        IsRead INTEGER NOT NULL DEFAULT 0
+                    );
+                    CREATE INDEX IF NOT EXISTS idx_notifications_user ON Notifications(Username, IsRead, Timestamp);
+
+                    CREATE TABLE IF NOT EXISTS WebhookDeliveries (
+                        Id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        WebhookId TEXT,
+                        WebhookName TEXT,
+                        Event TEXT NOT NULL,
+                        Url TEXT NOT NULL,
+                        Payload TEXT,
+                        Status TEXT NOT NULL,
+                        Attempts INTEGER NOT NULL DEFAULT 0,
+                        ResponseCode INTEGER,
+                        Error TEXT,
+                        CreatedAt INTEGER NOT NULL,
+                        LastAttemptAt INTEGER,
+                        NextAttemptAt INTEGER
+                    );
+                    CREATE INDEX IF NOT EXISTS idx_webhookdeliveries_due ON WebhookDeliveries(Status, NextAttemptAt);
                 ";
 
 
                 createTableCmd.ExecuteNonQuery();
                 _logger.LogInformation("⚪ [CaveaDb] Database initialized at {Path}", _dbPath);
+
+                // Requests used to be stored in the plugin configuration; move them over before anything reads them
+                MigrateConfigurationRequests();
             }
             catch (Exception ex)
             {
@@ -1709,6 +1773,730 @@ namespace Cavea.Services
 
         #endregion
 
+        #region Request Storage
+
+        /// <summary>
+        /// Get every media request, oldest first
+        /// </summary>
+        public async Task<List<MediaRequest>> GetRequestsAsync()
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = "SELECT JsonData FROM Requests ORDER BY Timestamp ASC";
+
+                var requests = new List<MediaRequest>();
+                using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    var request = DeserializeRequest(reader.GetString(0));
+                    if (request != null) requests.Add(request);
+                }
+
+                return requests;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to get requests");
+                return new List<MediaRequest>();
+            }
+        }
+
+        /// <summary>
+        /// Get a single media request by id
+        /// </summary>
+        public async Task<MediaRequest?> GetRequestAsync(string id)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = "SELECT JsonData FROM Requests WHERE Id = @id";
+                cmd.Parameters.AddWithValue("@id", id);
+
+                var json = await cmd.ExecuteScalarAsync() as string;
+                return json == null ? null : DeserializeRequest(json);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to get request {Id}", id);
+                return null;
+            }
+        }
+
+        /// <summary>
+        /// Get the media requests for an item by IMDB or TMDB id
+        /// </summary>
+        public async Task<List<MediaRequest>> GetRequestsByProviderIdAsync(string? imdbId, string? tmdbId)
+        {
+            var requests = new List<MediaRequest>();
+            if (string.IsNullOrEmpty(imdbId) && string.IsNullOrEmpty(tmdbId)) return requests;
+
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    SELECT JsonData FROM Requests
+                    WHERE (@imdbId IS NOT NULL AND ImdbId = @imdbId COLLATE NOCASE)
+                       OR (@tmdbId IS NOT NULL AND TmdbId = @tmdbId)
+                    ORDER BY Timestamp ASC
+                ";
+                cmd.Parameters.AddWithValue("@imdbId", string.IsNullOrEmpty(imdbId) ? DBNull.Value : imdbId);
+                cmd.Parameters.AddWithValue("@tmdbId", string.IsNullOrEmpty(tmdbId) ? DBNull.Value : tmdbId);
+
+                using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    var request = DeserializeRequest(reader.GetString(0));
+                    if (request != null) requests.Add(request);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to get requests for {ImdbId}/{TmdbId}", imdbId, tmdbId);
+            }
+
+            return requests;
+        }
+
+        /// <summary>
+        /// Insert a new media request. Returns false when a request with the same id already exists.
+        /// </summary>
+        public async Task<bool> CreateRequestAsync(MediaRequest request)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    INSERT INTO Requests (Id, Username, UserId, ItemType, ImdbId, TmdbId, Status, Timestamp, JsonData, UpdatedAt)
+                    VALUES (@id, @username, @userId, @itemType, @imdbId, @tmdbId, @status, @timestamp, @json, @updatedAt)
+                ";
+                AddRequestParameters(cmd, request);
+
+                await cmd.ExecuteNonQueryAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to create request {Id}", request.Id);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Insert or update a media request. The whole request is stored as JSON in the
+        /// same shape the API returns; the columns next to it are only there for lookups.
+        /// </summary>
+        public async Task<bool> SaveRequestAsync(MediaRequest request)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    INSERT INTO Requests (Id, Username, UserId, ItemType, ImdbId, TmdbId, Status, Timestamp, JsonData, UpdatedAt)
+                    VALUES (@id, @username, @userId, @itemType, @imdbId, @tmdbId, @status, @timestamp, @json, @updatedAt)
+                    ON CONFLICT(Id) DO UPDATE SET
+                        Username = @username,
+                        UserId = @userId,
+                        ItemType = @itemType,
+                        ImdbId = @imdbId,
+                        TmdbId = @tmdbId,
+                        Status = @status,
+                        Timestamp = @timestamp,
+                        JsonData = @json,
+                        UpdatedAt = @updatedAt
+                ";
+                AddRequestParameters(cmd, request);
+
+                await cmd.ExecuteNonQueryAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to save request {Id}", request.Id);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Apply <paramref name="update"/> to the stored request and save it when the callback returns true.
+        /// Updates of the same request are serialized and always start from its latest stored state, so
+        /// concurrent votes or comments don't overwrite each other. Returns null when the request doesn't exist.
+        /// </summary>
+        public async Task<MediaRequest?> UpdateRequestAsync(string id, Func<MediaRequest, bool> update)
+        {
+            RequestLock requestLock;
+            lock (_requestLocks)
+            {
+                if (!_requestLocks.TryGetValue(id, out requestLock!))
+                {
+                    requestLock = new RequestLock();
+                    _requestLocks[id] = requestLock;
+                }
+
+                requestLock.Users++;
+            }
+
+            await requestLock.Semaphore.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                var request = await GetRequestAsync(id).ConfigureAwait(false);
+                if (request == null) return null;
+
+                if (update(request) && !await SaveRequestAsync(request).ConfigureAwait(false))
+                {
+                    return null;
+                }
+
+                return request;
+            }
+            finally
+            {
+                requestLock.Semaphore.Release();
+                lock (_requestLocks)
+                {
+                    if (--requestLock.Users == 0)
+                    {
+                        _requestLocks.Remove(id);
+                    }
+                }
+            }
+        }
+
+        private sealed class RequestLock
+        {
+            public SemaphoreSlim Semaphore { get; } = new SemaphoreSlim(1, 1);
+
+            public int Users { get; set; }
+        }
+
+        /// <summary>
+        /// Delete a media request. Returns false when it did not exist.
+        /// </summary>
+        public async Task<bool> DeleteRequestAsync(string id)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = "DELETE FROM Requests WHERE Id = @id";
+                cmd.Parameters.AddWithValue("@id", id);
+
+                return await cmd.ExecuteNonQueryAsync() > 0;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to delete request {Id}", id);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// One-time move of the requests older versions kept in the plugin configuration, which are then dropped from it.
+        /// Requests already in the database are left alone so a repeated run cannot clobber newer data.
+        /// </summary>
+        private void MigrateConfigurationRequests()
+        {
+            var config = Plugin.Instance?.Configuration;
+            if (config?.Requests == null || config.Requests.Count == 0) return;
+
+            try
+            {
+                using var transaction = _connection!.BeginTransaction();
+                var inserted = 0;
+
+                foreach (var request in config.Requests)
+                {
+                    if (string.IsNullOrEmpty(request?.Id)) continue;
+
+                    using var cmd = _connection.CreateCommand();
+                    cmd.Transaction = transaction;
+                    cmd.CommandText = @"
+                        INSERT OR IGNORE INTO Requests (Id, Username, UserId, ItemType, ImdbId, TmdbId, Status, Timestamp, JsonData, UpdatedAt)
+                        VALUES (@id, @username, @userId, @itemType, @imdbId, @tmdbId, @status, @timestamp, @json, @updatedAt)
+                    ";
+                    AddRequestParameters(cmd, request);
+
+                    inserted += cmd.ExecuteNonQuery();
+                }
+
+                transaction.Commit();
+                _logger.LogInformation("⚪ [CaveaDb] Migrated {Count} of {Total} request(s) from the plugin configuration", inserted, config.Requests.Count);
+
+                config.Requests.Clear();
+                Plugin.Instance!.SaveConfiguration();
+            }
+            catch (Exception ex)
+            {
+                // Leave the configuration untouched so the next start tries again
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to migrate requests from the plugin configuration");
+            }
+        }
+
+        /// <summary>
+        /// Append an entry to a request's audit trail. Entries outlive the request itself.
+        /// </summary>
+        public async Task<bool> AddRequestEventAsync(string requestId, string action, string? actor, string? details = null)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    INSERT INTO RequestEvents (RequestId, Action, Actor, Details, Timestamp)
+                    VALUES (@requestId, @action, @actor, @details, @timestamp)
+                ";
+                cmd.Parameters.AddWithValue("@requestId", requestId);
+                cmd.Parameters.AddWithValue("@action", action);
+                cmd.Parameters.AddWithValue("@actor", actor ?? (object)DBNull.Value);
+                cmd.Parameters.AddWithValue("@details", details ?? (object)DBNull.Value);
+                cmd.Parameters.AddWithValue("@timestamp", DateTimeOffset.UtcNow.ToUnixTimeMilliseconds());
+
+                await cmd.ExecuteNonQueryAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to record {Action} for request {Id}", action, requestId);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Get the audit trail of a request, oldest first
+        /// </summary>
+        public async Task<List<RequestEvent>> GetRequestEventsAsync(string requestId)
+        {
+            var events = new List<RequestEvent>();
+
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    SELECT Id, Action, Actor, Details, Timestamp FROM RequestEvents
+                    WHERE RequestId = @requestId
+                    ORDER BY Timestamp ASC, Id ASC
+                ";
+                cmd.Parameters.AddWithValue("@requestId", requestId);
+
+                using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    events.Add(new RequestEvent
+                    {
+                        Id = reader.GetInt64(0),
+                        RequestId = requestId,
+                        Action = reader.GetString(1),
+                        Actor = reader.IsDBNull(2) ? null : reader.GetString(2),
+                        Details = reader.IsDBNull(3) ? null : reader.GetString(3),
+                        Timestamp = reader.GetInt64(4)
+                    });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to get events for request {Id}", requestId);
+            }
+
+            return events;
+        }
+
+        /// <summary>
+        /// Get every audit trail entry with one of <paramref name="actions"/>, across all requests, oldest first
+        /// </summary>
+        public async Task<List<RequestEvent>> GetRequestEventsByActionAsync(params string[] actions)
+        {
+            var events = new List<RequestEvent>();
+            if (actions == null || actions.Length == 0) return events;
+
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                var names = actions.Select((_, i) => "@action" + i).ToList();
+                cmd.CommandText = $@"
+                    SELECT Id, RequestId, Action, Actor, Details, Timestamp FROM RequestEvents
+                    WHERE Action IN ({string.Join(", ", names)})
+                    ORDER BY Timestamp ASC, Id ASC
+                ";
+                for (var i = 0; i < actions.Length; i++)
+                {
+                    cmd.Parameters.AddWithValue(names[i], actions[i]);
+                }
+
+                using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    events.Add(new RequestEvent
+                    {
+                        Id = reader.GetInt64(0),
+                        RequestId = reader.GetString(1),
+                        Action = reader.GetString(2),
+                        Actor = reader.IsDBNull(3) ? null : reader.GetString(3),
+                        Details = reader.IsDBNull(4) ? null : reader.GetString(4),
+                        Timestamp = reader.GetInt64(5)
+                    });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to get request events for {Actions}", string.Join(", ", actions));
+            }
+
+            return events;
+        }
+
+        private static void AddRequestParameters(SqliteCommand cmd, MediaRequest request)
+        {
+            cmd.Parameters.AddWithValue("@id", request.Id);
+            cmd.Parameters.AddWithValue("@username", request.Username ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@userId", request.UserId ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@itemType", request.ItemType ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@imdbId", request.ImdbId ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@tmdbId", request.TmdbId ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@status", request.Status ?? "pending");
+            cmd.Parameters.AddWithValue("@timestamp", request.Timestamp);
+            cmd.Parameters.AddWithValue("@json", System.Text.Json.JsonSerializer.Serialize(request));
+            cmd.Parameters.AddWithValue("@updatedAt", DateTime.UtcNow.ToString("o"));
+        }
+
+        private MediaRequest? DeserializeRequest(string json)
+        {
+            try
+            {
+                return System.Text.Json.JsonSerializer.Deserialize<MediaRequest>(json);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [CaveaDb] Skipping unreadable request row");
+                return null;
+            }
+        }
+
+        #endregion
+
+        #region Notifications
+
+        /// <summary>
+        /// Add an unread notification to a user's feed
+        /// </summary>
+        public async Task<bool> AddNotificationAsync(string username, string requestId, string action, string? title, string? details)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    INSERT INTO Notifications (Username, RequestId, Action, Title, Details, Timestamp)
+                    VALUES (@username, @requestId, @action, @title, @details, @timestamp)
+                ";
+                cmd.Parameters.AddWithValue("@username", username);
+                cmd.Parameters.AddWithValue("@requestId", requestId);
+                cmd.Parameters.AddWithValue("@action", action);
+                cmd.Parameters.AddWithValue("@title", title ?? (object)DBNull.Value);
+                cmd.Parameters.AddWithValue("@details", details ?? (object)DBNull.Value);
+                cmd.Parameters.AddWithValue("@timestamp", DateTimeOffset.UtcNow.ToUnixTimeMilliseconds());
+
+                await cmd.ExecuteNonQueryAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to add notification for {Username}", username);
+                return false;
+            }
+        }
+
+        /// <summary>
+        /// Get a user's notifications, newest first
+        /// </summary>
+        public async Task<List<RequestNotification>> GetNotificationsAsync(string username, bool unreadOnly, int limit)
+        {
+            var notifications = new List<RequestNotification>();
+
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    SELECT Id, RequestId, Action, Title, Details, Timestamp, IsRead FROM Notifications
+                    WHERE Username = @username AND (@unreadOnly = 0 OR IsRead = 0)
+                    ORDER BY Timestamp DESC, Id DESC
+                    LIMIT @limit
+                ";
+                cmd.Parameters.AddWithValue("@username", username);
+                cmd.Parameters.AddWithValue("@unreadOnly", unreadOnly ? 1 : 0);
+                cmd.Parameters.AddWithValue("@limit", limit);
+
+                using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    notifications.Add(new RequestNotification
+                    {
+                        Id = reader.GetInt64(0),
+                        RequestId = reader.GetString(1),
+                        Action = reader.GetString(2),
+                        Title = reader.IsDBNull(3) ? null : reader.GetString(3),
+                        Details = reader.IsDBNull(4) ? null : reader.GetString(4),
+                        Timestamp = reader.GetInt64(5),
+                        IsRead = reader.GetInt32(6) != 0
+                    });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to get notifications for {Username}", username);
+            }
+
+            return notifications;
+        }
+
+        /// <summary>
+        /// Number of unread notifications of a user
+        /// </summary>
+        public async Task<int> CountUnreadNotificationsAsync(string username)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = "SELECT COUNT(*) FROM Notifications WHERE Username = @username AND IsRead = 0";
+                cmd.Parameters.AddWithValue("@username", username);
+
+                return Convert.ToInt32(await cmd.ExecuteScalarAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to count notifications for {Username}", username);
+                return 0;
+            }
+        }
+
+        /// <summary>
+        /// Mark notifications of a user as read; all of them when <paramref name="ids"/> is empty
+        /// </summary>
+        public async Task<int> MarkNotificationsReadAsync(string username, IReadOnlyCollection<long> ids)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = "UPDATE Notifications SET IsRead = 1 WHERE Username = @username AND IsRead = 0";
+                cmd.Parameters.AddWithValue("@username", username);
+
+                if (ids.Count > 0)
+                {
+                    var names = ids.Select((_, i) => "@id" + i).ToList();
+                    cmd.CommandText += $" AND Id IN ({string.Join(", ", names)})";
+                    var index = 0;
+                    foreach (var id in ids)
+                    {
+                        cmd.Parameters.AddWithValue(names[index++], id);
+                    }
+                }
+
+                return await cmd.ExecuteNonQueryAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to mark notifications read for {Username}", username);
+                return 0;
+            }
+        }
+
+        #endregion
+
+        #region Webhook Deliveries
+
+        private const string WebhookDeliveryColumns = "Id, WebhookId, WebhookName, Event, Url, Payload, Status, Attempts, ResponseCode, Error, CreatedAt, LastAttemptAt, NextAttemptAt";
+
+        /// <summary>
+        /// Log a new webhook delivery. Returns its id, or 0 when it could not be saved.
+        /// </summary>
+        public async Task<long> AddWebhookDeliveryAsync(WebhookDelivery delivery)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    INSERT INTO WebhookDeliveries (WebhookId, WebhookName, Event, Url, Payload, Status, Attempts, ResponseCode, Error, CreatedAt, LastAttemptAt, NextAttemptAt)
+                    VALUES (@webhookId, @webhookName, @event, @url, @payload, @status, @attempts, @responseCode, @error, @createdAt, @lastAttemptAt, @nextAttemptAt);
+                    SELECT last_insert_rowid();
+                ";
+                AddWebhookDeliveryParameters(cmd, delivery);
+
+                return Convert.ToInt64(await cmd.ExecuteScalarAsync());
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to log webhook delivery for {Event}", delivery.Event);
+                return 0;
+            }
+        }
+
+        /// <summary>
+        /// Save the outcome of a delivery attempt
+        /// </summary>
+        public async Task<bool> UpdateWebhookDeliveryAsync(WebhookDelivery delivery)
+        {
+            if (delivery.Id <= 0) return false;
+
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = @"
+                    UPDATE WebhookDeliveries
+                    SET Url = @url,
+                        Status = @status,
+                        Attempts = @attempts,
+                        ResponseCode = @responseCode,
+                        Error = @error,
+                        LastAttemptAt = @lastAttemptAt,
+                        NextAttemptAt = @nextAttemptAt
+                    WHERE Id = @id
+                ";
+                cmd.Parameters.AddWithValue("@id", delivery.Id);
+                AddWebhookDeliveryParameters(cmd, delivery);
+
+                await cmd.ExecuteNonQueryAsync();
+                return true;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to update webhook delivery {Id}", delivery.Id);
+                return false;
+            }
+        }
+
+        public async Task<WebhookDelivery?> GetWebhookDeliveryAsync(long id)
+        {
+            var deliveries = await QueryWebhookDeliveriesAsync($"SELECT {WebhookDeliveryColumns} FROM WebhookDeliveries WHERE Id = @id", cmd => cmd.Parameters.AddWithValue("@id", id));
+            return deliveries.FirstOrDefault();
+        }
+
+        /// <summary>
+        /// Most recent deliveries, newest first
+        /// </summary>
+        public Task<List<WebhookDelivery>> GetWebhookDeliveriesAsync(int limit)
+        {
+            return QueryWebhookDeliveriesAsync(
+                $"SELECT {WebhookDeliveryColumns} FROM WebhookDeliveries ORDER BY CreatedAt DESC, Id DESC LIMIT @limit",
+                cmd => cmd.Parameters.AddWithValue("@limit", limit));
+        }
+
+        /// <summary>
+        /// Deliveries waiting for a retry whose time has come
+        /// </summary>
+        public Task<List<WebhookDelivery>> GetDueWebhookDeliveriesAsync(long now)
+        {
+            return QueryWebhookDeliveriesAsync(
+                $"SELECT {WebhookDeliveryColumns} FROM WebhookDeliveries WHERE Status = 'retrying' AND NextAttemptAt <= @now ORDER BY NextAttemptAt ASC",
+                cmd => cmd.Parameters.AddWithValue("@now", now));
+        }
+
+        /// <summary>
+        /// Trim the delivery log. Deliveries still being retried are kept.
+        /// </summary>
+        public async Task<int> DeleteWebhookDeliveriesBeforeAsync(long createdBefore)
+        {
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = "DELETE FROM WebhookDeliveries WHERE CreatedAt < @before AND Status != 'retrying'";
+                cmd.Parameters.AddWithValue("@before", createdBefore);
+
+                return await cmd.ExecuteNonQueryAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to trim webhook deliveries");
+                return 0;
+            }
+        }
+
+        private async Task<List<WebhookDelivery>> QueryWebhookDeliveriesAsync(string sql, Action<SqliteCommand> bind)
+        {
+            var deliveries = new List<WebhookDelivery>();
+
+            try
+            {
+                EnsureConnection();
+
+                using var cmd = _connection!.CreateCommand();
+                cmd.CommandText = sql;
+                bind(cmd);
+
+                using var reader = await cmd.ExecuteReaderAsync();
+                while (await reader.ReadAsync())
+                {
+                    deliveries.Add(new WebhookDelivery
+                    {
+                        Id = reader.GetInt64(0),
+                        WebhookId = reader.IsDBNull(1) ? null : reader.GetString(1),
+                        WebhookName = reader.IsDBNull(2) ? null : reader.GetString(2),
+                        Event = reader.GetString(3),
+                        Url = reader.GetString(4),
+                        Payload = reader.IsDBNull(5) ? null : reader.GetString(5),
+                        Status = reader.GetString(6),
+                        Attempts = reader.GetInt32(7),
+                        ResponseCode = reader.IsDBNull(8) ? null : reader.GetInt32(8),
+                        Error = reader.IsDBNull(9) ? null : reader.GetString(9),
+                        CreatedAt = reader.GetInt64(10),
+                        LastAttemptAt = reader.IsDBNull(11) ? null : reader.GetInt64(11),
+                        NextAttemptAt = reader.IsDBNull(12) ? null : reader.GetInt64(12)
+                    });
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [CaveaDb] Failed to read webhook deliveries");
+            }
+
+            return deliveries;
+        }
+
+        private static void AddWebhookDeliveryParameters(SqliteCommand cmd, WebhookDelivery delivery)
+        {
+            cmd.Parameters.AddWithValue("@webhookId", delivery.WebhookId ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@webhookName", delivery.WebhookName ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@event", delivery.Event);
+            cmd.Parameters.AddWithValue("@url", delivery.Url ?? string.Empty);
+            cmd.Parameters.AddWithValue("@payload", delivery.Payload ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@status", delivery.Status);
+            cmd.Parameters.AddWithValue("@attempts", delivery.Attempts);
+            cmd.Parameters.AddWithValue("@responseCode", delivery.ResponseCode ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@error", delivery.Error ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@createdAt", delivery.CreatedAt);
+            cmd.Parameters.AddWithValue("@lastAttemptAt", delivery.LastAttemptAt ?? (object)DBNull.Value);
+            cmd.Parameters.AddWithValue("@nextAttemptAt", delivery.NextAttemptAt ?? (object)DBNull.Value);
+        }
+
+        #endregion
+
 
 
         public void Dispose()
@@ -0,0 +1,232 @@
+#nullable enable
+using System;
+using System.Globalization;
+using System.Linq;
+using System.Net.Http;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Api;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Handles requests approved "when released": they wait in the "scheduled" state with the TMDB
+    /// release date and are imported once the date has passed and Gelato finds streams for them.
+    /// </summary>
+    public class ReleaseScheduleService
+    {
+        private readonly ILogger<ReleaseScheduleService> _logger;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly CaveaDbService _dbService;
+        private readonly RequestEventService _events;
+        private readonly RequestImportService _importService;
+        private readonly StreamService _streamService;
+
+        public ReleaseScheduleService(
+            ILogger<ReleaseScheduleService> logger,
+            IHttpClientFactory httpClientFactory,
+            CaveaDbService dbService,
+            RequestEventService events,
+            RequestImportService importService,
+            StreamService streamService)
+        {
+            _logger = logger;
+            _httpClientFactory = httpClientFactory;
+            _dbService = dbService;
+            _events = events;
+            _importService = importService;
+            _streamService = streamService;
+        }
+
+        /// <summary>
+        /// Park <paramref name="request"/> until its release. Returns the scheduled request, or null when
+        /// it is gone, no longer pending or failed, or could not be saved.
+        /// </summary>
+        public async Task<MediaRequest?> ScheduleAsync(MediaRequest request, string? actor)
+        {
+            // Look the date up first so the request isn't held locked during the TMDB call
+            var releaseDate = await GetReleaseDateAsync(request).ConfigureAwait(false);
+
+            var scheduled = false;
+            var updated = await _dbService.UpdateRequestAsync(request.Id, r =>
+            {
+                var status = (r.Status ?? "pending").ToLowerInvariant();
+                if (status != "pending" && status != "failed") return false;
+
+                r.Status = "scheduled";
+                r.ApprovedBy = actor ?? r.ApprovedBy;
+                r.ImportError = null;
+                r.RejectionReason = null;
+                r.ReleaseDate = releaseDate;
+                return scheduled = true;
+            }).ConfigureAwait(false);
+            if (updated == null || !scheduled) return null;
+
+            var details = updated.ReleaseDate.HasValue
+                ? "Releases " + DateTimeOffset.FromUnixTimeMilliseconds(updated.ReleaseDate.Value).ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)
+                : "Release date unknown";
+            await _events.RecordAsync(updated, "scheduled", actor, details).ConfigureAwait(false);
+
+            _logger.LogInformation("⚪ [ReleaseSchedule] Request {RequestId} scheduled ({Details})", updated.Id, details);
+            return updated;
+        }
+
+        /// <summary>
+        /// Start the import of every scheduled request that is out and has streams.
+        /// Returns how many imports were started.
+        /// </summary>
+        public async Task<int> ImportReleasedAsync(string serverUrl, IProgress<double>? progress, CancellationToken cancellationToken)
+        {
+            var scheduled = (await _dbService.GetRequestsAsync().ConfigureAwait(false))
+                .Where(IsScheduled)
+                .ToList();
+
+            var now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            var started = 0;
+            var done = 0;
+
+            foreach (var request in scheduled)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                try
+                {
+                    // The date may have been announced (or moved) since the request was scheduled
+                    var releaseDate = await GetReleaseDateAsync(request).ConfigureAwait(false) ?? request.ReleaseDate;
+                    if (releaseDate != request.ReleaseDate)
+                    {
+                        await _dbService.UpdateRequestAsync(request.Id, r =>
+                        {
+                            if (!IsScheduled(r)) return false;
+                            r.ReleaseDate = releaseDate;
+                            return true;
+                        }).ConfigureAwait(false);
+                    }
+
+                    if ((releaseDate ?? 0) <= now && await HasStreamsAsync(request).ConfigureAwait(false))
+                    {
+                        // Only start it if it is still scheduled, so a change made meanwhile (e.g. a rejection) wins
+                        var released = false;
+                        var current = await _dbService.UpdateRequestAsync(request.Id, r =>
+                        {
+                            if (!IsScheduled(r)) return false;
+                            r.Status = "processing";
+                            return released = true;
+                        }).ConfigureAwait(false);
+                        if (current != null && released)
+                        {
+                            await _events.RecordAsync(current, "released", null).ConfigureAwait(false);
+                            _logger.LogInformation("⚪ [ReleaseSchedule] {Title} is out, importing request {RequestId}", current.Title, current.Id);
+
+                            await _importService.ProcessAsync(current, serverUrl).ConfigureAwait(false);
+                            started++;
+                        }
+                    }
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.LogError(ex, "⚪ [ReleaseSchedule] Failed to check scheduled request {RequestId}", request.Id);
+                }
+
+                done++;
+                progress?.Report(done * 100.0 / scheduled.Count);
+            }
+
+            return started;
+        }
+
+        /// <summary>
+        /// Release date (Unix ms) from TMDB. Movies use the earliest digital release, since that is when
+        /// streams show up, and fall back to the main release date; series use the air date of the first
+        /// requested season, or of the show.
+        /// </summary>
+        private async Task<long?> GetReleaseDateAsync(MediaRequest request)
+        {
+            var apiKey = Plugin.Instance?.Configuration?.TmdbApiKey;
+            if (string.IsNullOrEmpty(apiKey) || string.IsNullOrEmpty(request.TmdbId)) return null;
+
+            var isSeries = IsSeries(request);
+            var url = isSeries
+                ? $"https://api.themoviedb.org/3/tv/{Uri.EscapeDataString(request.TmdbId)}?api_key={Uri.EscapeDataString(apiKey)}"
+                : $"https://api.themoviedb.org/3/movie/{Uri.EscapeDataString(request.TmdbId)}?api_key={Uri.EscapeDataString(apiKey)}&append_to_response=release_dates";
+
+            try
+            {
+                var client = _httpClientFactory.CreateClient();
+                client.Timeout = TimeSpan.FromSeconds(10);
+                using var response = await client.GetAsync(url).ConfigureAwait(false);
+                if (!response.IsSuccessStatusCode) return null;
+
+                using var doc = JsonDocument.Parse(await response.Content.ReadAsStringAsync().ConfigureAwait(false));
+                var root = doc.RootElement;
+
+                if (isSeries)
+                {
+                    var firstSeason = request.Seasons?.Select(s => s.SeasonNumber).DefaultIfEmpty(-1).Min() ?? -1;
+                    if (firstSeason >= 0 && root.TryGetProperty("seasons", out var seasons) && seasons.ValueKind == JsonValueKind.Array)
+                    {
+                        var season = seasons.EnumerateArray()
+                            .FirstOrDefault(s => s.TryGetProperty("season_number", out var n) && n.ValueKind == JsonValueKind.Number && n.GetInt32() == firstSeason);
+                        var seasonDate = season.ValueKind == JsonValueKind.Object ? ParseDate(season, "air_date") : null;
+                        if (seasonDate.HasValue) return seasonDate;
+                    }
+
+                    return ParseDate(root, "first_air_date");
+                }
+
+                // Release type 4 is "Digital"
+                long? digital = null;
+                if (root.TryGetProperty("release_dates", out var releaseDates) &&
+                    releaseDates.TryGetProperty("results", out var countries) &&
+                    countries.ValueKind == JsonValueKind.Array)
+                {
+                    digital = countries.EnumerateArray()
+                        .Where(c => c.TryGetProperty("release_dates", out var d) && d.ValueKind == JsonValueKind.Array)
+                        .SelectMany(c => c.GetProperty("release_dates").EnumerateArray())
+                        .Where(d => d.TryGetProperty("type", out var t) && t.ValueKind == JsonValueKind.Number && t.GetInt32() == 4)
+                        .Select(d => ParseDate(d, "release_date"))
+                        .Min();
+                }
+
+                return digital ?? ParseDate(root, "release_date");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [ReleaseSchedule] Failed to fetch the release date for {TmdbId}", request.TmdbId);
+                return null;
+            }
+        }
+
+        private Task<bool> HasStreamsAsync(MediaRequest request)
+        {
+            if (string.IsNullOrEmpty(request.ImdbId)) return Task.FromResult(false);
+            if (!IsSeries(request)) return _streamService.HasStreamsAsync("movie", request.ImdbId);
+
+            // A series is out once the first episode of the first requested season has streams
+            var season = request.Seasons?.Select(s => s.SeasonNumber).DefaultIfEmpty(1).Min() ?? 1;
+            return _streamService.HasStreamsAsync("series", $"{request.ImdbId}:{Math.Max(1, season)}:1");
+        }
+
+        private static long? ParseDate(JsonElement element, string property)
+        {
+            if (!element.TryGetProperty(property, out var value) || value.ValueKind != JsonValueKind.String) return null;
+
+            return DateTimeOffset.TryParse(value.GetString(), CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal, out var date)
+                ? date.ToUnixTimeMilliseconds()
+                : null;
+        }
+
+        private static bool IsSeries(MediaRequest request)
+        {
+            var type = (request.ItemType ?? request.TmdbMediaType ?? string.Empty).ToLowerInvariant();
+            return type == "series" || type == "tv";
+        }
+
+        private static bool IsScheduled(MediaRequest request)
+        {
+            return string.Equals(request.Status, "scheduled", StringComparison.OrdinalIgnoreCase);
+        }
+    }
+}
@@ -0,0 +1,102 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Cavea.Api;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Single place where request transitions are recorded: every change goes into the request's
+    /// audit trail, the ones a requester cares about also land in their notification feed, and the
+    /// ones webhooks can subscribe to are published to them. Open pages are told about every change.
+    /// </summary>
+    public class RequestEventService
+    {
+        /// <summary>
+        /// Transitions that notify the requester and everyone who voted for the request.
+        /// </summary>
+        private static readonly HashSet<string> NotifiedActions = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "approved", "scheduled", "released", "rejected", "partially_available", "available"
+        };
+
+        /// <summary>
+        /// Transitions published to webhooks, mapped to their event names.
+        /// </summary>
+        private static readonly Dictionary<string, string> WebhookEvents = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+        {
+            ["created"] = "request.created",
+            ["approved"] = "request.approved",
+            ["rejected"] = "request.rejected",
+            ["available"] = "request.available"
+        };
+
+        private readonly ILogger<RequestEventService> _logger;
+        private readonly CaveaDbService _dbService;
+        private readonly WebhookService _webhooks;
+        private readonly RequestUpdatesService _updates;
+
+        public RequestEventService(ILogger<RequestEventService> logger, CaveaDbService dbService, WebhookService webhooks, RequestUpdatesService updates)
+        {
+            _logger = logger;
+            _dbService = dbService;
+            _webhooks = webhooks;
+            _updates = updates;
+        }
+
+        /// <summary>
+        /// Record <paramref name="action"/> on <paramref name="request"/>. <paramref name="actor"/> is null for
+        /// changes Cavea makes itself; <paramref name="details"/> carries e.g. the rejection reason.
+        /// </summary>
+        public async Task RecordAsync(MediaRequest request, string action, string? actor, string? details = null)
+        {
+            await _dbService.AddRequestEventAsync(request.Id, action, actor, details).ConfigureAwait(false);
+            _updates.Publish(request, action);
+
+            if (NotifiedActions.Contains(action))
+            {
+                await NotifyAsync(request, action, actor, details).ConfigureAwait(false);
+            }
+
+            if (WebhookEvents.TryGetValue(action, out var eventName))
+            {
+                _webhooks.Publish(eventName, new Dictionary<string, string?>
+                {
+                    ["requestId"] = request.Id,
+                    ["title"] = request.Title,
+                    ["year"] = request.Year,
+                    ["itemType"] = request.ItemType,
+                    ["imdbId"] = request.ImdbId,
+                    ["tmdbId"] = request.TmdbId,
+                    ["username"] = request.Username,
+                    ["status"] = request.Status,
+                    ["actor"] = actor,
+                    ["details"] = details
+                });
+            }
+        }
+
+        private async Task NotifyAsync(MediaRequest request, string action, string? actor, string? details)
+        {
+            // Nobody needs to be told about what they just did themselves
+            var recipients = new[] { request.Username }
+                .Concat(request.Voters?.Select(v => v.Username) ?? Enumerable.Empty<string>())
+                .Where(u => !string.IsNullOrEmpty(u) && !string.Equals(u, actor, StringComparison.OrdinalIgnoreCase))
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            foreach (var username in recipients)
+            {
+                await _dbService.AddNotificationAsync(username, request.Id, action, request.Title, details).ConfigureAwait(false);
+            }
+
+            if (recipients.Count > 0)
+            {
+                _logger.LogInformation("⚪ [RequestEvents] Notified {Count} user(s) that request {RequestId} is {Action}", recipients.Count, request.Id, action);
+            }
+        }
+    }
+}
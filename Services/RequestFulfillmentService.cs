@@ -0,0 +1,276 @@
+#nullable enable
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Api;
+using Jellyfin.Data.Enums;
+using MediaBrowser.Controller.Entities;
+using MediaBrowser.Controller.Entities.Movies;
+using MediaBrowser.Controller.Entities.TV;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Watches library additions and marks matching requests as "available".
+    /// Requests are matched by IMDB or TMDB id; the library item id is recorded so the UI can open it.
+    /// Series requests limited to some seasons become "partially_available" until every requested episode is in.
+    /// </summary>
+    public class RequestFulfillmentService : IHostedService
+    {
+        private readonly ILogger<RequestFulfillmentService> _logger;
+        private readonly ILibraryManager _libraryManager;
+        private readonly CaveaDbService _dbService;
+        private readonly RequestEventService _events;
+
+        // Series with an update already queued; episodes added meanwhile ride along with it
+        private readonly ConcurrentDictionary<Guid, byte> _queuedSeries = new ConcurrentDictionary<Guid, byte>();
+        private static readonly TimeSpan SeriesUpdateDelay = TimeSpan.FromSeconds(5);
+
+        public RequestFulfillmentService(ILogger<RequestFulfillmentService> logger, ILibraryManager libraryManager, CaveaDbService dbService, RequestEventService events)
+        {
+            _logger = logger;
+            _libraryManager = libraryManager;
+            _dbService = dbService;
+            _events = events;
+        }
+
+        public Task StartAsync(CancellationToken cancellationToken)
+        {
+            _libraryManager.ItemAdded += OnItemAdded;
+
+            // Catch up on anything imported while the server was down
+            _ = Task.Run(SweepOpenRequestsAsync, cancellationToken);
+            return Task.CompletedTask;
+        }
+
+        public Task StopAsync(CancellationToken cancellationToken)
+        {
+            _libraryManager.ItemAdded -= OnItemAdded;
+            return Task.CompletedTask;
+        }
+
+        /// <summary>
+        /// Check a single request against the library and update its status.
+        /// Returns true when the request changed (it is saved in that case).
+        /// </summary>
+        public async Task<bool> CheckRequestAsync(MediaRequest request)
+        {
+            var item = FindLibraryItem(request);
+            if (item == null) return false;
+
+            var updated = await ApplyLibraryItemAsync(request.Id, item).ConfigureAwait(false);
+            if (updated == null) return false;
+
+            _logger.LogInformation("⚪ [RequestFulfillment] Request {RequestId} is now {Status}", updated.Id, updated.Status);
+            return true;
+        }
+
+        private void OnItemAdded(object? sender, ItemChangeEventArgs e)
+        {
+            try
+            {
+                switch (e.Item)
+                {
+                    case Movie:
+                        _ = UpdateRequestsForAsync(e.Item);
+                        break;
+                    case Series series:
+                        QueueSeriesUpdate(series);
+                        break;
+                    case Episode episode when episode.Series != null:
+                        // Season-limited requests fill up one episode at a time
+                        QueueSeriesUpdate(episode.Series);
+                        break;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [RequestFulfillment] Error handling added item {Name}", e.Item?.Name);
+            }
+        }
+
+        /// <summary>
+        /// Re-evaluate the requests for <paramref name="series"/> shortly, once. A season import adds
+        /// its episodes one by one; they are handled together instead of re-counting the series for each.
+        /// </summary>
+        private void QueueSeriesUpdate(Series series)
+        {
+            if (!_queuedSeries.TryAdd(series.Id, 0)) return;
+
+            _ = Task.Run(async () =>
+            {
+                await Task.Delay(SeriesUpdateDelay).ConfigureAwait(false);
+                _queuedSeries.TryRemove(series.Id, out _);
+                await UpdateRequestsForAsync(series).ConfigureAwait(false);
+            });
+        }
+
+        /// <summary>
+        /// Look up every open request in the library and mark the ones that are already there.
+        /// </summary>
+        private async Task SweepOpenRequestsAsync()
+        {
+            try
+            {
+                var requests = await _dbService.GetRequestsAsync().ConfigureAwait(false);
+                foreach (var request in requests.Where(IsOpen))
+                {
+                    await CheckRequestAsync(request).ConfigureAwait(false);
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [RequestFulfillment] Error sweeping open requests");
+            }
+        }
+
+        /// <summary>
+        /// Re-evaluate every open request for <paramref name="item"/>.
+        /// </summary>
+        private async Task UpdateRequestsForAsync(BaseItem item)
+        {
+            item.ProviderIds.TryGetValue("Imdb", out var imdbId);
+            item.ProviderIds.TryGetValue("Tmdb", out var tmdbId);
+            if (string.IsNullOrEmpty(imdbId) && string.IsNullOrEmpty(tmdbId)) return;
+
+            var isSeries = item is Series;
+            var changed = 0;
+
+            try
+            {
+                var requests = await _dbService.GetRequestsByProviderIdAsync(imdbId, tmdbId).ConfigureAwait(false);
+                foreach (var request in requests.Where(IsOpen))
+                {
+                    if (IsSeries(request) != isSeries) continue;
+                    if (await ApplyLibraryItemAsync(request.Id, item).ConfigureAwait(false) != null) changed++;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [RequestFulfillment] Error updating requests for {Name}", item.Name);
+            }
+
+            if (changed > 0)
+            {
+                _logger.LogInformation("⚪ [RequestFulfillment] {Name} is in the library, updated {Count} request(s)", item.Name, changed);
+            }
+        }
+
+        /// <summary>
+        /// Apply <paramref name="item"/> to the stored request while it is still open, and record the new status.
+        /// Returns the updated request, or null when nothing changed.
+        /// </summary>
+        private async Task<MediaRequest?> ApplyLibraryItemAsync(string requestId, BaseItem item)
+        {
+            var changed = false;
+            var updated = await _dbService.UpdateRequestAsync(requestId, r => changed = IsOpen(r) && ApplyLibraryItem(r, item)).ConfigureAwait(false);
+            if (updated == null || !changed) return null;
+
+            await _events.RecordAsync(updated, updated.Status, null).ConfigureAwait(false);
+            return updated;
+        }
+
+        /// <summary>
+        /// Set the request's status from what the library holds for it. Returns true when anything changed.
+        /// </summary>
+        private bool ApplyLibraryItem(MediaRequest request, BaseItem item)
+        {
+            var status = item is Series series ? GetSeriesStatus(request, series) : "available";
+            if (status == null || string.Equals(request.Status, status, StringComparison.OrdinalIgnoreCase)) return false;
+
+            request.Status = status;
+            request.ImportError = null;
+            request.LibraryItemId = item.Id.ToString("N");
+            if (status == "available")
+            {
+                request.AvailableAt = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// "available" when every requested episode is in the library, "partially_available" when some are,
+        /// null while none are. Whole-series requests count as available once any episode exists.
+        /// </summary>
+        private string? GetSeriesStatus(MediaRequest request, Series series)
+        {
+            var episodes = _libraryManager.GetItemList(new InternalItemsQuery
+            {
+                AncestorIds = new[] { series.Id },
+                IncludeItemTypes = new[] { BaseItemKind.Episode },
+                Recursive = true
+            });
+            if (episodes.Count == 0) return null;
+
+            if (request.Seasons == null || request.Seasons.Count == 0) return "available";
+
+            var present = new HashSet<(int Season, int Episode)>(episodes
+                .Where(e => e.ParentIndexNumber.HasValue && e.IndexNumber.HasValue)
+                .Select(e => (e.ParentIndexNumber!.Value, e.IndexNumber!.Value)));
+
+            int wanted = 0, found = 0;
+            foreach (var season in request.Seasons)
+            {
+                if (season.Episodes == null || season.Episodes.Count == 0)
+                {
+                    // Whole season: any episode of it counts
+                    wanted++;
+                    if (present.Any(p => p.Season == season.SeasonNumber)) found++;
+                    continue;
+                }
+
+                foreach (var episode in season.Episodes)
+                {
+                    wanted++;
+                    if (present.Contains((season.SeasonNumber, episode))) found++;
+                }
+            }
+
+            if (found == 0) return null;
+            return found == wanted ? "available" : "partially_available";
+        }
+
+        private BaseItem? FindLibraryItem(MediaRequest request)
+        {
+            var providerIds = new Dictionary<string, string>();
+            if (IsValidId(request.ImdbId)) providerIds["Imdb"] = request.ImdbId;
+            if (IsValidId(request.TmdbId)) providerIds["Tmdb"] = request.TmdbId;
+            if (providerIds.Count == 0) return null;
+
+            return _libraryManager.GetItemList(new InternalItemsQuery
+            {
+                Recursive = true,
+                IncludeItemTypes = new[] { IsSeries(request) ? BaseItemKind.Series : BaseItemKind.Movie },
+                HasAnyProviderId = providerIds
+            }).FirstOrDefault();
+        }
+
+        /// <summary>
+        /// Requests that can still move to (partially) available.
+        /// </summary>
+        private static bool IsOpen(MediaRequest request)
+        {
+            var status = (request.Status ?? "pending").ToLowerInvariant();
+            return status == "pending" || status == "approved" || status == "processing" || status == "scheduled"
+                || status == "failed" || status == "partially_available";
+        }
+
+        private static bool IsSeries(MediaRequest request)
+        {
+            var type = (request.ItemType ?? request.TmdbMediaType ?? string.Empty).ToLowerInvariant();
+            return type == "series" || type == "tv";
+        }
+
+        private static bool IsValidId(string? id)
+        {
+            return !string.IsNullOrEmpty(id) && id != "undefined";
+        }
+    }
+}
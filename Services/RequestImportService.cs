@@ -0,0 +1,300 @@
+#nullable enable
+using System;
+using System.Collections;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Reflection;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Api;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Imports approved requests into the library through Gelato.
+    /// Whole items go through Gelato's meta endpoint; series requests limited to
+    /// specific seasons are inserted via reflection with their episode list trimmed.
+    /// </summary>
+    public class RequestImportService
+    {
+        private readonly ILogger<RequestImportService> _logger;
+        private readonly IServiceProvider _serviceProvider;
+        private readonly RequestFulfillmentService _fulfillment;
+        private readonly CaveaDbService _dbService;
+        private readonly RequestEventService _events;
+
+        public RequestImportService(ILogger<RequestImportService> logger, IServiceProvider serviceProvider, RequestFulfillmentService fulfillment, CaveaDbService dbService, RequestEventService events)
+        {
+            _logger = logger;
+            _serviceProvider = serviceProvider;
+            _fulfillment = fulfillment;
+            _dbService = dbService;
+            _events = events;
+        }
+
+        /// <summary>
+        /// Run the import for a request in the "processing" state and record the outcome:
+        /// "failed" with the error, or whatever the library now holds (available, partially available)
+        /// falling back to "approved" while Gelato finishes in the background.
+        /// </summary>
+        public async Task ProcessAsync(MediaRequest request, string serverUrl)
+        {
+            var result = await ImportAsync(request, serverUrl).ConfigureAwait(false);
+
+            var moved = false;
+            var current = await _dbService.UpdateRequestAsync(request.Id, r =>
+            {
+                // The request may have been deleted, rejected or already fulfilled meanwhile
+                if (!string.Equals(r.Status, "processing", StringComparison.OrdinalIgnoreCase)) return false;
+
+                r.Status = result.Success ? "approved" : "failed";
+                r.ImportError = result.Success ? null : result.Error ?? "Import failed";
+                return moved = true;
+            }).ConfigureAwait(false);
+            if (current == null || !moved)
+            {
+                return;
+            }
+
+            if (!result.Success)
+            {
+                await _events.RecordAsync(current, "import_failed", null, current.ImportError).ConfigureAwait(false);
+                _logger.LogWarning("⚪ [RequestImport] Import failed for request {RequestId}: {Error}", current.Id, current.ImportError);
+                return;
+            }
+
+            await _events.RecordAsync(current, "imported", null).ConfigureAwait(false);
+            await _fulfillment.CheckRequestAsync(current).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Import an approved request. <paramref name="serverUrl"/> is used when no Gelato base URL is configured.
+        /// </summary>
+        public async Task<RequestImportResult> ImportAsync(MediaRequest request, string serverUrl)
+        {
+            try
+            {
+                if (string.IsNullOrEmpty(request.ImdbId))
+                {
+                    _logger.LogWarning("⚪ [RequestImport] Request {RequestId} has no IMDB id, skipping import", request.Id);
+                    return RequestImportResult.Fail("Request has no IMDB id");
+                }
+
+                var type = request.TmdbMediaType ?? request.ItemType ?? "movie";
+                if (type == "series") type = "tv";
+                if (type != "tv" && type != "movie") return RequestImportResult.Fail($"Unsupported item type '{type}'");
+
+                if (type == "tv" && request.Seasons != null && request.Seasons.Count > 0)
+                {
+                    return await ImportSelectedSeasonsAsync(request).ConfigureAwait(false);
+                }
+
+                return await CallGelatoMetaAsync(request, type, serverUrl).ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [RequestImport] Error importing request {RequestId}", request.Id);
+                return RequestImportResult.Fail(ex.Message);
+            }
+        }
+
+        /// <summary>
+        /// Ask Gelato to fetch and insert the full item via its HTTP meta endpoint.
+        /// </summary>
+        private async Task<RequestImportResult> CallGelatoMetaAsync(MediaRequest request, string type, string serverUrl)
+        {
+            var cfg = Plugin.Instance?.Configuration;
+            var baseUrl = cfg?.GelatoBaseUrl;
+            if (string.IsNullOrEmpty(baseUrl))
+            {
+                baseUrl = serverUrl;
+            }
+
+            var url = baseUrl.TrimEnd('/') + $"/gelato/meta/{type}/{Uri.EscapeDataString(request.ImdbId)}";
+            using var http = new HttpClient();
+            if (!string.IsNullOrEmpty(cfg?.GelatoAuthHeader))
+            {
+                // Allow configuration to specify either a full header name and value
+                // (for example: "X-Emby-Token: <token>") or just a token/value which
+                // will be applied to the Authorization header.
+                var header = cfg.GelatoAuthHeader;
+                var idx = header.IndexOf(':');
+                if (idx > -1)
+                {
+                    var name = header.Substring(0, idx).Trim();
+                    var value = header.Substring(idx + 1).Trim();
+                    try { http.DefaultRequestHeaders.Remove(name); } catch { }
+                    http.DefaultRequestHeaders.Add(name, value);
+                }
+                else
+                {
+                    try { http.DefaultRequestHeaders.Remove("Authorization"); } catch { }
+                    http.DefaultRequestHeaders.Add("Authorization", header);
+                }
+            }
+
+            _logger.LogInformation("⚪ [RequestImport] Calling Gelato at {Url} for approved request {RequestId}", url, request.Id);
+            var resp = await http.GetAsync(url).ConfigureAwait(false);
+            _logger.LogInformation("⚪ [RequestImport] Gelato responded {Status} for {RequestId}", resp.StatusCode, request.Id);
+            return resp.IsSuccessStatusCode
+                ? RequestImportResult.Ok(null)
+                : RequestImportResult.Fail($"Gelato responded {(int)resp.StatusCode} {resp.ReasonPhrase}");
+        }
+
+        /// <summary>
+        /// Fetch the series meta from Gelato's Stremio provider, drop every episode that was not
+        /// requested and insert the result without a remote refresh so Gelato keeps the trimmed list.
+        /// </summary>
+        private async Task<RequestImportResult> ImportSelectedSeasonsAsync(MediaRequest request)
+        {
+            var gelatoAssembly = AppDomain.CurrentDomain.GetAssemblies()
+                .FirstOrDefault(a => a.GetName().Name == "Gelato");
+            if (gelatoAssembly == null)
+            {
+                _logger.LogError("⚪ [RequestImport] Gelato assembly not found");
+                return RequestImportResult.Fail("Gelato is not installed");
+            }
+
+            var managerType = gelatoAssembly.GetType("Gelato.GelatoManager");
+            var pluginType = gelatoAssembly.GetType("Gelato.GelatoPlugin");
+            var metaTypeEnum = gelatoAssembly.GetType("Gelato.StremioMediaType");
+            if (managerType == null || pluginType == null || metaTypeEnum == null)
+            {
+                _logger.LogError("⚪ [RequestImport] Required Gelato types not found");
+                return RequestImportResult.Fail("Unsupported Gelato version");
+            }
+
+            var pluginInstance = pluginType.GetProperty("Instance", BindingFlags.Public | BindingFlags.Static)?.GetValue(null);
+            if (pluginInstance == null)
+            {
+                _logger.LogError("⚪ [RequestImport] Gelato plugin instance is null");
+                return RequestImportResult.Fail("Gelato is not loaded");
+            }
+
+            // Prefer DI, fall back to the plugin's own manager instance
+            var manager = _serviceProvider.GetService(managerType)
+                ?? pluginType.GetField("_manager", BindingFlags.NonPublic | BindingFlags.Instance)?.GetValue(pluginInstance);
+            if (manager == null)
+            {
+                _logger.LogError("⚪ [RequestImport] GelatoManager not available");
+                return RequestImportResult.Fail("Gelato is not loaded");
+            }
+
+            var config = pluginType.GetMethod("GetConfig")?.Invoke(pluginInstance, new object[] { Guid.Empty });
+            var stremioProvider = config?.GetType().GetField("stremio")?.GetValue(config);
+            var getMetaMethod = stremioProvider?.GetType().GetMethod("GetMetaAsync", new[] { typeof(string), metaTypeEnum });
+            if (getMetaMethod == null)
+            {
+                _logger.LogError("⚪ [RequestImport] GetMetaAsync not found on Gelato Stremio provider");
+                return RequestImportResult.Fail("Gelato has no Stremio provider configured");
+            }
+
+            var metaTypeVal = Enum.Parse(metaTypeEnum, "Series", true);
+            var metaTask = (Task)getMetaMethod.Invoke(stremioProvider, new object[] { request.ImdbId, metaTypeVal })!;
+            await metaTask.ConfigureAwait(false);
+            var meta = metaTask.GetType().GetProperty("Result")?.GetValue(metaTask);
+            if (meta == null)
+            {
+                _logger.LogWarning("⚪ [RequestImport] Meta not found for {ImdbId}", request.ImdbId);
+                return RequestImportResult.Fail("No metadata found for " + request.ImdbId);
+            }
+
+            var kept = FilterVideosToSeasons(meta, request.Seasons);
+            if (kept == 0)
+            {
+                _logger.LogWarning("⚪ [RequestImport] None of the requested seasons exist for {ImdbId}", request.ImdbId);
+                return RequestImportResult.Fail("None of the requested seasons are available yet");
+            }
+
+            var parentFolder = managerType.GetMethod("TryGetSeriesFolder", new[] { typeof(Guid) })
+                ?.Invoke(manager, new object[] { Guid.Empty });
+            if (parentFolder == null)
+            {
+                _logger.LogError("⚪ [RequestImport] Gelato series folder not found");
+                return RequestImportResult.Fail("Gelato series folder not found");
+            }
+
+            var insertMetaMethod = managerType.GetMethod("InsertMeta");
+            if (insertMetaMethod == null)
+            {
+                _logger.LogError("⚪ [RequestImport] InsertMeta method not found in GelatoManager");
+                return RequestImportResult.Fail("Unsupported Gelato version");
+            }
+
+            try
+            {
+                var insertTask = (Task)insertMetaMethod.Invoke(manager, new object[]
+                {
+                    parentFolder,
+                    meta,
+                    Guid.Empty,
+                    false, // allowRemoteRefresh=false so the trimmed episode list is kept
+                    true,  // refreshItem
+                    false, // queueRefreshItem
+                    CancellationToken.None
+                })!;
+                await insertTask.ConfigureAwait(false);
+
+                var resultTuple = insertTask.GetType().GetProperty("Result")?.GetValue(insertTask);
+                var item = resultTuple?.GetType().GetField("Item1")?.GetValue(resultTuple);
+                var itemId = item?.GetType().GetProperty("Id")?.GetValue(item)?.ToString();
+
+                _logger.LogInformation("⚪ [RequestImport] Imported {Count} episodes of {ImdbId} for request {RequestId}", kept, request.ImdbId, request.Id);
+                return RequestImportResult.Ok(itemId);
+            }
+            catch (TargetInvocationException tie) when (tie.InnerException != null)
+            {
+                _logger.LogError(tie.InnerException, "⚪ [RequestImport] Gelato import failed for {ImdbId}", request.ImdbId);
+                return RequestImportResult.Fail(tie.InnerException.Message);
+            }
+        }
+
+        /// <summary>
+        /// Replace meta.Videos with only the episodes covered by the requested seasons.
+        /// Returns the number of episodes kept.
+        /// </summary>
+        private static int FilterVideosToSeasons(object meta, List<RequestedSeason> seasons)
+        {
+            var videosProp = meta.GetType().GetProperty("Videos");
+            if (videosProp?.GetValue(meta) is not IEnumerable videos) return 0;
+
+            var wanted = seasons.ToDictionary(s => s.SeasonNumber, s => new HashSet<int>(s.Episodes ?? new List<int>()));
+            var elementType = videosProp.PropertyType.IsGenericType
+                ? videosProp.PropertyType.GetGenericArguments()[0]
+                : typeof(object);
+            var filtered = (IList)Activator.CreateInstance(typeof(List<>).MakeGenericType(elementType))!;
+
+            foreach (var video in videos)
+            {
+                if (video == null) continue;
+                var videoType = video.GetType();
+                var season = videoType.GetProperty("Season")?.GetValue(video);
+                var episode = videoType.GetProperty("Episode")?.GetValue(video);
+                if (season == null || !wanted.TryGetValue(Convert.ToInt32(season), out var episodes)) continue;
+                if (episodes.Count > 0 && (episode == null || !episodes.Contains(Convert.ToInt32(episode)))) continue;
+                filtered.Add(video);
+            }
+
+            videosProp.SetValue(meta, filtered);
+            return filtered.Count;
+        }
+    }
+
+    /// <summary>
+    /// Outcome of a request import: the library item id when known, or the error that stopped it.
+    /// </summary>
+    public class RequestImportResult
+    {
+        public bool Success { get; private set; }
+
+        public string? ItemId { get; private set; }
+
+        public string? Error { get; private set; }
+
+        public static RequestImportResult Ok(string? itemId) => new RequestImportResult { Success = true, ItemId = itemId };
+
+        public static RequestImportResult Fail(string error) => new RequestImportResult { Success = false, Error = error };
+    }
+}
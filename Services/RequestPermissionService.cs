@@ -0,0 +1,77 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Claims;
+using Cavea.Api;
+using MediaBrowser.Controller.Library;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Works out what a user may do with requests from the Cavea roles assigned in the configuration.
+    /// Users without an assignment can request unless requests are disabled for non-admins, and import
+    /// directly when auto import is on. Administrators hold every role.
+    /// </summary>
+    public class RequestPermissionService
+    {
+        public const string RequestRole = "request";
+        public const string ImportRole = "import";
+        public const string ApproveRole = "approve";
+        public const string ManageRole = "manage";
+
+        /// <summary>
+        /// Roles that can be assigned in the configuration.
+        /// </summary>
+        public static readonly string[] Roles = { RequestRole, ImportRole, ApproveRole, ManageRole };
+
+        private readonly IUserManager _userManager;
+
+        public RequestPermissionService(IUserManager userManager)
+        {
+            _userManager = userManager;
+        }
+
+        /// <summary>
+        /// Effective permissions of <paramref name="user"/>. Anonymous callers get none.
+        /// </summary>
+        public RequestPermissions GetPermissions(ClaimsPrincipal? user)
+        {
+            var permissions = new RequestPermissions();
+            if (user?.Identity?.IsAuthenticated != true) return permissions;
+
+            permissions.Username = user.Identity.Name;
+            permissions.IsAdmin = user.IsInRole("Administrator");
+            permissions.UserId = string.IsNullOrEmpty(permissions.Username)
+                ? null
+                : _userManager.GetUserByName(permissions.Username)?.Id.ToString("N");
+            permissions.Roles = permissions.IsAdmin ? Roles.ToList() : GetRoles(permissions.UserId);
+
+            permissions.CanRequest = permissions.Roles.Contains(RequestRole);
+            permissions.CanImport = permissions.Roles.Contains(ImportRole);
+            permissions.CanManage = permissions.Roles.Contains(ManageRole);
+            permissions.CanApprove = permissions.CanManage || permissions.Roles.Contains(ApproveRole);
+            return permissions;
+        }
+
+        /// <summary>
+        /// Roles assigned to <paramref name="userId"/>, or the defaults when the user has no assignment.
+        /// </summary>
+        private static List<string> GetRoles(string? userId)
+        {
+            var config = Plugin.Instance?.Configuration;
+            var assignment = Guid.TryParse(userId, out var id)
+                ? config?.UserRoles?.FirstOrDefault(a => Guid.TryParse(a?.UserId, out var assigned) && assigned == id)
+                : null;
+            if (assignment != null)
+            {
+                return (assignment.Roles ?? new List<string>()).Where(Roles.Contains).ToList();
+            }
+
+            var roles = new List<string>();
+            if (config?.DisableNonAdminRequests != true) roles.Add(RequestRole);
+            if (config?.EnableAutoImport == true) roles.Add(ImportRole);
+            return roles;
+        }
+    }
+}
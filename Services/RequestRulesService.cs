@@ -0,0 +1,211 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Cavea.Api;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Decides new requests automatically from the rules in the configuration.
+    /// Rules are checked in order and the first one whose conditions all hold wins;
+    /// TMDB is only asked for the rating and content rating when a rule needs them.
+    /// </summary>
+    public class RequestRulesService
+    {
+        // Content ratings are compared against this country's certification
+        private const string CertificationCountry = "US";
+
+        private readonly ILogger<RequestRulesService> _logger;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly IUserManager _userManager;
+
+        public RequestRulesService(ILogger<RequestRulesService> logger, IHttpClientFactory httpClientFactory, IUserManager userManager)
+        {
+            _logger = logger;
+            _httpClientFactory = httpClientFactory;
+            _userManager = userManager;
+        }
+
+        /// <summary>
+        /// Find the first enabled rule matching <paramref name="request"/>, or null when the request stays pending.
+        /// </summary>
+        public async Task<RequestRule?> EvaluateAsync(MediaRequest request)
+        {
+            var rules = Plugin.Instance?.Configuration?.RequestRules?
+                .Where(r => r.Enabled && HasConditions(r))
+                .ToList();
+            if (rules == null || rules.Count == 0) return null;
+
+            TmdbFacts? facts = null;
+            if (rules.Any(r => r.MinRating.HasValue || (r.ContentRatings?.Count ?? 0) > 0))
+            {
+                facts = await GetTmdbFactsAsync(request).ConfigureAwait(false);
+            }
+
+            var rule = rules.FirstOrDefault(r => Matches(r, request, facts));
+            if (rule != null)
+            {
+                _logger.LogInformation("⚪ [RequestRules] Rule {Rule} matched request {RequestId} ({Action})", rule.Name, request.Id, rule.Action);
+            }
+
+            return rule;
+        }
+
+        /// <summary>
+        /// A rule without conditions would match everything; those are ignored rather than guessed at.
+        /// </summary>
+        private static bool HasConditions(RequestRule rule)
+        {
+            return rule.MinRating.HasValue
+                || (rule.Users?.Count ?? 0) > 0
+                || (rule.Catalogs?.Count ?? 0) > 0
+                || (rule.ContentRatings?.Count ?? 0) > 0;
+        }
+
+        private bool Matches(RequestRule rule, MediaRequest request, TmdbFacts? facts)
+        {
+            if (!string.IsNullOrEmpty(rule.MediaType) && IsSeries(rule.MediaType) != IsSeries(request.ItemType))
+            {
+                return false;
+            }
+
+            if (rule.MinRating.HasValue && (facts?.Rating == null || facts.Rating < rule.MinRating))
+            {
+                return false;
+            }
+
+            if ((rule.Users?.Count ?? 0) > 0 && !rule.Users!.Any(u => IsRequester(u, request.UserId)))
+            {
+                return false;
+            }
+
+            if ((rule.Catalogs?.Count ?? 0) > 0 &&
+                (string.IsNullOrEmpty(request.CatalogId) || !rule.Catalogs!.Contains(request.CatalogId, StringComparer.OrdinalIgnoreCase)))
+            {
+                return false;
+            }
+
+            if ((rule.ContentRatings?.Count ?? 0) > 0 &&
+                (string.IsNullOrEmpty(facts?.Certification) || !rule.ContentRatings!.Contains(facts!.Certification!, StringComparer.OrdinalIgnoreCase)))
+            {
+                return false;
+            }
+
+            return true;
+        }
+
+        /// <summary>
+        /// TMDB rating and certification for the requested item. Null when TMDB is not configured or unreachable,
+        /// in which case rules that depend on them do not match.
+        /// </summary>
+        private async Task<TmdbFacts?> GetTmdbFactsAsync(MediaRequest request)
+        {
+            var apiKey = Plugin.Instance?.Configuration?.TmdbApiKey;
+            if (string.IsNullOrEmpty(apiKey) || string.IsNullOrEmpty(request.TmdbId)) return null;
+
+            var isSeries = IsSeries(request.ItemType);
+            var url = isSeries
+                ? $"https://api.themoviedb.org/3/tv/{Uri.EscapeDataString(request.TmdbId)}?api_key={Uri.EscapeDataString(apiKey)}&append_to_response=content_ratings"
+                : $"https://api.themoviedb.org/3/movie/{Uri.EscapeDataString(request.TmdbId)}?api_key={Uri.EscapeDataString(apiKey)}&append_to_response=release_dates";
+
+            try
+            {
+                var client = _httpClientFactory.CreateClient();
+                client.Timeout = TimeSpan.FromSeconds(10);
+                using var response = await client.GetAsync(url).ConfigureAwait(false);
+                if (!response.IsSuccessStatusCode)
+                {
+                    _logger.LogWarning("⚪ [RequestRules] TMDB returned {Status} for {TmdbId}", (int)response.StatusCode, request.TmdbId);
+                    return null;
+                }
+
+                using var doc = JsonDocument.Parse(await response.Content.ReadAsStringAsync().ConfigureAwait(false));
+                var root = doc.RootElement;
+
+                return new TmdbFacts
+                {
+                    Rating = root.TryGetProperty("vote_average", out var vote) && vote.ValueKind == JsonValueKind.Number ? vote.GetDouble() : null,
+                    Certification = isSeries ? GetSeriesCertification(root) : GetMovieCertification(root)
+                };
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [RequestRules] Failed to fetch TMDB details for {TmdbId}", request.TmdbId);
+                return null;
+            }
+        }
+
+        private static string? GetMovieCertification(JsonElement root)
+        {
+            if (!root.TryGetProperty("release_dates", out var releaseDates) ||
+                !releaseDates.TryGetProperty("results", out var results) ||
+                results.ValueKind != JsonValueKind.Array)
+            {
+                return null;
+            }
+
+            foreach (var country in results.EnumerateArray())
+            {
+                if (!country.TryGetProperty("iso_3166_1", out var iso) || iso.GetString() != CertificationCountry) continue;
+                if (!country.TryGetProperty("release_dates", out var dates) || dates.ValueKind != JsonValueKind.Array) return null;
+
+                // Several releases per country; the first one with a certification is enough
+                return dates.EnumerateArray()
+                    .Select(d => d.TryGetProperty("certification", out var c) ? c.GetString() : null)
+                    .FirstOrDefault(c => !string.IsNullOrWhiteSpace(c));
+            }
+
+            return null;
+        }
+
+        private static string? GetSeriesCertification(JsonElement root)
+        {
+            if (!root.TryGetProperty("content_ratings", out var ratings) ||
+                !ratings.TryGetProperty("results", out var results) ||
+                results.ValueKind != JsonValueKind.Array)
+            {
+                return null;
+            }
+
+            foreach (var country in results.EnumerateArray())
+            {
+                if (country.TryGetProperty("iso_3166_1", out var iso) && iso.GetString() == CertificationCountry &&
+                    country.TryGetProperty("rating", out var rating))
+                {
+                    return rating.GetString();
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Rule users are names or ids; either way they are compared by id with the requester the server signed in.
+        /// </summary>
+        private bool IsRequester(string entry, string? requesterId)
+        {
+            if (string.IsNullOrWhiteSpace(entry) || !Guid.TryParse(requesterId, out var requester)) return false;
+            if (Guid.TryParse(entry, out var id)) return id == requester;
+            return _userManager.GetUserByName(entry.Trim())?.Id == requester;
+        }
+
+        private static bool IsSeries(string? type)
+        {
+            var t = (type ?? string.Empty).ToLowerInvariant();
+            return t == "series" || t == "tv";
+        }
+
+        private sealed class TmdbFacts
+        {
+            public double? Rating { get; set; }
+
+            public string? Certification { get; set; }
+        }
+    }
+}
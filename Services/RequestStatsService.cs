@@ -0,0 +1,213 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Api;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Aggregates the request history for the admin statistics page.
+    /// Approval times come from the audit trail; genres come from TMDB and are stored on the request
+    /// by the "Look Up Request Genres" task, so the page never waits on TMDB.
+    /// </summary>
+    public class RequestStatsService
+    {
+        private const int TopCount = 10;
+
+        private static readonly HashSet<string> ApprovedStatuses = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "approved", "processing", "scheduled", "failed", "partially_available", "available"
+        };
+
+        private readonly ILogger<RequestStatsService> _logger;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly CaveaDbService _dbService;
+
+        public RequestStatsService(ILogger<RequestStatsService> logger, IHttpClientFactory httpClientFactory, CaveaDbService dbService)
+        {
+            _logger = logger;
+            _httpClientFactory = httpClientFactory;
+            _dbService = dbService;
+        }
+
+        /// <summary>
+        /// Statistics over the requests made in the last <paramref name="days"/> days, or all of them when 0.
+        /// </summary>
+        public async Task<RequestStats> GetStatsAsync(int days)
+        {
+            var now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            var since = days > 0 ? now - (days * 24L * 60 * 60 * 1000) : 0;
+
+            var requests = (await _dbService.GetRequestsAsync().ConfigureAwait(false))
+                .Where(r => r.Timestamp >= since)
+                .ToList();
+
+            // First decision per request; "scheduled" counts as an approval
+            var decisions = (await _dbService.GetRequestEventsByActionAsync("approved", "scheduled", "rejected").ConfigureAwait(false))
+                .GroupBy(e => e.RequestId)
+                .ToDictionary(g => g.Key, g => g.First());
+
+            var stats = new RequestStats
+            {
+                Days = days,
+                Total = requests.Count,
+                ByStatus = requests
+                    .GroupBy(r => (r.Status ?? "pending").ToLowerInvariant())
+                    .ToDictionary(g => g.Key, g => g.Count())
+            };
+
+            int approved = 0, rejected = 0;
+            var approvalTimes = new List<long>();
+            foreach (var request in requests)
+            {
+                decisions.TryGetValue(request.Id, out var decision);
+                var wasApproved = decision != null
+                    ? decision.Action != "rejected"
+                    : ApprovedStatuses.Contains(request.Status ?? string.Empty);
+                var wasRejected = decision != null
+                    ? decision.Action == "rejected"
+                    : string.Equals(request.Status, "rejected", StringComparison.OrdinalIgnoreCase);
+
+                if (wasApproved) approved++;
+                if (wasRejected) rejected++;
+                if (wasApproved && decision != null && decision.Timestamp >= request.Timestamp)
+                {
+                    approvalTimes.Add(decision.Timestamp - request.Timestamp);
+                }
+            }
+
+            stats.Approved = approved;
+            stats.Rejected = rejected;
+            stats.ApprovalRate = approved + rejected > 0 ? Math.Round((double)approved / (approved + rejected), 3) : null;
+            stats.MedianTimeToApprovalMs = Median(approvalTimes);
+            stats.MedianTimeToAvailableMs = Median(requests
+                .Where(r => r.AvailableAt.HasValue && r.AvailableAt.Value >= r.Timestamp)
+                .Select(r => r.AvailableAt!.Value - r.Timestamp)
+                .ToList());
+
+            stats.Users = requests
+                .GroupBy(r => r.Username ?? "Unknown", StringComparer.OrdinalIgnoreCase)
+                .Select(g => new RequestUserStats
+                {
+                    Username = g.First().Username ?? "Unknown",
+                    Total = g.Count(),
+                    Pending = g.Count(r => string.Equals(r.Status ?? "pending", "pending", StringComparison.OrdinalIgnoreCase)),
+                    Approved = g.Count(r => ApprovedStatuses.Contains(r.Status ?? string.Empty)),
+                    Rejected = g.Count(r => string.Equals(r.Status, "rejected", StringComparison.OrdinalIgnoreCase)),
+                    Available = g.Count(r => string.Equals(r.Status, "available", StringComparison.OrdinalIgnoreCase))
+                })
+                .OrderByDescending(u => u.Total)
+                .ThenBy(u => u.Username, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            stats.MostVotedPending = requests
+                .Where(r => string.Equals(r.Status ?? "pending", "pending", StringComparison.OrdinalIgnoreCase))
+                .OrderByDescending(r => r.VoteCount)
+                .ThenBy(r => r.Timestamp)
+                .Take(TopCount)
+                .ToList();
+
+            stats.GenresKnown = requests.Count(r => r.Genres != null);
+            stats.TopGenres = requests
+                .Where(r => r.Genres != null)
+                .SelectMany(r => r.Genres.Distinct(StringComparer.OrdinalIgnoreCase))
+                .GroupBy(g => g, StringComparer.OrdinalIgnoreCase)
+                .Select(g => new GenreCount { Genre = g.Key, Count = g.Count() })
+                .OrderByDescending(g => g.Count)
+                .ThenBy(g => g.Genre, StringComparer.OrdinalIgnoreCase)
+                .Take(TopCount)
+                .ToList();
+
+            return stats;
+        }
+
+        /// <summary>
+        /// Look up and store the genres of every request that has none yet, newest first.
+        /// Returns how many requests got their genres.
+        /// </summary>
+        public async Task<int> FillGenresAsync(IProgress<double>? progress, CancellationToken cancellationToken)
+        {
+            var apiKey = Plugin.Instance?.Configuration?.TmdbApiKey;
+            if (string.IsNullOrEmpty(apiKey)) return 0;
+
+            var missing = (await _dbService.GetRequestsAsync().ConfigureAwait(false))
+                .Where(r => r.Genres == null && !string.IsNullOrEmpty(r.TmdbId) && r.TmdbId != "undefined")
+                .OrderByDescending(r => r.Timestamp)
+                .ToList();
+
+            var filled = 0;
+            var done = 0;
+            foreach (var request in missing)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+
+                var genres = await GetGenresAsync(request, apiKey).ConfigureAwait(false);
+                if (genres != null && await _dbService.UpdateRequestAsync(request.Id, r =>
+                    {
+                        r.Genres = genres;
+                        return true;
+                    }).ConfigureAwait(false) != null)
+                {
+                    filled++;
+                }
+
+                done++;
+                progress?.Report(done * 100.0 / missing.Count);
+            }
+
+            return filled;
+        }
+
+        private async Task<List<string>?> GetGenresAsync(MediaRequest request, string apiKey)
+        {
+            var type = IsSeries(request) ? "tv" : "movie";
+            var url = $"https://api.themoviedb.org/3/{type}/{Uri.EscapeDataString(request.TmdbId)}?api_key={Uri.EscapeDataString(apiKey)}";
+
+            try
+            {
+                var client = _httpClientFactory.CreateClient();
+                client.Timeout = TimeSpan.FromSeconds(10);
+                using var response = await client.GetAsync(url).ConfigureAwait(false);
+                if (!response.IsSuccessStatusCode) return null;
+
+                using var doc = JsonDocument.Parse(await response.Content.ReadAsStringAsync().ConfigureAwait(false));
+                if (!doc.RootElement.TryGetProperty("genres", out var genres) || genres.ValueKind != JsonValueKind.Array)
+                {
+                    return new List<string>();
+                }
+
+                return genres.EnumerateArray()
+                    .Select(g => g.TryGetProperty("name", out var name) ? name.GetString() : null)
+                    .Where(n => !string.IsNullOrEmpty(n))
+                    .Select(n => n!)
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [RequestStats] Failed to fetch genres for {TmdbId}", request.TmdbId);
+                return null;
+            }
+        }
+
+        private static long? Median(List<long> values)
+        {
+            if (values.Count == 0) return null;
+
+            values.Sort();
+            var mid = values.Count / 2;
+            return values.Count % 2 == 1 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+        }
+
+        private static bool IsSeries(MediaRequest request)
+        {
+            var type = (request.ItemType ?? request.TmdbMediaType ?? string.Empty).ToLowerInvariant();
+            return type == "series" || type == "tv";
+        }
+    }
+}
@@ -0,0 +1,737 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Net.Http;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Tasks;
+using Cavea.Api;
+using MediaBrowser.Controller.Library;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Exports requests as CSV or JSON and imports them back, including exports from Jellyseerr and Ombi.
+    /// Imported rows get their IMDB/TMDB ids resolved through TMDB and rows already requested are skipped;
+    /// a dry run reports what would happen without saving anything.
+    /// </summary>
+    public class RequestTransferService
+    {
+        private static readonly string[] CsvColumns =
+        {
+            "id", "title", "year", "itemType", "imdbId", "tmdbId", "status", "username", "requestedAt",
+            "votes", "voters", "approvedBy", "rejectionReason", "availableAt"
+        };
+
+        // Column names seen in Cavea, Jellyseerr and Ombi exports, compared without case or punctuation
+        // ("TMDB ID", "tmdb_id" and "media.tmdbId" all match). The first column present wins.
+        private static readonly string[] TitleColumns = { "title", "name", "mediatitle", "medianame", "originaltitle" };
+        private static readonly string[] YearColumns = { "year", "releaseyear", "mediayear" };
+        private static readonly string[] TypeColumns = { "itemtype", "mediatype", "mediamediatype", "type", "tmdbmediatype", "kind" };
+        private static readonly string[] ImdbColumns = { "imdbid", "imdb", "mediaimdbid" };
+        private static readonly string[] TmdbColumns = { "tmdbid", "tmdb", "themoviedbid", "mediatmdbid" };
+        private static readonly string[] TvdbColumns = { "tvdbid", "tvdb", "mediatvdbid" };
+        private static readonly string[] UserColumns =
+        {
+            "username", "requestedbyjellyfinusername", "requestedbyusername", "requestedbydisplayname",
+            "requesteduserusername", "requesteduseruseralias", "requestedby", "requesteduser", "requester", "user"
+        };
+        private static readonly string[] StatusColumns = { "status", "requeststatus" };
+        private static readonly string[] MediaStatusColumns = { "mediastatus" };
+        private static readonly string[] DateColumns = { "requestedat", "timestamp", "createdat", "requesteddate", "requestdate", "date" };
+        private static readonly string[] AvailableColumns = { "availableat", "markedasavailable" };
+        private static readonly string[] ApprovedByColumns = { "approvedby", "modifiedbydisplayname", "modifiedbyusername" };
+        private static readonly string[] ReasonColumns = { "rejectionreason", "deniedreason", "reason" };
+        private static readonly string[] VoterColumns = { "voters" };
+
+        private readonly ILogger<RequestTransferService> _logger;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly IUserManager _userManager;
+        private readonly CaveaDbService _dbService;
+        private readonly RequestEventService _events;
+        private readonly RequestFulfillmentService _fulfillment;
+
+        public RequestTransferService(
+            ILogger<RequestTransferService> logger,
+            IHttpClientFactory httpClientFactory,
+            IUserManager userManager,
+            CaveaDbService dbService,
+            RequestEventService events,
+            RequestFulfillmentService fulfillment)
+        {
+            _logger = logger;
+            _httpClientFactory = httpClientFactory;
+            _userManager = userManager;
+            _dbService = dbService;
+            _events = events;
+            _fulfillment = fulfillment;
+        }
+
+        #region Export
+
+        /// <summary>
+        /// One row per request; voters are joined with ";" and timestamps written as ISO 8601 (UTC).
+        /// </summary>
+        public static string ToCsv(IEnumerable<MediaRequest> requests)
+        {
+            var sb = new StringBuilder();
+            sb.Append(string.Join(",", CsvColumns)).Append("\r\n");
+
+            foreach (var r in requests)
+            {
+                var fields = new[]
+                {
+                    r.Id, r.Title, r.Year, r.ItemType, r.ImdbId, r.TmdbId, r.Status ?? "pending", r.Username,
+                    FormatDate(r.Timestamp),
+                    r.VoteCount.ToString(CultureInfo.InvariantCulture),
+                    string.Join(";", (r.Voters ?? new List<RequestVoter>()).Select(v => v.Username)),
+                    r.ApprovedBy, r.RejectionReason,
+                    r.AvailableAt.HasValue ? FormatDate(r.AvailableAt.Value) : null
+                };
+                sb.Append(string.Join(",", fields.Select(EscapeCsv))).Append("\r\n");
+            }
+
+            return sb.ToString();
+        }
+
+        public static string ToJson(IEnumerable<MediaRequest> requests)
+        {
+            return JsonSerializer.Serialize(requests, new JsonSerializerOptions { WriteIndented = true });
+        }
+
+        #endregion
+
+        #region Import
+
+        /// <summary>
+        /// Import the requests in <paramref name="content"/> (CSV or JSON, guessed when <paramref name="format"/> is empty).
+        /// With <paramref name="dryRun"/> nothing is saved; the result lists what each row would do.
+        /// </summary>
+        public async Task<RequestTransferResult> ImportAsync(string content, string? format, bool dryRun, string? actor)
+        {
+            var result = new RequestTransferResult { DryRun = dryRun };
+            var rows = ParseRows(content, format);
+            result.Total = rows.Count;
+
+            var existing = await _dbService.GetRequestsAsync().ConfigureAwait(false);
+            var seen = new HashSet<string>(existing.SelectMany(Keys), StringComparer.OrdinalIgnoreCase);
+
+            for (var i = 0; i < rows.Count; i++)
+            {
+                var row = new RequestImportRow { Row = i + 1, Action = "invalid" };
+                result.Rows.Add(row);
+
+                try
+                {
+                    var request = await BuildRequestAsync(rows[i], row, actor).ConfigureAwait(false);
+                    if (request == null)
+                    {
+                        result.Failed++;
+                        continue;
+                    }
+
+                    var keys = Keys(request).ToList();
+                    if (keys.Any(seen.Contains))
+                    {
+                        row.Action = "duplicate";
+                        row.Message = "Already requested";
+                        result.Skipped++;
+                        continue;
+                    }
+
+                    foreach (var key in keys) seen.Add(key);
+                    row.Action = "import";
+
+                    if (!dryRun)
+                    {
+                        if (!await _dbService.CreateRequestAsync(request).ConfigureAwait(false))
+                        {
+                            row.Action = "invalid";
+                            row.Message = "Failed to save request";
+                            result.Failed++;
+                            continue;
+                        }
+
+                        await _events.RecordAsync(request, "migrated", actor, row.Source != null ? $"From {row.Source}" : null).ConfigureAwait(false);
+                        if (IsOpen(request.Status))
+                        {
+                            await _fulfillment.CheckRequestAsync(request).ConfigureAwait(false);
+                        }
+                    }
+
+                    result.Imported++;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "⚪ [RequestTransfer] Failed to import row {Row}", row.Row);
+                    row.Action = "invalid";
+                    row.Message = ex.Message;
+                    result.Failed++;
+                }
+            }
+
+            _logger.LogInformation(
+                "⚪ [RequestTransfer] {Mode}: {Imported} imported, {Skipped} duplicate(s), {Failed} failed of {Total} row(s)",
+                dryRun ? "Dry run" : "Import", result.Imported, result.Skipped, result.Failed, result.Total);
+            return result;
+        }
+
+        /// <summary>
+        /// Turn a parsed row into a request, filling <paramref name="row"/> with what was found.
+        /// Returns null (with the reason in the row) when the row cannot be imported.
+        /// </summary>
+        private async Task<MediaRequest?> BuildRequestAsync(Dictionary<string, string> fields, RequestImportRow row, string? actor)
+        {
+            var request = new MediaRequest
+            {
+                Title = Get(fields, TitleColumns),
+                Year = Get(fields, YearColumns),
+                ImdbId = NormalizeImdbId(Get(fields, ImdbColumns)),
+                TmdbId = Get(fields, TmdbColumns),
+                Username = Get(fields, UserColumns),
+                ApprovedBy = Get(fields, ApprovedByColumns),
+                ItemType = NormalizeType(Get(fields, TypeColumns))
+            };
+            var tvdbId = Get(fields, TvdbColumns);
+
+            row.Title = request.Title;
+            row.Username = request.Username;
+            row.Source = fields.ContainsKey("mediamediatype") ? "Jellyseerr"
+                : fields.ContainsKey("themoviedbid") || fields.ContainsKey("requesteduserusername") ? "Ombi"
+                : null;
+
+            if (string.IsNullOrEmpty(request.ImdbId) && string.IsNullOrEmpty(request.TmdbId) &&
+                string.IsNullOrEmpty(tvdbId) && string.IsNullOrEmpty(request.Title))
+            {
+                row.Message = "No title or id";
+                return null;
+            }
+
+            if (!await ResolveIdsAsync(request, tvdbId).ConfigureAwait(false))
+            {
+                row.Action = "unresolved";
+                row.Message = "Could not find the item on TMDB";
+                FillRow(row, request);
+                return null;
+            }
+
+            request.TmdbMediaType = request.ItemType == "series" ? "tv" : "movie";
+
+            request.Status = MapStatus(fields);
+            if (request.Status == "rejected")
+            {
+                request.RejectionReason = Get(fields, ReasonColumns) ?? "Rejected before import";
+            }
+
+            request.Timestamp = ParseDate(Get(fields, DateColumns)) ?? DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            if (request.Status == "available")
+            {
+                request.AvailableAt = ParseDate(Get(fields, AvailableColumns)) ?? request.Timestamp;
+            }
+
+            if (string.IsNullOrWhiteSpace(request.Username))
+            {
+                request.Username = actor;
+            }
+
+            var user = string.IsNullOrEmpty(request.Username) ? null : _userManager.GetUserByName(request.Username);
+            if (user != null)
+            {
+                request.Username = user.Username;
+                request.UserId = user.Id.ToString("N");
+            }
+
+            request.Voters = ParseVoters(Get(fields, VoterColumns))
+                .Where(v => !string.Equals(v, request.Username, StringComparison.OrdinalIgnoreCase))
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .Select(v => new RequestVoter { Username = v, UserId = _userManager.GetUserByName(v)?.Id.ToString("N"), Timestamp = request.Timestamp })
+                .ToList();
+
+            if (request.ItemType == "series" && fields.TryGetValue("seasons", out var seasonsJson))
+            {
+                request.Seasons = ParseSeasons(seasonsJson);
+            }
+
+            request.Id = $"{request.Username}_{request.TmdbId}_{request.Timestamp}";
+            FillRow(row, request);
+            return request;
+        }
+
+        private static void FillRow(RequestImportRow row, MediaRequest request)
+        {
+            row.Title = request.Title;
+            row.Year = request.Year;
+            row.ItemType = request.ItemType;
+            row.ImdbId = request.ImdbId;
+            row.TmdbId = request.TmdbId;
+            row.Username = request.Username;
+            row.Status = request.Status;
+        }
+
+        /// <summary>
+        /// Fill in whichever of the IMDB id, TMDB id, type, title and year are missing.
+        /// Ids are looked up directly; a title search is the last resort. Returns false when nothing matched.
+        /// </summary>
+        private async Task<bool> ResolveIdsAsync(MediaRequest request, string? tvdbId)
+        {
+            var apiKey = Plugin.Instance?.Configuration?.TmdbApiKey;
+            if (string.IsNullOrEmpty(apiKey))
+            {
+                // Without TMDB the row is only usable when it already carries both ids
+                request.ItemType ??= "movie";
+                return !string.IsNullOrEmpty(request.ImdbId) && !string.IsNullOrEmpty(request.TmdbId);
+            }
+
+            var key = Uri.EscapeDataString(apiKey);
+
+            if (string.IsNullOrEmpty(request.TmdbId))
+            {
+                var (source, externalId) = !string.IsNullOrEmpty(request.ImdbId) ? ("imdb_id", request.ImdbId)
+                    : !string.IsNullOrEmpty(tvdbId) ? ("tvdb_id", tvdbId)
+                    : (null, null);
+
+                if (source != null)
+                {
+                    using var found = await GetJsonAsync($"https://api.themoviedb.org/3/find/{Uri.EscapeDataString(externalId!)}?api_key={key}&external_source={source}").ConfigureAwait(false);
+                    var match = found == null ? null : FirstResult(found.RootElement, request.ItemType);
+                    if (match.HasValue)
+                    {
+                        request.TmdbId = match.Value.Id;
+                        request.ItemType = match.Value.Type;
+                    }
+                }
+                else if (!string.IsNullOrEmpty(request.Title))
+                {
+                    var type = request.ItemType == "series" ? "tv" : "movie";
+                    var yearParam = string.IsNullOrEmpty(request.Year) ? string.Empty : (type == "tv" ? "&first_air_date_year=" : "&year=") + Uri.EscapeDataString(request.Year);
+                    using var search = await GetJsonAsync($"https://api.themoviedb.org/3/search/{type}?api_key={key}&query={Uri.EscapeDataString(request.Title)}{yearParam}").ConfigureAwait(false);
+                    if (search != null && search.RootElement.TryGetProperty("results", out var results) &&
+                        results.ValueKind == JsonValueKind.Array && results.GetArrayLength() > 0)
+                    {
+                        request.TmdbId = GetString(results[0], "id");
+                        request.ItemType = type == "tv" ? "series" : "movie";
+                    }
+                }
+            }
+
+            if (string.IsNullOrEmpty(request.TmdbId)) return false;
+            request.ItemType ??= "movie";
+
+            // The details fill in the IMDB id, and the title, year and poster the export may lack
+            var isSeries = request.ItemType == "series";
+            using var details = await GetJsonAsync($"https://api.themoviedb.org/3/{(isSeries ? "tv" : "movie")}/{Uri.EscapeDataString(request.TmdbId)}?api_key={key}&append_to_response=external_ids").ConfigureAwait(false);
+            if (details == null) return !string.IsNullOrEmpty(request.ImdbId);
+
+            var root = details.RootElement;
+            if (string.IsNullOrEmpty(request.ImdbId))
+            {
+                request.ImdbId = NormalizeImdbId(root.TryGetProperty("external_ids", out var ids) ? GetString(ids, "imdb_id") : GetString(root, "imdb_id"));
+            }
+
+            if (string.IsNullOrEmpty(request.Title))
+            {
+                request.Title = GetString(root, isSeries ? "name" : "title");
+            }
+
+            if (string.IsNullOrEmpty(request.Year))
+            {
+                var date = GetString(root, isSeries ? "first_air_date" : "release_date");
+                request.Year = date != null && date.Length >= 4 ? date.Substring(0, 4) : null;
+            }
+
+            var poster = GetString(root, "poster_path");
+            if (!string.IsNullOrEmpty(poster))
+            {
+                request.Img = "https://image.tmdb.org/t/p/w500" + poster;
+            }
+
+            // Requests are matched to the library and to Gelato by IMDB id
+            return !string.IsNullOrEmpty(request.ImdbId);
+        }
+
+        private async Task<JsonDocument?> GetJsonAsync(string url)
+        {
+            var client = _httpClientFactory.CreateClient();
+            client.Timeout = TimeSpan.FromSeconds(10);
+            using var response = await client.GetAsync(url).ConfigureAwait(false);
+            if (!response.IsSuccessStatusCode) return null;
+
+            return JsonDocument.Parse(await response.Content.ReadAsStringAsync().ConfigureAwait(false));
+        }
+
+        /// <summary>
+        /// First hit of a TMDB /find response, preferring the requested type.
+        /// </summary>
+        private static (string Id, string Type)? FirstResult(JsonElement root, string? itemType)
+        {
+            var order = itemType == "series"
+                ? new[] { ("tv_results", "series"), ("movie_results", "movie") }
+                : new[] { ("movie_results", "movie"), ("tv_results", "series") };
+
+            foreach (var (property, type) in order)
+            {
+                if (root.TryGetProperty(property, out var results) && results.ValueKind == JsonValueKind.Array && results.GetArrayLength() > 0)
+                {
+                    var id = GetString(results[0], "id");
+                    if (!string.IsNullOrEmpty(id)) return (id, type);
+                }
+            }
+
+            return null;
+        }
+
+        /// <summary>
+        /// Cavea statuses are kept; Jellyseerr's numeric request status (1 pending, 2 approved, 3 declined) and
+        /// media status (4 partially available, 5 available) and Ombi's approved/available/denied flags are translated.
+        /// Requests that were mid-import are brought back as approved since nothing is importing them here.
+        /// </summary>
+        private static string MapStatus(Dictionary<string, string> fields)
+        {
+            var mediaStatus = Get(fields, MediaStatusColumns);
+            if (mediaStatus == "5") return "available";
+            if (mediaStatus == "4") return "partially_available";
+
+            if (IsTrue(Get(fields, new[] { "denied" }))) return "rejected";
+            if (IsTrue(Get(fields, new[] { "available" }))) return "available";
+            if (IsTrue(Get(fields, new[] { "approved" }))) return "approved";
+
+            var status = (Get(fields, StatusColumns) ?? string.Empty).Trim().ToLowerInvariant().Replace(' ', '_');
+            switch (status)
+            {
+                case "1":
+                case "pending":
+                case "pending_approval":
+                    return "pending";
+                case "2":
+                case "4":
+                case "approved":
+                case "processing":
+                case "failed":
+                    return "approved";
+                case "3":
+                case "declined":
+                case "denied":
+                case "rejected":
+                    return "rejected";
+                case "5":
+                case "completed":
+                case "available":
+                    return "available";
+                case "partially_available":
+                    return "partially_available";
+                case "scheduled":
+                    return "scheduled";
+                default:
+                    return "pending";
+            }
+        }
+
+        private static IEnumerable<string> Keys(MediaRequest request)
+        {
+            var type = string.Equals(request.ItemType, "series", StringComparison.OrdinalIgnoreCase) ? "series" : "movie";
+            if (!string.IsNullOrEmpty(request.ImdbId) && request.ImdbId != "undefined") yield return $"{type}:imdb:{request.ImdbId}";
+            if (!string.IsNullOrEmpty(request.TmdbId) && request.TmdbId != "undefined") yield return $"{type}:tmdb:{request.TmdbId}";
+        }
+
+        private static bool IsOpen(string? status)
+        {
+            return status == "pending" || status == "approved" || status == "scheduled" || status == "partially_available";
+        }
+
+        #endregion
+
+        #region Parsing
+
+        /// <summary>
+        /// Rows of the file as flattened, normalized column name → value maps.
+        /// </summary>
+        private static List<Dictionary<string, string>> ParseRows(string content, string? format)
+        {
+            content = (content ?? string.Empty).TrimStart('\uFEFF').Trim();
+            if (content.Length == 0) return new List<Dictionary<string, string>>();
+
+            var isJson = string.IsNullOrEmpty(format)
+                ? content.StartsWith("[", StringComparison.Ordinal) || content.StartsWith("{", StringComparison.Ordinal)
+                : string.Equals(format, "json", StringComparison.OrdinalIgnoreCase);
+
+            return isJson ? ParseJsonRows(content) : ParseCsvRows(content);
+        }
+
+        /// <summary>
+        /// A JSON array of requests, or an object wrapping one in "results" (Jellyseerr's API) or "requests".
+        /// Nested objects are flattened ("media.tmdbId" becomes "mediatmdbid"); arrays are kept as raw JSON.
+        /// </summary>
+        private static List<Dictionary<string, string>> ParseJsonRows(string content)
+        {
+            using var doc = JsonDocument.Parse(content);
+            var root = doc.RootElement;
+            if (root.ValueKind == JsonValueKind.Object)
+            {
+                if (root.TryGetProperty("results", out var results)) root = results;
+                else if (root.TryGetProperty("requests", out var requests)) root = requests;
+            }
+
+            if (root.ValueKind != JsonValueKind.Array)
+            {
+                throw new FormatException("Expected a JSON array of requests");
+            }
+
+            var rows = new List<Dictionary<string, string>>();
+            foreach (var item in root.EnumerateArray())
+            {
+                var fields = new Dictionary<string, string>();
+                if (item.ValueKind == JsonValueKind.Object) Flatten(item, string.Empty, fields);
+                rows.Add(fields);
+            }
+
+            return rows;
+        }
+
+        private static void Flatten(JsonElement element, string prefix, Dictionary<string, string> fields)
+        {
+            foreach (var property in element.EnumerateObject())
+            {
+                var name = prefix + NormalizeColumn(property.Name);
+                switch (property.Value.ValueKind)
+                {
+                    case JsonValueKind.Object:
+                        Flatten(property.Value, name, fields);
+                        break;
+                    case JsonValueKind.Array:
+                        fields.TryAdd(name, property.Value.GetRawText());
+                        break;
+                    case JsonValueKind.String:
+                        fields.TryAdd(name, property.Value.GetString() ?? string.Empty);
+                        break;
+                    case JsonValueKind.Null:
+                    case JsonValueKind.Undefined:
+                        break;
+                    default:
+                        fields.TryAdd(name, property.Value.GetRawText());
+                        break;
+                }
+            }
+        }
+
+        private static List<Dictionary<string, string>> ParseCsvRows(string content)
+        {
+            // Spreadsheets in some locales save with ";" or tabs; go by whichever the header uses most
+            var header = content.Split('\n')[0];
+            var delimiter = new[] { ',', ';', '\t' }.OrderByDescending(d => header.Count(c => c == d)).First();
+
+            var records = ParseCsv(content, delimiter);
+            if (records.Count == 0) return new List<Dictionary<string, string>>();
+
+            var columns = records[0].Select(NormalizeColumn).ToList();
+            return records.Skip(1)
+                .Where(r => r.Any(v => !string.IsNullOrWhiteSpace(v)))
+                .Select(r =>
+                {
+                    var fields = new Dictionary<string, string>();
+                    for (var i = 0; i < columns.Count && i < r.Count; i++)
+                    {
+                        if (columns[i].Length > 0) fields.TryAdd(columns[i], r[i]);
+                    }
+                    return fields;
+                })
+                .ToList();
+        }
+
+        /// <summary>
+        /// RFC 4180 records: quoted fields may hold delimiters, line breaks and doubled quotes.
+        /// </summary>
+        private static List<List<string>> ParseCsv(string content, char delimiter)
+        {
+            var records = new List<List<string>>();
+            var record = new List<string>();
+            var field = new StringBuilder();
+            var quoted = false;
+
+            for (var i = 0; i < content.Length; i++)
+            {
+                var c = content[i];
+                if (quoted)
+                {
+                    if (c != '"') field.Append(c);
+                    else if (i + 1 < content.Length && content[i + 1] == '"') { field.Append('"'); i++; }
+                    else quoted = false;
+                }
+                else if (c == '"') quoted = true;
+                else if (c == delimiter) { record.Add(field.ToString()); field.Clear(); }
+                else if (c == '\n')
+                {
+                    record.Add(field.ToString().TrimEnd('\r'));
+                    field.Clear();
+                    records.Add(record);
+                    record = new List<string>();
+                }
+                else field.Append(c);
+            }
+
+            record.Add(field.ToString().TrimEnd('\r'));
+            records.Add(record);
+            return records;
+        }
+
+        /// <summary>
+        /// Seasons of a JSON export: Cavea's [{ seasonNumber, episodes }] or Jellyseerr's [{ seasonNumber }].
+        /// </summary>
+        private static List<RequestedSeason> ParseSeasons(string json)
+        {
+            try
+            {
+                using var doc = JsonDocument.Parse(json);
+                if (doc.RootElement.ValueKind != JsonValueKind.Array) return new List<RequestedSeason>();
+
+                return doc.RootElement.EnumerateArray()
+                    .Where(s => s.ValueKind == JsonValueKind.Object && s.TryGetProperty("seasonNumber", out var n) && n.ValueKind == JsonValueKind.Number)
+                    .Select(s => new RequestedSeason
+                    {
+                        SeasonNumber = s.GetProperty("seasonNumber").GetInt32(),
+                        Episodes = s.TryGetProperty("episodes", out var e) && e.ValueKind == JsonValueKind.Array
+                            ? e.EnumerateArray().Where(x => x.ValueKind == JsonValueKind.Number).Select(x => x.GetInt32()).ToList()
+                            : new List<int>()
+                    })
+                    .Where(s => s.SeasonNumber >= 0)
+                    .GroupBy(s => s.SeasonNumber)
+                    .Select(g => g.First())
+                    .OrderBy(s => s.SeasonNumber)
+                    .ToList();
+            }
+            catch (JsonException)
+            {
+                return new List<RequestedSeason>();
+            }
+        }
+
+        /// <summary>
+        /// Voters of a CSV export ("a;b") or a JSON export ([{ username }]).
+        /// </summary>
+        private static IEnumerable<string> ParseVoters(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value)) return Enumerable.Empty<string>();
+
+            if (value.TrimStart().StartsWith("[", StringComparison.Ordinal))
+            {
+                try
+                {
+                    using var doc = JsonDocument.Parse(value);
+                    return doc.RootElement.EnumerateArray()
+                        .Select(v => v.ValueKind == JsonValueKind.Object ? GetString(v, "username") : v.ValueKind == JsonValueKind.String ? v.GetString() : null)
+                        .Where(v => !string.IsNullOrWhiteSpace(v))
+                        .Select(v => v!)
+                        .ToList();
+                }
+                catch (JsonException)
+                {
+                    return Enumerable.Empty<string>();
+                }
+            }
+
+            return value.Split(';', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        }
+
+        private static string? Get(Dictionary<string, string> fields, string[] columns)
+        {
+            foreach (var column in columns)
+            {
+                if (fields.TryGetValue(column, out var value) && !string.IsNullOrWhiteSpace(value)) return value.Trim();
+            }
+
+            return null;
+        }
+
+        private static string? GetString(JsonElement element, string property)
+        {
+            if (!element.TryGetProperty(property, out var value)) return null;
+            return value.ValueKind switch
+            {
+                JsonValueKind.String => value.GetString(),
+                JsonValueKind.Number => value.GetRawText(),
+                _ => null
+            };
+        }
+
+        private static string NormalizeColumn(string name)
+        {
+            return new string((name ?? string.Empty).Where(char.IsLetterOrDigit).ToArray()).ToLowerInvariant();
+        }
+
+        private static string? NormalizeType(string? type)
+        {
+            switch ((type ?? string.Empty).Trim().ToLowerInvariant())
+            {
+                case "movie":
+                case "movies":
+                case "film":
+                    return "movie";
+                case "series":
+                case "tv":
+                case "show":
+                case "tvshow":
+                case "tv show":
+                    return "series";
+                default:
+                    return null;
+            }
+        }
+
+        private static string? NormalizeImdbId(string? id)
+        {
+            if (string.IsNullOrWhiteSpace(id)) return null;
+            id = id.Trim();
+
+            // Bare numbers and IMDB URLs both show up in the wild
+            var match = System.Text.RegularExpressions.Regex.Match(id, @"tt\d+");
+            if (match.Success) return match.Value;
+            return id.All(char.IsDigit) ? "tt" + id.PadLeft(7, '0') : null;
+        }
+
+        private static bool IsTrue(string? value)
+        {
+            return string.Equals(value, "true", StringComparison.OrdinalIgnoreCase) || value == "1";
+        }
+
+        /// <summary>
+        /// Unix seconds or milliseconds, or any date string .NET understands; assumed UTC without an offset.
+        /// </summary>
+        private static long? ParseDate(string? value)
+        {
+            if (string.IsNullOrWhiteSpace(value)) return null;
+
+            if (long.TryParse(value, NumberStyles.Integer, CultureInfo.InvariantCulture, out var number))
+            {
+                return number > 100_000_000_000 ? number : number * 1000;
+            }
+
+            return DateTimeOffset.TryParse(value, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal, out var date)
+                ? date.ToUnixTimeMilliseconds()
+                : null;
+        }
+
+        private static string FormatDate(long unixMs)
+        {
+            return DateTimeOffset.FromUnixTimeMilliseconds(unixMs).UtcDateTime.ToString("yyyy-MM-dd'T'HH:mm:ss'Z'", CultureInfo.InvariantCulture);
+        }
+
+        private static string EscapeCsv(string? value)
+        {
+            if (string.IsNullOrEmpty(value)) return string.Empty;
+
+            // Leading =, +, - and @ would run as formulas in spreadsheet apps
+            if ("=+-@".IndexOf(value[0]) >= 0 && !double.TryParse(value, NumberStyles.Float, CultureInfo.InvariantCulture, out _))
+            {
+                value = "'" + value;
+            }
+
+            return value.IndexOfAny(new[] { ',', '"', '\r', '\n', ';' }) >= 0
+                ? "\"" + value.Replace("\"", "\"\"") + "\""
+                : value;
+        }
+
+        #endregion
+    }
+}
@@ -0,0 +1,80 @@
+#nullable enable
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Channels;
+using Cavea.Api;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Pushes request changes to open browser sessions. Each subscriber (an open server-sent events
+    /// stream) gets its own small queue; a client that falls behind loses the oldest updates, which is
+    /// harmless because every update only tells the page to reload.
+    /// </summary>
+    public class RequestUpdatesService
+    {
+        private const int QueueCapacity = 50;
+
+        private readonly ILogger<RequestUpdatesService> _logger;
+        private readonly ConcurrentDictionary<Guid, Channel<RequestUpdate>> _subscribers = new ConcurrentDictionary<Guid, Channel<RequestUpdate>>();
+
+        public RequestUpdatesService(ILogger<RequestUpdatesService> logger)
+        {
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Start receiving updates. Call <see cref="Unsubscribe"/> with the returned id when the stream closes.
+        /// </summary>
+        public (Guid Id, ChannelReader<RequestUpdate> Reader) Subscribe()
+        {
+            var id = Guid.NewGuid();
+            var channel = Channel.CreateBounded<RequestUpdate>(new BoundedChannelOptions(QueueCapacity)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true
+            });
+
+            _subscribers[id] = channel;
+            _logger.LogDebug("⚪ [RequestUpdates] Subscriber {Id} connected ({Count} open)", id, _subscribers.Count);
+            return (id, channel.Reader);
+        }
+
+        public void Unsubscribe(Guid id)
+        {
+            if (_subscribers.TryRemove(id, out var channel))
+            {
+                channel.Writer.TryComplete();
+                _logger.LogDebug("⚪ [RequestUpdates] Subscriber {Id} disconnected ({Count} open)", id, _subscribers.Count);
+            }
+        }
+
+        /// <summary>
+        /// Tell every subscriber that <paramref name="action"/> happened to <paramref name="request"/>.
+        /// </summary>
+        public void Publish(MediaRequest request, string action)
+        {
+            if (_subscribers.IsEmpty) return;
+
+            var update = new RequestUpdate
+            {
+                RequestId = request.Id,
+                Action = action,
+                Status = request.Status,
+                Username = request.Username,
+                Title = request.Title,
+                ItemType = request.ItemType,
+                Timestamp = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(),
+                Voters = request.Voters?.Select(v => v.Username).Where(u => !string.IsNullOrEmpty(u)).ToList() ?? new List<string>()
+            };
+
+            foreach (var channel in _subscribers.Values)
+            {
+                channel.Writer.TryWrite(update);
+            }
+        }
+    }
+}
@@ -116,6 +116,40 @@ namespace Cavea.Services
             return null;
         }
 
+        /// <summary>
+        /// Whether Gelato's Stremio addon lists any stream for <paramref name="id"/>
+        /// (an IMDB id, or "imdbId:season:episode" for series).
+        /// </summary>
+        public async Task<bool> HasStreamsAsync(string type, string id)
+        {
+            var addonUrl = GetGelatoStremioUrl();
+            if (string.IsNullOrEmpty(addonUrl))
+            {
+                _logger.LogWarning("⚪ [Cavea.Stream] Cannot check streams: Gelato addon URL not found in config");
+                return false;
+            }
+
+            addonUrl = addonUrl.TrimEnd('/');
+            if (addonUrl.EndsWith("/manifest.json")) addonUrl = addonUrl.Substring(0, addonUrl.Length - "/manifest.json".Length);
+
+            try
+            {
+                using var client = new HttpClient();
+                client.Timeout = TimeSpan.FromSeconds(30);
+                var response = await client.GetStringAsync($"{addonUrl}/stream/{type}/{id}.json").ConfigureAwait(false);
+
+                using var doc = JsonDocument.Parse(response);
+                return doc.RootElement.TryGetProperty("streams", out var streams)
+                    && streams.ValueKind == JsonValueKind.Array
+                    && streams.GetArrayLength() > 0;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "⚪ [Cavea.Stream] Failed to check streams for {Type}/{Id}", type, id);
+                return false;
+            }
+        }
+
         public async Task<FfprobeResult?> RunFfprobeAsync(string url)
         {
             // Standard probe (fast): 5MB / 5s
@@ -0,0 +1,311 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Text;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Api;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Services
+{
+    /// <summary>
+    /// Sends request and catalog events to the webhook targets in the configuration.
+    /// Every delivery is logged in the database; failed ones are retried with a growing delay.
+    /// </summary>
+    public class WebhookService : IHostedService, IDisposable
+    {
+        /// <summary>
+        /// Events a webhook target can subscribe to.
+        /// </summary>
+        public static readonly string[] Events =
+        {
+            "request.created", "request.approved", "request.rejected", "request.available", "catalog.import.finished"
+        };
+
+        // Delay before each retry; a delivery is given up after the last one
+        private static readonly TimeSpan[] RetryDelays =
+        {
+            TimeSpan.FromSeconds(30), TimeSpan.FromMinutes(2), TimeSpan.FromMinutes(10)
+        };
+
+        private static readonly TimeSpan RetryInterval = TimeSpan.FromSeconds(30);
+        private static readonly TimeSpan DeliveryLogRetention = TimeSpan.FromDays(30);
+        private static readonly Regex Placeholder = new Regex(@"\{\{\s*([A-Za-z]+)\s*\}\}", RegexOptions.Compiled);
+
+        private readonly ILogger<WebhookService> _logger;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly CaveaDbService _dbService;
+        private Timer? _retryTimer;
+        private int _retrying;
+
+        public WebhookService(ILogger<WebhookService> logger, IHttpClientFactory httpClientFactory, CaveaDbService dbService)
+        {
+            _logger = logger;
+            _httpClientFactory = httpClientFactory;
+            _dbService = dbService;
+        }
+
+        public Task StartAsync(CancellationToken cancellationToken)
+        {
+            _retryTimer = new Timer(_ => _ = RetryDueDeliveriesAsync(), null, RetryInterval, RetryInterval);
+            return Task.CompletedTask;
+        }
+
+        public Task StopAsync(CancellationToken cancellationToken)
+        {
+            _retryTimer?.Change(Timeout.Infinite, Timeout.Infinite);
+            return Task.CompletedTask;
+        }
+
+        public void Dispose()
+        {
+            _retryTimer?.Dispose();
+        }
+
+        /// <summary>
+        /// Send <paramref name="eventName"/> to every enabled target subscribed to it. Returns immediately;
+        /// deliveries run in the background.
+        /// </summary>
+        public void Publish(string eventName, IDictionary<string, string?> fields)
+        {
+            var targets = Plugin.Instance?.Configuration?.Webhooks?
+                .Where(t => t.Enabled && !string.IsNullOrWhiteSpace(t.Url) &&
+                            (t.Events?.Contains(eventName, StringComparer.OrdinalIgnoreCase) ?? false))
+                .ToList();
+            if (targets == null || targets.Count == 0) return;
+
+            var data = WithEvent(eventName, fields);
+            foreach (var target in targets)
+            {
+                _ = Task.Run(async () =>
+                {
+                    try
+                    {
+                        var delivery = await CreateDeliveryAsync(target, eventName, data).ConfigureAwait(false);
+                        if (delivery.Status == "pending") await DeliverAsync(delivery, target, retry: true).ConfigureAwait(false);
+                    }
+                    catch (Exception ex)
+                    {
+                        _logger.LogError(ex, "⚪ [Webhooks] Failed to send {Event} to {Name}", eventName, target.Name ?? target.Url);
+                    }
+                });
+            }
+        }
+
+        /// <summary>
+        /// Send a sample request event to <paramref name="target"/> and wait for the outcome. Not retried.
+        /// </summary>
+        public async Task<WebhookDelivery> SendTestAsync(WebhookTarget target)
+        {
+            var data = WithEvent("test", new Dictionary<string, string?>
+            {
+                ["requestId"] = "test",
+                ["title"] = "Cavea test event",
+                ["year"] = DateTime.UtcNow.Year.ToString(),
+                ["itemType"] = "movie",
+                ["username"] = "cavea",
+                ["status"] = "pending",
+                ["actor"] = "cavea",
+                ["details"] = "This is a test delivery from the Cavea configuration page"
+            });
+
+            var delivery = await CreateDeliveryAsync(target, "test", data).ConfigureAwait(false);
+            if (delivery.Status == "pending")
+            {
+                await DeliverAsync(delivery, target, retry: false).ConfigureAwait(false);
+            }
+
+            return delivery;
+        }
+
+        /// <summary>
+        /// Send a failed delivery again, with a fresh set of retries.
+        /// </summary>
+        public async Task<WebhookDelivery> RedeliverAsync(WebhookDelivery delivery)
+        {
+            var target = FindTarget(delivery.WebhookId);
+            if (target == null)
+            {
+                delivery.Error = "The webhook no longer exists";
+                await _dbService.UpdateWebhookDeliveryAsync(delivery).ConfigureAwait(false);
+                return delivery;
+            }
+
+            delivery.Attempts = 0;
+            delivery.Url = target.Url;
+            await DeliverAsync(delivery, target, retry: true).ConfigureAwait(false);
+            return delivery;
+        }
+
+        private async Task RetryDueDeliveriesAsync()
+        {
+            // Skip the tick if the previous one is still sending
+            if (Interlocked.Exchange(ref _retrying, 1) == 1) return;
+
+            try
+            {
+                var now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+                foreach (var delivery in await _dbService.GetDueWebhookDeliveriesAsync(now).ConfigureAwait(false))
+                {
+                    var target = FindTarget(delivery.WebhookId);
+                    if (target == null || !target.Enabled)
+                    {
+                        delivery.Status = "failed";
+                        delivery.NextAttemptAt = null;
+                        delivery.Error = target == null ? "The webhook no longer exists" : "The webhook is disabled";
+                        await _dbService.UpdateWebhookDeliveryAsync(delivery).ConfigureAwait(false);
+                        continue;
+                    }
+
+                    await DeliverAsync(delivery, target, retry: true).ConfigureAwait(false);
+                }
+
+                await _dbService.DeleteWebhookDeliveriesBeforeAsync(now - (long)DeliveryLogRetention.TotalMilliseconds).ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "⚪ [Webhooks] Error retrying deliveries");
+            }
+            finally
+            {
+                Interlocked.Exchange(ref _retrying, 0);
+            }
+        }
+
+        /// <summary>
+        /// Render the body and log the delivery. A template that does not produce valid JSON fails right away.
+        /// </summary>
+        private async Task<WebhookDelivery> CreateDeliveryAsync(WebhookTarget target, string eventName, IDictionary<string, string?> data)
+        {
+            var delivery = new WebhookDelivery
+            {
+                WebhookId = target.Id,
+                WebhookName = target.Name,
+                Event = eventName,
+                Url = target.Url,
+                CreatedAt = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+            };
+
+            try
+            {
+                delivery.Payload = RenderBody(target.BodyTemplate, data);
+                using var _ = JsonDocument.Parse(delivery.Payload);
+            }
+            catch (JsonException ex)
+            {
+                delivery.Status = "failed";
+                delivery.Error = "The body template is not valid JSON: " + ex.Message;
+            }
+
+            delivery.Id = await _dbService.AddWebhookDeliveryAsync(delivery).ConfigureAwait(false);
+            return delivery;
+        }
+
+        private async Task DeliverAsync(WebhookDelivery delivery, WebhookTarget target, bool retry)
+        {
+            delivery.Attempts++;
+            delivery.LastAttemptAt = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            delivery.ResponseCode = null;
+            delivery.Error = null;
+
+            try
+            {
+                using var http = _httpClientFactory.CreateClient();
+                http.Timeout = TimeSpan.FromSeconds(10);
+                using var message = new HttpRequestMessage(HttpMethod.Post, delivery.Url)
+                {
+                    Content = new StringContent(delivery.Payload ?? "{}", Encoding.UTF8, "application/json")
+                };
+                ApplyAuthHeader(message, target.AuthHeader);
+
+                using var response = await http.SendAsync(message).ConfigureAwait(false);
+                delivery.ResponseCode = (int)response.StatusCode;
+                if (!response.IsSuccessStatusCode)
+                {
+                    delivery.Error = $"{(int)response.StatusCode} {response.ReasonPhrase}";
+                }
+            }
+            catch (Exception ex)
+            {
+                delivery.Error = ex.Message;
+            }
+
+            if (delivery.Error == null)
+            {
+                delivery.Status = "succeeded";
+                delivery.NextAttemptAt = null;
+            }
+            else if (retry && delivery.Attempts <= RetryDelays.Length)
+            {
+                delivery.Status = "retrying";
+                delivery.NextAttemptAt = delivery.LastAttemptAt + (long)RetryDelays[delivery.Attempts - 1].TotalMilliseconds;
+                _logger.LogWarning("⚪ [Webhooks] {Event} to {Name} failed ({Error}), attempt {Attempt}", delivery.Event, target.Name ?? target.Url, delivery.Error, delivery.Attempts);
+            }
+            else
+            {
+                delivery.Status = "failed";
+                delivery.NextAttemptAt = null;
+                _logger.LogWarning("⚪ [Webhooks] Giving up on {Event} to {Name}: {Error}", delivery.Event, target.Name ?? target.Url, delivery.Error);
+            }
+
+            await _dbService.UpdateWebhookDeliveryAsync(delivery).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Replace {{field}} placeholders with the JSON-escaped value (without quotes, so they go inside a string).
+        /// Unknown placeholders become empty. An empty template sends all fields as one object.
+        /// </summary>
+        private static string RenderBody(string? template, IDictionary<string, string?> data)
+        {
+            if (string.IsNullOrWhiteSpace(template))
+            {
+                return JsonSerializer.Serialize(data);
+            }
+
+            return Placeholder.Replace(template, match =>
+            {
+                var key = data.Keys.FirstOrDefault(k => string.Equals(k, match.Groups[1].Value, StringComparison.OrdinalIgnoreCase));
+                var value = key == null ? null : data[key];
+                return value == null ? string.Empty : JsonEncodedText.Encode(value).ToString();
+            });
+        }
+
+        private static IDictionary<string, string?> WithEvent(string eventName, IDictionary<string, string?> fields)
+        {
+            var data = new Dictionary<string, string?>(fields, StringComparer.OrdinalIgnoreCase)
+            {
+                ["event"] = eventName,
+                ["timestamp"] = DateTimeOffset.UtcNow.ToString("o")
+            };
+            return data;
+        }
+
+        private static void ApplyAuthHeader(HttpRequestMessage message, string? header)
+        {
+            if (string.IsNullOrWhiteSpace(header)) return;
+
+            // Same format as GelatoAuthHeader: "Name: value", or a bare Authorization value
+            var idx = header.IndexOf(':');
+            if (idx > -1)
+            {
+                message.Headers.TryAddWithoutValidation(header.Substring(0, idx).Trim(), header.Substring(idx + 1).Trim());
+            }
+            else
+            {
+                message.Headers.TryAddWithoutValidation("Authorization", header.Trim());
+            }
+        }
+
+        private static WebhookTarget? FindTarget(string? id)
+        {
+            if (string.IsNullOrEmpty(id)) return null;
+            return Plugin.Instance?.Configuration?.Webhooks?.FirstOrDefault(t => t.Id == id);
+        }
+    }
+}
@@ -6,6 +6,7 @@ using System.Net.Http;
 using System.Text.Json;
 using System.Threading;
 using System.Threading.Tasks;
+using Cavea.Services;
 using Jellyfin.Data.Enums;
 using MediaBrowser.Controller.Collections;
 using MediaBrowser.Controller.Entities;
@@ -32,6 +33,7 @@ namespace Cavea.Tasks
         private readonly IServiceScopeFactory _scopeFactory;
         private readonly MediaBrowser.Controller.Configuration.IServerConfigurationManager _configManager;
         private readonly IHttpContextAccessor _httpContextAccessor;
+        private readonly WebhookService _webhooks;
 
         public CatalogSyncTask(
             ILogger<CatalogSyncTask> logger,
@@ -40,7 +42,8 @@ namespace Cavea.Tasks
             IHttpClientFactory httpClientFactory,
             IServiceScopeFactory scopeFactory,
             MediaBrowser.Controller.Configuration.IServerConfigurationManager configManager,
-            IHttpContextAccessor httpContextAccessor)
+            IHttpContextAccessor httpContextAccessor,
+            WebhookService webhooks)
         {
             _logger = logger;
             _libraryManager = libraryManager;
@@ -49,6 +52,7 @@ namespace Cavea.Tasks
             _scopeFactory = scopeFactory;
             _configManager = configManager;
             _httpContextAccessor = httpContextAccessor;
+            _webhooks = webhooks;
         }
 
         public string Name => "Update Catalogs";
@@ -445,6 +449,14 @@ namespace Cavea.Tasks
             }
 
             _logger.LogInformation("⚪ [Cavea] Import complete. Success: {Success}, Failed: {Failed}", importedIds.Count, failed);
+            _webhooks.Publish("catalog.import.finished", new Dictionary<string, string?>
+            {
+                ["catalogId"] = catalogId,
+                ["catalogName"] = collection.Name,
+                ["itemType"] = type,
+                ["succeeded"] = importedIds.Count.ToString(),
+                ["failed"] = failed.ToString()
+            });
         }
 
         private async Task<string?> ImportItemViaReflection(string imdbId, string type)
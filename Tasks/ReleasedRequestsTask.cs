@@ -0,0 +1,60 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Services;
+using MediaBrowser.Controller;
+using MediaBrowser.Model.Tasks;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Tasks
+{
+    /// <summary>
+    /// Scheduled task that imports requests approved "when released" once they are out and have streams.
+    /// Runs every 6 hours by default.
+    /// </summary>
+    public sealed class ReleasedRequestsTask : IScheduledTask
+    {
+        private readonly ILogger<ReleasedRequestsTask> _logger;
+        private readonly ReleaseScheduleService _releaseSchedule;
+        private readonly IServerApplicationHost _appHost;
+
+        public ReleasedRequestsTask(
+            ILogger<ReleasedRequestsTask> logger,
+            ReleaseScheduleService releaseSchedule,
+            IServerApplicationHost appHost)
+        {
+            _logger = logger;
+            _releaseSchedule = releaseSchedule;
+            _appHost = appHost;
+        }
+
+        public string Name => "Import Released Requests";
+        public string Key => "CaveaReleasedRequests";
+        public string Description => "Imports requests that were approved for when they are released, once streams are available.";
+        public string Category => "Cavea";
+
+        public IEnumerable<TaskTriggerInfo> GetDefaultTriggers()
+        {
+            return new[]
+            {
+                new TaskTriggerInfo
+                {
+                    Type = TaskTriggerInfoType.IntervalTrigger,
+                    IntervalTicks = TimeSpan.FromHours(6).Ticks
+                }
+            };
+        }
+
+        public async Task ExecuteAsync(IProgress<double> progress, CancellationToken cancellationToken)
+        {
+            // No HTTP request to take the server URL from; Gelato is reached over loopback unless configured
+            var serverUrl = _appHost.GetLoopbackHttpApiUrl();
+
+            var started = await _releaseSchedule.ImportReleasedAsync(serverUrl, progress, cancellationToken).ConfigureAwait(false);
+            _logger.LogInformation("⚪ [Cavea] ReleasedRequestsTask completed, started {Count} import(s).", started);
+            progress.Report(100);
+        }
+    }
+}
@@ -0,0 +1,51 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using Cavea.Services;
+using MediaBrowser.Model.Tasks;
+using Microsoft.Extensions.Logging;
+
+namespace Cavea.Tasks
+{
+    /// <summary>
+    /// Scheduled task that looks up the TMDB genres of requests that have none yet, for the statistics page.
+    /// Runs every hour by default.
+    /// </summary>
+    public sealed class RequestGenresTask : IScheduledTask
+    {
+        private readonly ILogger<RequestGenresTask> _logger;
+        private readonly RequestStatsService _stats;
+
+        public RequestGenresTask(ILogger<RequestGenresTask> logger, RequestStatsService stats)
+        {
+            _logger = logger;
+            _stats = stats;
+        }
+
+        public string Name => "Look Up Request Genres";
+        public string Key => "CaveaRequestGenres";
+        public string Description => "Looks up the TMDB genres of new requests for the request statistics page.";
+        public string Category => "Cavea";
+
+        public IEnumerable<TaskTriggerInfo> GetDefaultTriggers()
+        {
+            return new[]
+            {
+                new TaskTriggerInfo
+                {
+                    Type = TaskTriggerInfoType.IntervalTrigger,
+                    IntervalTicks = TimeSpan.FromHours(1).Ticks
+                }
+            };
+        }
+
+        public async Task ExecuteAsync(IProgress<double> progress, CancellationToken cancellationToken)
+        {
+            var filled = await _stats.FillGenresAsync(progress, cancellationToken).ConfigureAwait(false);
+            _logger.LogInformation("⚪ [Cavea] RequestGenresTask completed, stored genres for {Count} request(s).", filled);
+            progress.Report(100);
+        }
+    }
+}